@@ -32,6 +32,7 @@ public class GameOverManager : MonoBehaviour
             {
                 hasLoadedLeaderboard = true;
 
+                LeaderboardManager.EndSession();
                 LeaderboardManager.FetchAndPopulateDefault();
             }
         }
@@ -1,7 +1,8 @@
 ﻿// LeaderboardManager.cs
 // Unity 2022.3.x
+// Opens a server play session on scene start; kills are posted as session events (legacy /submitscore without one).
 // Immediate send; if NO HTTP RESPONSE, resend at 30s since attempt start (network-only).
-// API rejections (any HTTP non-2xx) are dropped immediately (no retry).
+// API rejections (any HTTP non-2xx) are dropped immediately, except 429/503 throttles, which resend after Retry-After.
 // Submission display: last 5 successful lines (oldest→newest), no auto-clear.
 // Logs ALL JSON responses (2xx/4xx/5xx) and transport failures when verboseLogging = true.
 
@@ -59,6 +60,10 @@ public class LeaderboardManager : MonoBehaviour
     [Tooltip("Max number of resends after the first send (avoid infinite loop)")]
     public int maxResendAttempts = 10;
 
+    [Header("Play Session")]
+    [Tooltip("Open a server-tracked play session on Start; kills are then sent as session events")]
+    public bool autoStartSession = true;
+
     [Header("UI - Leaderboard (optional)")]
     public LeaderboardRow[] uiRows = new LeaderboardRow[5];
 
@@ -69,6 +74,21 @@ public class LeaderboardManager : MonoBehaviour
     // Keep a rolling buffer of the last 5 lines (oldest at index 0)
     private readonly List<string> _submissionLines = new List<string>(5);
 
+    // Server play session (empty until /sessions answers; kills fall back to /submitscore meanwhile)
+    private string _sessionId;
+    private int _killSeq;
+
+    // Last leaderboard reply per URL with its ETag; static so it outlives the scene-local instance.
+    // The server answers 304 when the board hasn't changed and we reuse the parsed copy.
+    private static readonly Dictionary<string, (string etag, LeaderboardResponse data)> _leaderboardCache =
+        new Dictionary<string, (string etag, LeaderboardResponse data)>();
+
+    private void Start()
+    {
+        if (_instance != this) return;
+        if (autoStartSession) StartCoroutine(StartSessionRoutine());
+    }
+
     // ========= STATIC API =========
 
     /// <summary>
@@ -78,7 +98,22 @@ public class LeaderboardManager : MonoBehaviour
     public static void SubmitScoreImmediate(int score, bool showToast = true)
     {
         var wal = string.IsNullOrWhiteSpace(WebGLUrlParams.WalletAddress) ? "(none)" : WebGLUrlParams.WalletAddress;
-        Instance.StartCoroutine(Instance.SubmitWithWatchdog(wal, score, showToast));
+        var sid = Instance._sessionId;
+        int seq = string.IsNullOrEmpty(sid) ? 0 : ++Instance._killSeq; // resends reuse the same seq
+        // Resends carry the same key, so the server answers them with the first job instead of a new tx
+        string key = string.IsNullOrEmpty(sid) ? Guid.NewGuid().ToString("N") : $"{sid}:{seq}";
+        Instance.StartCoroutine(Instance.SubmitWithWatchdog(wal, score, sid, seq, key, showToast));
+    }
+
+    /// <summary>
+    /// Closes the current play session so the server can judge it as a whole (call on game over).
+    /// </summary>
+    public static void EndSession()
+    {
+        if (string.IsNullOrEmpty(Instance._sessionId)) return;
+        var sid = Instance._sessionId;
+        Instance._sessionId = null;
+        Instance.StartCoroutine(Instance.EndSessionRoutine(sid));
     }
 
     // Back-compat alias
@@ -116,7 +151,7 @@ public class LeaderboardManager : MonoBehaviour
         public Submit202 ack;         // 202 model
     }
 
-    private IEnumerator SubmitWithWatchdog(string walletAddress, int score, bool showToast)
+    private IEnumerator SubmitWithWatchdog(string walletAddress, int score, string sessionId, int seq, string idempotencyKey, bool showToast)
     {
         int resends = 0;
         bool done = false;
@@ -124,18 +159,22 @@ public class LeaderboardManager : MonoBehaviour
         while (!done && resends <= maxResendAttempts)
         {
             float attemptStart = Time.realtimeSinceStartup;
+            float retryAfter = -1f; // set when the server throttles us (429/503 + Retry-After)
 
             // One attempt
-            yield return SendOnce(walletAddress, score,
+            yield return SendOnce(walletAddress, score, sessionId, seq, idempotencyKey,
                 onSuccess: outcome =>
                 {
                     HandleSubmitSuccess(outcome, score, showToast);
                     done = true; // success (200/202)
                 },
-                onNon2xx: _ =>
+                onNon2xx: err =>
                 {
-                    // API rejected (any HTTP non-2xx) → drop immediately, no retry
-                    done = true;
+                    // Throttled → resend after Retry-After; any other rejection → drop immediately
+                    if ((err.statusCode == 429 || err.statusCode == 503) && err.retryAfterSeconds.HasValue)
+                        retryAfter = err.retryAfterSeconds.Value;
+                    else
+                        done = true;
                 },
                 onNoResponse: () =>
                 {
@@ -144,6 +183,13 @@ public class LeaderboardManager : MonoBehaviour
 
             if (done) break;
 
+            if (retryAfter >= 0f)
+            {
+                yield return new WaitForSecondsRealtime(retryAfter);
+                resends++;
+                continue;
+            }
+
             // Wait until 30 seconds since attempt start before resending
             float elapsed = Time.realtimeSinceStartup - attemptStart;
             float remaining = Mathf.Max(0f, resendIntervalSeconds - elapsed);
@@ -174,27 +220,30 @@ public class LeaderboardManager : MonoBehaviour
 
     /// <summary>
     /// Sends exactly one HTTP POST and classifies the outcome.
+    /// With a session id the kill goes to /sessions/{id}/events, otherwise to /submitscore.
     /// Always logs the HTTP/JSON (or transport failure) when verboseLogging is true.
     /// </summary>
     private IEnumerator SendOnce(
-    string walletAddress, int score,
+    string walletAddress, int score, string sessionId, int seq, string idempotencyKey,
     Action<SubmitOutcome> onSuccess,
     Action<ApiError> onNon2xx,
     Action onNoResponse)
     {
-        string url = $"{baseApiUrl}/submitscore";
-        var bodyObj = new SubmitScoreRequest { walletAddress = walletAddress, score = score };
-        var json = JsonUtility.ToJson(bodyObj);
-        var bytes = Encoding.UTF8.GetBytes(json);
-
-        using (var req = new UnityWebRequest(url, UnityWebRequest.kHttpVerbPOST))
+        string url;
+        string json;
+        if (!string.IsNullOrEmpty(sessionId))
         {
-            req.timeout = requestTimeoutSeconds;
-            req.uploadHandler = new UploadHandlerRaw(bytes);
-            req.downloadHandler = new DownloadHandlerBuffer();
-            req.SetRequestHeader("Content-Type", "application/json");
-            req.SetRequestHeader("Accept", "application/json");
+            url = $"{baseApiUrl}/sessions/{UnityWebRequest.EscapeURL(sessionId)}/events";
+            json = JsonUtility.ToJson(new SessionEventRequest { type = "kill", score = score, seq = seq });
+        }
+        else
+        {
+            url = $"{baseApiUrl}/submitscore";
+            json = JsonUtility.ToJson(new SubmitScoreRequest { walletAddress = walletAddress, score = score });
+        }
 
+        using (var req = BuildJsonPost(url, json, idempotencyKey))
+        {
             yield return req.SendWebRequest();
 
             // Log everything
@@ -273,6 +322,82 @@ public class LeaderboardManager : MonoBehaviour
     }
 
 
+    /// <summary>
+    /// JSON POST with the wallet session credential attached (the server answers 401 without it).
+    /// </summary>
+    private UnityWebRequest BuildJsonPost(string url, string json, string idempotencyKey = null)
+    {
+        var req = new UnityWebRequest(url, UnityWebRequest.kHttpVerbPOST);
+        req.timeout = requestTimeoutSeconds;
+        req.uploadHandler = new UploadHandlerRaw(Encoding.UTF8.GetBytes(json ?? "{}"));
+        req.downloadHandler = new DownloadHandlerBuffer();
+        req.SetRequestHeader("Content-Type", "application/json");
+        req.SetRequestHeader("Accept", "application/json");
+        if (!string.IsNullOrEmpty(WebGLUrlParams.SessionToken))
+            req.SetRequestHeader("Authorization", "Bearer " + WebGLUrlParams.SessionToken);
+        if (!string.IsNullOrEmpty(idempotencyKey))
+            req.SetRequestHeader("Idempotency-Key", idempotencyKey);
+        return req;
+    }
+
+    // ========= Play Session =========
+
+    private IEnumerator StartSessionRoutine()
+    {
+        if (string.IsNullOrWhiteSpace(WebGLUrlParams.WalletAddress) || string.IsNullOrEmpty(WebGLUrlParams.SessionToken) ||
+            string.IsNullOrEmpty(WebGLUrlParams.LaunchToken))
+            yield break; // nothing to bind a session to; kills use /submitscore
+
+        // Character, level and game come from the signed launch token, not from this request
+        var body = new SessionStartRequest
+        {
+            walletAddress = WebGLUrlParams.WalletAddress,
+            launchToken = WebGLUrlParams.LaunchToken
+        };
+
+        using (var req = BuildJsonPost($"{baseApiUrl}/sessions", JsonUtility.ToJson(body)))
+        {
+            yield return req.SendWebRequest();
+
+            if (verboseLogging)
+            {
+                if (req.responseCode != 0) LogHttp(req);
+                else LogTransportFailure(req);
+            }
+
+            if (req.responseCode < 200 || req.responseCode >= 300) yield break;
+
+            try
+            {
+                var started = JsonUtility.FromJson<SessionResponse>(req.downloadHandler?.text ?? "");
+                if (started != null && started.ok && !string.IsNullOrEmpty(started.sessionId))
+                {
+                    _sessionId = started.sessionId;
+                    _killSeq = 0;
+                }
+            }
+            catch (Exception ex)
+            {
+                if (verboseLogging) Debug.LogWarning($"[LeaderboardManager] session start parse failed: {ex.Message}");
+            }
+        }
+    }
+
+    private IEnumerator EndSessionRoutine(string sessionId)
+    {
+        string url = $"{baseApiUrl}/sessions/{UnityWebRequest.EscapeURL(sessionId)}/end";
+        using (var req = BuildJsonPost(url, "{}"))
+        {
+            yield return req.SendWebRequest();
+
+            if (verboseLogging)
+            {
+                if (req.responseCode != 0) LogHttp(req);
+                else LogTransportFailure(req);
+            }
+        }
+    }
+
     // ========= Leaderboard =========
 
     private IEnumerator GetLeaderboardRoutine(
@@ -285,6 +410,8 @@ public class LeaderboardManager : MonoBehaviour
         {
             req.timeout = requestTimeoutSeconds;
             req.SetRequestHeader("Accept", "application/json");
+            _leaderboardCache.TryGetValue(url, out var known);
+            if (!string.IsNullOrEmpty(known.etag)) req.SetRequestHeader("If-None-Match", known.etag);
 
             yield return req.SendWebRequest();
 
@@ -295,6 +422,12 @@ public class LeaderboardManager : MonoBehaviour
                 else LogTransportFailure(req);
             }
 
+            if (req.responseCode == 304 && known.data != null)
+            {
+                onSuccess?.Invoke(known.data);
+                yield break;
+            }
+
             if (req.result != UnityWebRequest.Result.Success || req.responseCode < 200 || req.responseCode >= 300)
             {
                 onError?.Invoke(ApiError.FromRequest(req));
@@ -311,6 +444,8 @@ public class LeaderboardManager : MonoBehaviour
                     onError?.Invoke(ApiError.BadPayload("Leaderboard ok=false/invalid", text, req.responseCode));
                     yield break;
                 }
+                var etag = req.GetResponseHeader("ETag");
+                if (!string.IsNullOrEmpty(etag)) _leaderboardCache[url] = (etag, data);
                 onSuccess?.Invoke(data);
             }
             catch (Exception ex)
@@ -450,6 +585,11 @@ public class LeaderboardManager : MonoBehaviour
     // Submit request
     [Serializable] public class SubmitScoreRequest { public string walletAddress; public int score; }
 
+    // Play session requests/replies
+    [Serializable] public class SessionStartRequest { public string walletAddress; public string launchToken; }
+    [Serializable] public class SessionEventRequest { public string type; public int score; public int seq; }
+    [Serializable] public class SessionResponse { public bool ok; public string sessionId; public string status; public int kills; public int points; }
+
     // ✅ 200 — mined ≤5s
     [Serializable]
     public class Submit200
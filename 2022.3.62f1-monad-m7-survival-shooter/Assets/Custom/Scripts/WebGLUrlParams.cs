@@ -11,6 +11,12 @@ public class WebGLUrlParams : MonoBehaviour
     public static string Username { get; private set; } = "";
     public static string Character { get; private set; } = "";
     public static string Level { get; private set; } = "";
+    // Server-issued game session id (launch token "sid"); empty for legacy unsigned tokens
+    public static string SessionId { get; private set; } = "";
+    // The launch token as received; the server opens play sessions from its signed claims
+    public static string LaunchToken { get; private set; } = "";
+    // Wallet session credential from /api/v1/auth/session (sent as Bearer on score submissions)
+    public static string SessionToken { get; private set; } = "";
 
     // Presence flags: true if the key existed (even if its value is "")
     public static bool HasWalletAddress { get; private set; }
@@ -52,7 +58,7 @@ public class WebGLUrlParams : MonoBehaviour
 
         Debug.Log($"[WebGLUrlParams] Ready. " +
                   $"walletAddress='{WalletAddress}', username='{Username}', " +
-                  $"character='{Character}', level='{Level}'");
+                  $"character='{Character}', level='{Level}', sessionId='{SessionId}', hasSessionToken={!string.IsNullOrEmpty(SessionToken)}");
     }
 
     private string GetCurrentUrl()
@@ -71,9 +77,10 @@ public class WebGLUrlParams : MonoBehaviour
         var query = ExtractQuery(url);
         var kv = ParseQuery(query);
 
-        // 1) token: base64/base64url JSON
+        // 1) token: base64url JSON claims, optionally followed by ".<signature>" (signed launch token)
         if (kv.TryGetValue("token", out var tokenRaw))
         {
+            LaunchToken = tokenRaw ?? "";
             var json = TryDecodeTokenToJson(tokenRaw);
             if (!string.IsNullOrEmpty(json))
                 ApplyFromJson(json);
@@ -100,6 +107,14 @@ public class WebGLUrlParams : MonoBehaviour
             HasLevel = true;
             Level = lv ?? "";
         }
+
+        // 3) session: signed wallet credential (opaque to the client), carried in the fragment so it
+        //    never reaches server logs or Referer headers
+        var fragment = ParseQuery(ExtractFragment(url));
+        if (fragment.TryGetValue("session", out var st))
+        {
+            SessionToken = st ?? "";
+        }
     }
 
     private static string ExtractQuery(string url)
@@ -114,6 +129,12 @@ public class WebGLUrlParams : MonoBehaviour
         return query;
     }
 
+    private static string ExtractFragment(string url)
+    {
+        int hash = url.IndexOf('#');
+        return hash < 0 ? string.Empty : url.Substring(hash + 1);
+    }
+
     private static Dictionary<string, string> ParseQuery(string query)
     {
         var result = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
@@ -150,8 +171,12 @@ public class WebGLUrlParams : MonoBehaviour
     {
         if (string.IsNullOrEmpty(tokenRaw)) return null;
 
+        // Signed tokens are "<claims>.<signature>"; the signature is checked server-side by the page guard
+        int dot = tokenRaw.IndexOf('.');
+        string claims = dot >= 0 ? tokenRaw.Substring(0, dot) : tokenRaw;
+
         // Convert Base64URL -> Base64 and fix padding
-        string b64 = tokenRaw.Replace('-', '+').Replace('_', '/');
+        string b64 = claims.Replace('-', '+').Replace('_', '/');
         int mod4 = b64.Length % 4;
         if (mod4 > 0) b64 = b64.PadRight(b64.Length + (4 - mod4), '=');
 
@@ -174,6 +199,7 @@ public class WebGLUrlParams : MonoBehaviour
         public string username;
         public string character;
         public string level;
+        public string sid;
     }
 
     private static void ApplyFromJson(string json)
@@ -187,6 +213,7 @@ public class WebGLUrlParams : MonoBehaviour
             if (p.username != null) { HasUsername = true; Username = p.username ?? ""; }
             if (p.character != null) { HasCharacter = true; Character = p.character ?? ""; }
             if (p.level != null) { HasLevel = true; Level = p.level ?? ""; }
+            if (!string.IsNullOrEmpty(p.sid)) SessionId = p.sid;
         }
         catch (Exception e)
         {
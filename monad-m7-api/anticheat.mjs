@@ -0,0 +1,205 @@
+// anticheat.mjs
+// Rules engine for score submissions. Rules and their limits are declared in anticheat.rules.json;
+// level and character data come from the game catalogue (catalogue.json). Each rule measures a value
+// against a limit and the config's `flag` / `reject` multipliers turn that into an outcome. The worst
+// outcome wins.
+import fs from 'node:fs';
+
+const OUTCOME_RANK = { accept: 0, flag: 1, reject: 2 };
+
+/** Seconds one character needs per kill: every shot hits, one enemy at a time (raycast weapons). */
+function secondsPerKill(character, level) {
+  const shots = Math.ceil((level.enemyHealth ?? 100) / character.damagePerShot);
+  return Math.max(character.timeBetweenBullets, (shots - 1) * character.timeBetweenBullets);
+}
+
+/** Points earned back at the level pace since the session started (no burst). */
+function paceEarned(session, level, now) {
+  return Math.floor(((now - session.startedAt) / 1000) * level.maxPointsPerSec);
+}
+
+function sessionAllowance(session, level, now, burstPoints) {
+  return paceEarned(session, level, now) + burstPoints - (session.paceDebt || 0);
+}
+
+/**
+ * Points a wallet's session (with whatever it inherited) is still ahead of its level pace at
+ * `now`. A new session starts with the previous one's debt, so back-to-back sessions share one
+ * burst instead of getting a fresh one each; after a rest at pace the debt is gone.
+ */
+export function paceDebt(session, level, now) {
+  return Math.max(0, session.points + (session.paceDebt || 0) - paceEarned(session, level, now));
+}
+
+/** The wallet's per-minute window: what it already holds plus this score, against its limit. */
+function windowCheck({ score, window }) {
+  return {
+    value: window.used + score, limit: window.limit,
+    detail: `Score cap exceeded: ${window.used}+${score} in the last ${window.seconds}s (limit ${window.limit}).`
+  };
+}
+
+/**
+ * Built-in rules, keyed by the name used in config. Each stage handler gets
+ *   submission: { score, now, window: { used, limit, seconds }, eventRange: [min, max] }
+ *   event:      { session, score, now, window, level, character }   (session.kills excludes this kill)
+ *   session:    { session, now, level, character }          (now = end of session)
+ * and returns { value, limit, detail }, or null when the rule doesn't apply.
+ */
+export const BUILTIN_RULES = {
+  eventRange: {
+    submission: ({ score, eventRange: [min, max] }) => ({
+      value: score < min || score > max ? 1 : 0, limit: 0,
+      detail: `Per-event score must be between ${min} and ${max}.`
+    })
+  },
+
+  windowCap: {
+    submission: windowCheck,
+    event: ctx => (ctx.window ? windowCheck(ctx) : null)
+  },
+
+  killValue: {
+    event: ({ score, level }) => ({
+      value: level.killValues.includes(score) ? 0 : 1, limit: 0,
+      detail: `${level.name} kills are worth ${level.killValues.join(' or ')} points, got ${score}.`
+    }),
+    session: ({ session, level }) => {
+      const bad = session.kills.filter(k => !level.killValues.includes(k.score)).length;
+      return { value: bad, limit: 0, detail: `${bad} kill(s) outside [${level.killValues.join(', ')}]` };
+    }
+  },
+
+  sessionPace: {
+    event: ({ session, score, now, level }, { burstPoints = 0 }) => {
+      const allowance = sessionAllowance(session, level, now, burstPoints);
+      return {
+        value: session.points + score, limit: allowance,
+        detail: `Session pace exceeded: ${session.points}+${score} after ${Math.round((now - session.startedAt) / 1000)}s (allowed ${allowance}` +
+                (session.paceDebt ? `, ${session.paceDebt} carried from the previous session).` : ').')
+      };
+    },
+    session: ({ session, now, level }, { burstPoints = 0 }) => {
+      const allowance = sessionAllowance(session, level, now, burstPoints);
+      return { value: session.points, limit: allowance, detail: `${session.points} pts vs ${allowance} allowed at ${level.maxPointsPerSec} pts/s` };
+    }
+  },
+
+  killCadence: {
+    event: ({ session, now, level, character }, { windowSec = 10, slackKills = 0 }) => {
+      if (!character) return null;
+      const windowMs = windowSec * 1000;
+      const spanSec  = Math.min(windowMs, now - session.startedAt) / 1000;
+      const kills    = session.kills.filter(k => k.ts > now - windowMs).length + 1;
+      const perKill  = secondsPerKill(character, level);
+      const limit    = Math.floor(spanSec / perKill) + slackKills;
+      return { value: kills, limit, detail: `${kills} kill(s) in ${Math.round(spanSec)}s; this character needs ${perKill}s per kill (allowed ${limit}).` };
+    }
+  },
+
+  scoreSpike: {
+    event: ({ session, score, now, level }, { windowSec = 10 }) => {
+      const since  = now - windowSec * 1000;
+      const points = session.kills.filter(k => k.ts > since).reduce((sum, k) => sum + k.score, 0) + score;
+      const limit  = level.maxPointsPerSec * windowSec;
+      return { value: points, limit, detail: `${points} pts in the last ${windowSec}s (level pace ${limit}).` };
+    }
+  },
+
+  sessionLength: {
+    event:   ({ session, now }, { maxMinutes = 120 }) => lengthCheck(session, now, maxMinutes),
+    session: ({ session, now }, { maxMinutes = 120 }) => lengthCheck(session, now, maxMinutes)
+  },
+
+  sequence: {
+    session: ({ session }) => {
+      let ordered = true;
+      for (let i = 1; i < session.kills.length; i++) {
+        if (session.kills[i].seq <= session.kills[i - 1].seq) { ordered = false; break; }
+      }
+      return { value: ordered ? 0 : 1, limit: 0, detail: ordered ? 'strictly increasing' : 'out-of-order kill sequence' };
+    }
+  },
+
+  rejections: {
+    session: ({ session }, { max = 0 }) => ({
+      value: session.rejected, limit: max, detail: `${session.rejected} event(s) rejected during play`
+    })
+  }
+};
+
+function lengthCheck(session, now, maxMinutes) {
+  const ms = now - session.startedAt;
+  return { value: ms, limit: maxMinutes * 60_000, detail: `${Math.round(ms / 1000)}s (max ${maxMinutes * 60}s)` };
+}
+
+function judge({ value, limit }, { flag, reject }) {
+  if (reject != null && value > limit * reject) return 'reject';
+  if (flag != null && value > limit * flag) return 'flag';
+  return 'accept';
+}
+
+function validateConfig(config, rules) {
+  const problems = [];
+  for (const [key, level] of Object.entries(config.levels || {})) {
+    if (!Array.isArray(level.killValues) || !level.killValues.length) problems.push(`levels.${key}.killValues must be a non-empty array`);
+    if (!(level.maxPointsPerSec > 0)) problems.push(`levels.${key}.maxPointsPerSec must be > 0`);
+  }
+  if (!Object.keys(config.levels || {}).length) problems.push('levels must declare at least one level');
+  for (const [key, c] of Object.entries(config.characters || {})) {
+    if (!(c.damagePerShot > 0) || !(c.timeBetweenBullets > 0)) problems.push(`characters.${key} needs damagePerShot and timeBetweenBullets > 0`);
+  }
+  for (const [name, params] of Object.entries(config.rules || {})) {
+    if (!rules[name]) problems.push(`rules.${name} is not a known rule`);
+    if (params.flag == null && params.reject == null) problems.push(`rules.${name} needs a flag and/or reject threshold`);
+  }
+  if (problems.length) throw new Error(`Invalid anti-cheat config: ${problems.join('; ')}`);
+}
+
+/** Reads a rules file (JSON). Throws with the path on a missing or malformed file. */
+export function loadRulesConfig(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read anti-cheat rules from ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Builds an engine from { levels, characters, rules }. `rules` adds or replaces rule implementations
+ * (same shape as BUILTIN_RULES); config decides which ones run and with what limits.
+ */
+export function createRulesEngine(config, { rules = {} } = {}) {
+  const registry = { ...BUILTIN_RULES, ...rules };
+  validateConfig(config, registry);
+
+  const active = Object.entries(config.rules).map(([name, params]) => ({ name, impl: registry[name], params }));
+
+  /**
+   * Runs every configured rule that has a handler for `stage`.
+   * Returns { outcome, results: [{ rule, outcome, value, limit, detail }], failed }.
+   */
+  function evaluate(stage, ctx) {
+    const full = ctx.session
+      ? { ...ctx, level: config.levels[ctx.session.level], character: config.characters?.[ctx.session.character] }
+      : ctx;
+
+    const results = [];
+    for (const { name, impl, params } of active) {
+      const handler = impl[stage];
+      if (!handler) continue;
+      const measured = handler(full, params);
+      if (!measured) continue;
+      results.push({ rule: name, outcome: judge(measured, params), ...measured });
+    }
+    const outcome = results.reduce((worst, r) => OUTCOME_RANK[r.outcome] > OUTCOME_RANK[worst] ? r.outcome : worst, 'accept');
+    return { outcome, results, failed: results.filter(r => r.outcome !== 'accept') };
+  }
+
+  return {
+    levels: config.levels,
+    characters: config.characters || {},
+    rules: active.map(r => r.name),
+    evaluate
+  };
+}
@@ -0,0 +1,11 @@
+// clock.mjs
+// Time source the server modules take as `clock`, so tests can drive timers by hand.
+// Intervals created through it are unref'd: they never keep the process alive on their own.
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (t) => clearTimeout(t),
+  setInterval: (fn, ms) => setInterval(fn, ms).unref(),
+  clearInterval: (t) => clearInterval(t)
+};
@@ -0,0 +1,840 @@
+// dispatcher.mjs
+// Submission queue, batch dispatcher and nonce manager. Every BATCH_INTERVAL_MS the queue is
+// coalesced into one tx per wallet, sharded across healthy signers and sent on consecutive
+// nonces; the nonce manager then follows each nonce until it mines, re-broadcasting stuck txs.
+// Clients are answered exactly once: 200 when mined quickly, else 202 + jobId (early ack after
+// send, or the failsafe if the batch never got to it), or an error.
+import { systemClock } from './clock.mjs';
+import { receiptSummary } from './jobs.mjs';
+
+const noopMetric = { observe() {}, inc() {}, startTimer: () => () => {} };
+
+/**
+ * Each pending item:
+ * {
+ *   id, walletAddress, score, addrLower,
+ *   res, responded: boolean,
+ *   windowRef: { addrLower, score, ts } | null,
+ *   reservationHeld?: boolean,
+ *   skipWindow?: boolean,   // <<< privileged flag
+ *   acceptedAt
+ * }
+ */
+
+export function sendOnce(item, fn) {
+  if (!item || item.responded || !item.res || item.res.headersSent) return false; // restored items have no client
+  item.responded = true;
+  try { fn(); } catch { /* ignore */ }
+  item.res = null; // release reference
+  return true;
+}
+
+/**
+ * Merge queued items per wallet, keeping first-seen order.
+ * Returns [{ walletAddress, addrLower, score, txCount, items }].
+ */
+export function groupByWallet(items) {
+  const byAddr = new Map();
+  for (const item of items) {
+    let g = byAddr.get(item.addrLower);
+    if (!g) {
+      g = { walletAddress: item.walletAddress, addrLower: item.addrLower, score: 0, txCount: 0, items: [] };
+      byAddr.set(item.addrLower, g);
+    }
+    g.score   += item.score;
+    g.txCount += 1;
+    g.items.push(item);
+  }
+  return [...byAddr.values()];
+}
+
+/**
+ * `signers` is the live pool: [{ index, address, wallet, contract, inflight: Map, checkBusy, healthy }].
+ * `jobs` is a job registry (jobs.mjs), `scoreWindow` a sliding window (scorewindow.mjs).
+ * `setSignerHealth(signer, reason)` benches an unfunded signer; `noteGasSpent(signer, receipt)`
+ * keeps its balance current; `onStuck(signer, entry)` alerts once per nonce stuck at the fee cap. While `hold()` returns a reason (e.g. the funds breaker is open)
+ * batches send nothing and the queue waits. `metrics` fields are optional prom-client style metrics.
+ *
+ * Each job's lifecycle goes to `jobs.trace()`: accepted, window slot taken/released/refused,
+ * batch pickup, fee data, nonce, send, acks, receipt or error, re-queues and recovery.
+ */
+export function createDispatcher({
+  provider,
+  signers,
+  jobs,
+  scoreWindow,
+  clock = systemClock,
+  log = () => {},
+  warn = log,
+  error = warn,
+  dlog = () => {},
+  setSignerHealth = () => {},
+  noteGasSpent = () => {},
+  hold = () => null,
+  onStuck = () => {},
+  metrics = {},
+  config: {
+    batchIntervalMs,
+    respondAfterMs,
+    requestHardTimeoutMs,
+    txStuckMs,
+    noncePollMs,
+    confirmations = 1,
+    feeBumpPercent = 15,
+    maxFeeCap = null,     // wei (bigint) or null
+    stuckAlertAfter = 10  // re-broadcasts at maxFeeCap before onStuck fires (0 = never)
+  }
+}) {
+  const m = {
+    batchSize: noopMetric, batchDuration: noopMetric, receiptLatency: noopMetric,
+    gasUsed: noopMetric, txReplacements: noopMetric, txStuck: noopMetric, cheat: noopMetric,
+    ...metrics
+  };
+  const setJob  = jobs.set;
+  const trace   = jobs.trace;
+  const pending = [];
+  const waiting = new Set(); // submissions whose client is still connected and unanswered
+  let batchTimer = null;
+  let pollTimer  = null;
+  let lastBatch  = null;     // the interval's batch in progress (drain() waits for it)
+
+  /* ---------------- Submission Queue ---------------- */
+
+  /**
+   * Register a queued job, push it onto `pending` and arm the requestHardTimeoutMs failsafe
+   * (202 + jobId if the batch hasn't replied by then). `windowRef` is the sliding-window slot
+   * already reserved at intake; window-exempt jobs pass `skipWindow` instead.
+   */
+  function enqueue({
+    jobId, res, walletAddress, score,
+    windowRef = null, skipWindow = false,
+    job = {}, ackBody = {}, ackHeaders = {}
+  }) {
+    const now = clock.now();
+    setJob(jobId, {
+      status: 'queued',
+      createdAt: now,
+      walletAddress,
+      score,
+      skipWindow,
+      ...job
+    });
+
+    const submission = {
+      id: jobId,
+      walletAddress,
+      score,
+      addrLower: walletAddress.toLowerCase(),
+      res,
+      responded: false,
+      windowRef,                    // non-null means "I ALREADY hold a slot"
+      reservationHeld: !!windowRef, // explicit marker
+      skipWindow,
+      acceptedAt: now
+    };
+    pending.push(submission);
+    waiting.add(submission);
+    trace(jobId, 'accepted', { walletAddress, score, skipWindow, queueDepth: pending.length });
+    if (windowRef) trace(jobId, 'window.reserved', { score, slotAt: windowRef.ts });
+    dlog(`[QUEUE] +1 pending=${pending.length} id=${jobId}${skipWindow ? ' (window-exempt)' : ''}`);
+
+    // Failsafe: If batch hasn't sent within requestHardTimeoutMs, send 202
+    const failsafe = clock.setTimeout(() => {
+      const acked = sendOnce(submission, () => {
+        res.set('X-Job-Id', jobId);
+        for (const [k, v] of Object.entries(ackHeaders)) res.set(k, v);
+        res.status(202).json({
+          ok: true,
+          queued: true,
+          message: `Queued for next batch. Poll /api/v1/jobs/${jobId} for status.`,
+          jobId,
+          statusUrl: `/api/v1/jobs/${jobId}`,
+          streamUrl: `/api/v1/jobs/stream?ids=${encodeURIComponent(jobId)}`,
+          approxBatchInMs: batchIntervalMs,
+          ...ackBody
+        });
+      });
+      if (acked) trace(jobId, 'acked', { httpStatus: 202, by: 'failsafe' });
+    }, requestHardTimeoutMs);
+
+    // If we do eventually reply (by success/error/202-after-send), clear the failsafe:
+    const stopFailsafe = () => { clock.clearTimeout(failsafe); waiting.delete(submission); };
+    res.on('finish', stopFailsafe);
+    res.on('close',  stopFailsafe);
+
+    return submission;
+  }
+
+  /** Take a still-queued item out of `pending`, giving back its window slot. Returns it, or null once sent. */
+  function dequeue(id) {
+    const idx = pending.findIndex(item => item.id === id);
+    if (idx === -1) return null;
+    const [item] = pending.splice(idx, 1);
+    trace(id, 'dequeued');
+    if (item.windowRef) releaseSlot(item, 'dequeued');
+    return item;
+  }
+
+  /** Give back the item's sliding-window slot, if it holds one. */
+  function releaseSlot(item, why) {
+    if (item.skipWindow) return false;
+    const released = scoreWindow.rollback(item.id, item.addrLower, item.score);
+    if (released) trace(item.id, 'window.released', { score: item.score, why });
+    return released;
+  }
+
+  /* ---------------- Nonce Manager ---------------- */
+  /**
+   * Every nonce a signer broadcasts stays tracked (per signer) until it settles:
+   *   signer.inflight[nonce] = { nonce, request, hashes, jobIds, lastBroadcastAt, bumps, atCap, stuckSince, resolve, reject }
+   * The poller settles a nonce when any of its hashes has a receipt. If the chain moves past
+   * the nonce without one of our hashes, something else consumed it — the only way a sent job
+   * fails. Anything unmined for txStuckMs is re-broadcast at the same nonce with bumped fees,
+   * which also revives txs the mempool dropped. At maxFeeCap there is nothing left to outbid
+   * with; the nonce stays tracked (any signed copy may still mine) and is re-sent as is, and
+   * after stuckAlertAfter such re-sends it is reported through onStuck and the txStuck metric.
+   */
+
+  /** Next nonce to hand out; never below one we still hold, even if the node forgot it. */
+  async function nextNonce(signer) {
+    let next = await provider.getTransactionCount(signer.address, 'pending');
+    for (const n of signer.inflight.keys()) if (n + 1 > next) next = n + 1;
+    return next;
+  }
+
+  /**
+   * Track a broadcast tx until its nonce settles. Resolves with the receipt of whichever hash
+   * mined; rejects on revert or when another tx consumed the nonce. `priorHashes` are earlier
+   * broadcasts for the same nonce (e.g. replacements made before a restart).
+   */
+  function trackNonce(signer, tx, jobIds, priorHashes = []) {
+    return new Promise((resolve, reject) => {
+      signer.inflight.set(tx.nonce, {
+        nonce: tx.nonce,
+        request: {
+          to: tx.to, data: tx.data, value: tx.value, nonce: tx.nonce, gasLimit: tx.gasLimit, chainId: tx.chainId,
+          ...(tx.maxFeePerGas != null
+            ? { type: 2, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+            : { gasPrice: tx.gasPrice })
+        },
+        hashes: [...new Set([...priorHashes, tx.hash])],
+        jobIds,
+        lastBroadcastAt: clock.now(),
+        bumps: 0,
+        atCap: 0,   // consecutive re-broadcasts that couldn't raise the fee
+        stuckSince: null,
+        resolve,
+        reject
+      });
+    });
+  }
+
+  function bumpFee(prev, market) {
+    let next = (BigInt(prev) * BigInt(100 + feeBumpPercent) + 99n) / 100n;
+    if (market != null && market > next) next = market;
+    if (maxFeeCap && next > maxFeeCap) next = maxFeeCap > prev ? maxFeeCap : prev;
+    return next;
+  }
+
+  async function findReceipt(hashes) {
+    for (let i = hashes.length - 1; i >= 0; i--) {
+      const receipt = await provider.getTransactionReceipt(hashes[i]);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  async function rebroadcast(signer, entry, feeData) {
+    const prev = entry.request;
+    const req  = { ...prev };
+    if (prev.maxFeePerGas != null) {
+      req.maxFeePerGas         = bumpFee(prev.maxFeePerGas, feeData?.maxFeePerGas);
+      req.maxPriorityFeePerGas = bumpFee(prev.maxPriorityFeePerGas ?? 0n, feeData?.maxPriorityFeePerGas);
+      if (req.maxPriorityFeePerGas > req.maxFeePerGas) req.maxPriorityFeePerGas = req.maxFeePerGas;
+    } else {
+      req.gasPrice = bumpFee(prev.gasPrice, feeData?.gasPrice);
+    }
+    // At the fee cap there's nothing to outbid with; re-sending the same tx still revives a dropped one.
+    const bumped = (req.maxFeePerGas ?? req.gasPrice) > (prev.maxFeePerGas ?? prev.gasPrice);
+
+    entry.lastBroadcastAt = clock.now();
+    entry.atCap = bumped ? 0 : entry.atCap + 1; // counted even when the node answers "already known"
+    try {
+      const tx = await signer.wallet.sendTransaction(req);
+      entry.request = req;
+      if (!entry.hashes.includes(tx.hash)) entry.hashes.push(tx.hash);
+      if (bumped) entry.bumps++;
+      m.txReplacements.inc({ bumped: String(bumped) });
+      for (const id of entry.jobIds) setJob(id, { txHash: tx.hash, txHashes: [...entry.hashes], feeBumps: entry.bumps });
+      for (const id of entry.jobIds) {
+        trace(id, 'rebroadcast', { nonce: entry.nonce, txHash: tx.hash, bumped, maxFeePerGas: String(req.maxFeePerGas ?? req.gasPrice) });
+      }
+      log(`[NONCE ${signer.index}:${entry.nonce}] ${bumped ? 'replaced' : 're-broadcast'} hash=${tx.hash} maxFee=${(req.maxFeePerGas ?? req.gasPrice).toString()}`);
+    } catch (e) {
+      // "already known" / "replacement underpriced" / "nonce too low": the next check sorts it out
+      warn(`[NONCE ${signer.index}:${entry.nonce}] re-broadcast failed:`, e?.shortMessage || e?.message || e);
+    }
+  }
+
+  function settleNonce(signer, entry, receipt) {
+    signer.inflight.delete(entry.nonce);
+    if (receipt.status === 1) return entry.resolve(receipt);
+    const err = new Error('transaction reverted');
+    err.code = 'CALL_EXCEPTION';
+    err.receipt = receipt;
+    entry.reject(err);
+  }
+
+  async function checkInflight(signer) {
+    if (signer.checkBusy || signer.inflight.size === 0) return;
+    signer.checkBusy = true;
+    try {
+      // read the mined nonce BEFORE receipts, so "moved past + no receipt" can't be a race
+      const minedNext = await provider.getTransactionCount(signer.address, 'latest');
+      let feeData = null;
+
+      for (const entry of [...signer.inflight.values()].sort((a, b) => a.nonce - b.nonce)) {
+        const receipt = await findReceipt(entry.hashes);
+        if (receipt) {
+          if ((await receipt.confirmations()) >= confirmations) settleNonce(signer, entry, receipt);
+          continue;
+        }
+        if (minedNext > entry.nonce) {
+          signer.inflight.delete(entry.nonce);
+          const err = new Error(`nonce ${entry.nonce} was consumed by another transaction`);
+          err.code = 'NONCE_CONSUMED';
+          entry.reject(err);
+          continue;
+        }
+        if (clock.now() - entry.lastBroadcastAt >= txStuckMs) {
+          feeData ??= await provider.getFeeData().catch(() => ({}));
+          await rebroadcast(signer, entry, feeData);
+          if (stuckAlertAfter > 0 && entry.atCap >= stuckAlertAfter && entry.stuckSince == null) {
+            entry.stuckSince = clock.now();
+            m.txStuck.inc();
+            warn(`[NONCE ${signer.index}:${entry.nonce}] stuck at the fee cap after ${entry.atCap} re-broadcasts; still tracking`);
+            for (const id of entry.jobIds) trace(id, 'stuck', { nonce: entry.nonce, rebroadcasts: entry.atCap });
+            onStuck(signer, entry);
+          }
+        }
+      }
+    } catch (e) {
+      warn(`[NONCE ${signer.index}] check failed:`, e?.shortMessage || e?.message || e);
+    } finally {
+      signer.checkBusy = false;
+    }
+  }
+
+  /* ---------------- Batch Dispatcher ---------------- */
+  let holdLoggedAt = 0;
+
+  // Ensure (or re-take) a reservation for this item right before sending.
+  // If reservation would exceed the window cap, fail the item now.
+  function ensureReservationOrDrop(item) {
+    // privileged jobs bypass window admission entirely
+    if (item?.skipWindow) return true;
+
+    const now = clock.now();
+    const w = scoreWindow.purge(scoreWindow.get(item.addrLower), now);
+
+    // If this item already holds a reservation entry, keep it.
+    if (item.windowRef) return true;  // presence of windowRef = already reserved at intake
+
+    // Recheck admission against current window
+    const { limit, windowMs } = scoreWindow;
+    if (w.sum + item.score > limit) {
+      const reason = `Score cap exceeded: ${w.sum}+${item.score} in the last ${Math.round(windowMs/1000)}s (limit ${limit}).`;
+      m.cheat.inc({ rule: 'windowCap', outcome: 'reject' });
+      trace(item.id, 'window.rejected', { used: w.sum, incoming: item.score, limit });
+      setJob(item.id, {
+        status: 'failed',
+        code: 'SUSPECTED_SCORE_HACKING',
+        reason
+      });
+      sendOnce(item, () => item.res.status(403).json({
+        ok: false,
+        code: 'SUSPECTED_SCORE_HACKING',
+        reason,
+        window: { used: w.sum, incoming: item.score, limit, seconds: Math.round(windowMs/1000) }
+      }));
+      return false;
+    }
+
+    // Take (or re-take) the reservation for this item
+    item.windowRef = scoreWindow.reserve(item.addrLower, item.score, item.id, now);
+    item.reservationHeld = true;
+    trace(item.id, 'window.reserved', { score: item.score, slotAt: now, retaken: true });
+    return true;
+  }
+
+  async function processBatch() {
+    if (pending.length === 0) return;
+
+    // Signers in rotation; with none (or while held), keep the queue (clients get their failsafe 202s)
+    const lanes = signers.filter(s => s.healthy);
+    const held  = hold() || (lanes.length === 0 ? 'no signer in rotation' : null);
+    if (held) {
+      if (clock.now() - holdLoggedAt > 60_000) {
+        holdLoggedAt = clock.now();
+        warn(`[BATCH] ${held}; holding ${pending.length} submissions`);
+      }
+      return;
+    }
+
+    // take the current batch
+    const batch = pending.splice(0, pending.length);
+    log(`[BATCH] processing ${batch.length} submissions`);
+    const pickedAt = clock.now();
+    for (const item of batch) trace(item.id, 'batch.picked', { batchSize: batch.length, waitedMs: pickedAt - item.acceptedAt });
+    m.batchSize.observe(batch.length);
+    const endBatchTimer = m.batchDuration.startTimer();
+
+    // Fee data (EIP-1559 friendly)
+    let feeData;
+    try { feeData = await provider.getFeeData(); } catch { feeData = {}; }
+    const fees = {
+      maxFeePerGas:         feeData?.maxFeePerGas ?? feeData?.gasPrice ?? undefined,
+      maxPriorityFeePerGas: feeData?.maxPriorityFeePerGas ?? undefined
+    };
+    const feeView = {
+      maxFeePerGas:         fees.maxFeePerGas?.toString() ?? null,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString() ?? null
+    };
+    for (const item of batch) trace(item.id, 'fees', feeView);
+
+    // Admission first: every item keeps (or re-takes) its own window slot, so a merged tx
+    // can still be rolled back job by job.
+    const admitted = batch.filter(item => ensureReservationOrDrop(item));
+
+    // Coalesce: one tx per wallet per batch (summed score, one transaction per original job)
+    const groups = groupByWallet(admitted);
+    if (groups.length < admitted.length) {
+      dlog(`[BATCH] coalesced ${admitted.length} submissions into ${groups.length} txs`);
+    }
+
+    // Shard round-robin across lanes; each lane sends on its own nonce sequence
+    const shards = lanes.map(() => []);
+    groups.forEach((g, i) => shards[i % lanes.length].push(g));
+    await Promise.all(lanes.map((signer, i) => shards[i].length ? runLane(signer, shards[i], fees) : null));
+    endBatchTimer();
+  }
+
+  /**
+   * Send one lane's groups from `signer`. Sends are serialized (consecutive nonces); receipts
+   * are awaited in the background. A send error only stalls this lane: its remaining groups
+   * go back to the queue for the next batch, where any lane may pick them up.
+   */
+  async function runLane(signer, groups, { maxFeePerGas, maxPriorityFeePerGas }) {
+    // get base nonce once (pending includes unmined)
+    let baseNonce;
+    try {
+      baseNonce = await nextNonce(signer);
+      dlog(`[BATCH] signer=${signer.index} baseNonce=${baseNonce} txs=${groups.length}`);
+    } catch (e) {
+      error(`[BATCH] signer=${signer.index} nonce fetch failed:`, e?.shortMessage || e?.message || e);
+      // Fail everyone in this lane
+      for (const item of groups.flatMap(g => g.items)) {
+        const reason = e?.shortMessage || e?.message || 'NONCE_FETCH_FAILED';
+        trace(item.id, 'error', { stage: 'nonce', code: 'NONCE_FETCH_FAILED', reason, signer: signer.address });
+        setJob(item.id, { status: 'failed', code: 'NONCE_FETCH_FAILED', reason });
+        // release any reservation they might hold
+        releaseSlot(item, 'failed');
+        sendOnce(item, () => item.res.status(500).json({
+          ok: false, error: 'Transaction failed', code: 'NONCE_FETCH_FAILED', reason
+        }));
+      }
+      return;
+    }
+
+    // We serialize SENDs to avoid nonce gaps, but wait receipts in parallel
+    const receiptWaits = [];
+
+    for (let i = 0; i < groups.length; i++) {
+      const group = groups[i];
+      const nonce = baseNonce + i;
+      const tag   = group.items.length > 1 ? `${group.items[0].id}+${group.items.length - 1}` : group.items[0].id;
+
+      try {
+        // --- estimate gas (ethers v6) with nonce override
+        let gasEstimate;
+        try {
+          gasEstimate = await signer.contract.updatePlayerData.estimateGas(
+            group.walletAddress, BigInt(group.score), BigInt(group.txCount), { nonce }
+          );
+        } catch {
+          gasEstimate = 120_000n; // fallback
+        }
+        const gasLimit = (gasEstimate * 12n) / 10n + 5_000n; // +20% + small headroom
+
+        // --- fee overrides
+        const overrides = { nonce, gasLimit };
+        if (maxFeePerGas)         overrides.maxFeePerGas = maxFeePerGas;
+        if (maxPriorityFeePerGas) overrides.maxPriorityFeePerGas = maxPriorityFeePerGas;
+
+        // mark jobs as sent (pre-send)
+        const sentAt = clock.now();
+        for (const item of group.items) {
+          trace(item.id, 'nonce', {
+            signer: signer.address, nonce, gasLimit: gasLimit.toString(),
+            mergedJobs: group.items.length, txScoreAmount: group.score
+          });
+          setJob(item.id, {
+            status: 'sent', sentAt, nonce, signer: signer.address,
+            mergedJobs: group.items.length, txScoreAmount: group.score
+          });
+        }
+
+        // --- SEND (serialize: await this before moving to next nonce)
+        const tx = await signer.contract.updatePlayerData(
+          group.walletAddress, BigInt(group.score), BigInt(group.txCount), overrides
+        );
+        dlog(`[TX  ${tag}] sent signer=${signer.index} nonce=${nonce} hash=${tx.hash} score=${group.score} jobs=${group.items.length}`);
+
+        // record tx hash (every original job resolves to the merged tx)
+        for (const item of group.items) {
+          trace(item.id, 'sent', { txHash: tx.hash, nonce });
+          setJob(item.id, { txHash: tx.hash });
+        }
+
+        // early-ack timer: respondAfterMs after SEND
+        const ackTimer = clock.setTimeout(() => {
+          for (const item of group.items) {
+            const acked = sendOnce(item, () => {
+              item.res.set('X-Job-Id', item.id);
+              item.res.status(202).json({
+                ok: true,
+                queued: true,
+                message: `Transaction is processing. Poll /api/v1/jobs/${item.id} for status.`,
+                jobId: item.id,
+                statusUrl: `/api/v1/jobs/${item.id}`,
+                streamUrl: `/api/v1/jobs/stream?ids=${encodeURIComponent(item.id)}`,
+                nonce,
+                txHash: tx.hash,
+                mergedJobs: group.items.length,
+                ackMs: respondAfterMs
+              });
+            });
+            if (acked) trace(item.id, 'acked', { httpStatus: 202, by: 'early-ack' });
+          }
+        }, respondAfterMs);
+
+        // Wait for receipt in the background (do NOT block next send)
+        const waiter = (async () => {
+          let receipt;
+          try {
+            receipt = await trackNonce(signer, tx, group.items.map(item => item.id));
+          } finally {
+            clock.clearTimeout(ackTimer);
+          }
+          noteGasSpent(signer, receipt);
+          m.receiptLatency.observe((clock.now() - sentAt) / 1000);
+          m.gasUsed.observe(Number(receipt.gasUsed ?? 0n));
+
+          dlog(`[RCPT ${tag}] status=${receipt.status} block=${receipt.blockNumber}`);
+
+          for (const item of group.items) {
+            trace(item.id, 'receipt', {
+              txHash: receipt.hash, blockNumber: receipt.blockNumber, status: receipt.status,
+              gasUsed: receipt.gasUsed?.toString?.() ?? null, latencyMs: clock.now() - sentAt
+            });
+            // job -> mined
+            setJob(item.id, { status: 'mined', txHash: receipt.hash, receipt: receiptSummary(receipt) });
+
+            // if client still waiting, reply 200 now
+            sendOnce(item, () => item.res.json({
+              ok: true,
+              txHash: receipt.hash,
+              blockNumber: receipt.blockNumber,
+              status: receipt.status,
+              gasUsed: receipt.gasUsed?.toString?.(),
+              to: receipt.to,
+              from: receipt.from,
+              nonce,
+              mergedJobs: group.items.length
+            }));
+          }
+        })().catch(err => {
+          const code   = err?.code || err?.info?.error?.code;
+          const reason = err?.shortMessage || err?.reason || err?.info?.error?.message || err?.message;
+          error(`[ERR ${tag}]`, code || '', reason || err);
+
+          for (const item of group.items) {
+            // job -> failed
+            trace(item.id, 'error', { stage: 'receipt', code: code ?? null, reason: reason ?? null, txHash: tx.hash });
+            setJob(item.id, { status: 'failed', code, reason });
+
+            // rollback this item's reservation (we took/held it)
+            releaseSlot(item, 'failed');
+
+            // reply error if client still waiting
+            sendOnce(item, () => item.res.status(500).json({
+              ok: false, error: 'Transaction failed', code, reason
+            }));
+          }
+        });
+
+        receiptWaits.push(waiter);
+
+      } catch (err) {
+        // SEND for this nonce failed → stop and re-queue the rest, but RELEASE their reservations now.
+        const code   = err?.code || err?.info?.error?.code;
+        const reason = err?.shortMessage || err?.reason || err?.info?.error?.message || err?.message;
+        error(`[SEND-ERR signer=${signer.index} nonce=${nonce}]`, code || '', reason || err);
+        for (const item of group.items) {
+          trace(item.id, 'error', { stage: 'send', code: code ?? null, reason: reason ?? null, signer: signer.address, nonce });
+        }
+
+        // An unfunded signer isn't the job's fault: bench the signer and retry the job elsewhere
+        const signerFault = code === 'INSUFFICIENT_FUNDS';
+        if (signerFault) {
+          setSignerHealth(signer, 'LOW_BALANCE');
+        } else {
+          // mark failed + rollback window for every job merged into this tx
+          for (const item of group.items) {
+            setJob(item.id, { status: 'failed', code, reason });
+            releaseSlot(item, 'failed');
+            sendOnce(item, () => item.res.status(500).json({
+              ok: false, error: 'Transaction failed', code, reason
+            }));
+          }
+        }
+
+        // Re-queue remaining groups' items for NEXT batch **without** reservation (force re-check then)
+        const remaining = groups.slice(signerFault ? i : i + 1).flatMap(g => g.items);
+        for (const rem of remaining) {
+          // release their reservation if they had one
+          if (rem.reservationHeld && rem.windowRef) releaseSlot(rem, 'requeued');
+          rem.reservationHeld = false;
+          rem.windowRef = null;
+
+          // set status back to queued
+          trace(rem.id, 'requeued', { reason: signerFault ? `signer ${signer.address} benched: ${code}` : `send failed at nonce ${nonce}` });
+          setJob(rem.id, { status: 'queued', sentAt: undefined, nonce: undefined, signer: undefined });
+        }
+        // push back to the front (original order) so next batch picks them up first
+        pending.unshift(...remaining);
+        break; // stop sending higher nonces this round
+      }
+    }
+
+    // optional: observe when background waits all settle
+    Promise.allSettled(receiptWaits).then(() => dlog('[BATCH] all receipt waits settled'));
+  }
+
+  /* ---------------- Restart Recovery ---------------- */
+  // The journal restores `jobs`; everything else that lived only in memory is rebuilt from it:
+  // sliding-window slots, the pending queue, and the outcome of txs that were in flight.
+  const windowSlots = new Map(); // jobId -> rebuilt window entry (for re-enqueued items)
+  const reconciling = new Set(); // txHash (or `nonce:N`) currently being watched
+
+  const signerByAddress = (address) => {
+    const a = String(address || '').toLowerCase();
+    return signers.find(s => s.address.toLowerCase() === a) || null;
+  };
+
+  function restoredItem(id, j) {
+    const slot = windowSlots.get(id) || null;
+    return {
+      id,
+      walletAddress: j.walletAddress,
+      score: j.score,
+      addrLower: String(j.walletAddress).toLowerCase(),
+      res: null,                     // nobody is waiting on a restored job; clients poll /jobs/:id
+      responded: false,
+      windowRef: slot,
+      reservationHeld: !!slot,
+      skipWindow: !!j.skipWindow,
+      acceptedAt: j.createdAt
+    };
+  }
+
+  function settleRecovered(ids, receipt) {
+    for (const id of ids) {
+      trace(id, 'receipt', { txHash: receipt.hash, blockNumber: receipt.blockNumber, status: receipt.status, gasUsed: receipt.gasUsed?.toString?.() ?? null });
+    }
+    for (const id of ids) setJob(id, { status: 'mined', txHash: receipt.hash, receipt: receiptSummary(receipt) });
+    log(`[RECOVER] ${ids.length} job(s) mined in block ${receipt.blockNumber}`);
+  }
+
+  function failRecovered(ids, code, reason) {
+    for (const id of ids) {
+      const j = jobs.get(id);
+      trace(id, 'error', { stage: 'recovery', code, reason: reason ?? null });
+      setJob(id, { status: 'failed', code, reason });
+      if (!j?.skipWindow && scoreWindow.rollback(id, String(j?.walletAddress).toLowerCase(), j?.score)) {
+        trace(id, 'window.released', { score: j?.score, why: 'failed' });
+      }
+    }
+    warn(`[RECOVER] ${ids.length} job(s) failed: ${code}`);
+  }
+
+  function requeueRecovered(ids) {
+    for (const id of ids) {
+      trace(id, 'requeued', { reason: 'tx never landed before the restart' });
+      const j = setJob(id, { status: 'queued', sentAt: undefined, nonce: undefined, txHash: undefined, txHashes: undefined });
+      pending.push(restoredItem(id, j));
+    }
+    log(`[RECOVER] ${ids.length} job(s) never landed; re-queued`);
+  }
+
+  /**
+   * Resolve jobs left in 'sent' by a previous process. Jobs sharing a merged tx are handled
+   * together. A tx with a receipt settles; one still in the mempool is handed back to the
+   * nonce manager; one that can't be found is re-queued if its nonce is still free, and
+   * failed only if the chain has moved past that nonce. RPC errors retry later.
+   */
+  async function reconcileInFlight() {
+    const groups = new Map(); // txHash | `<signer>:nonce:N` -> { from, hashes, nonce, ids }
+    for (const [id, j] of jobs.jobs.entries()) {
+      if (j.status !== 'sent') continue;
+      const from = j.signer || signers[0].address; // journals from before the signer pool
+      const key  = j.txHash || `${from}:nonce:${j.nonce}`;
+      if (reconciling.has(key)) continue;
+      if (!groups.has(key)) groups.set(key, { from, hashes: j.txHashes || (j.txHash ? [j.txHash] : []), nonce: j.nonce, ids: [] });
+      groups.get(key).ids.push(id);
+    }
+    if (groups.size === 0) return;
+    log(`[RECOVER] reconciling ${groups.size} in-flight tx(s)`);
+
+    let retry = false;
+    for (const [key, g] of groups) {
+      reconciling.add(key);
+      try {
+        const minedNext = await provider.getTransactionCount(g.from, 'latest');
+        const receipt   = await findReceipt(g.hashes);
+        if (receipt && receipt.status === 1) { settleRecovered(g.ids, receipt); reconciling.delete(key); continue; }
+        if (receipt) { failRecovered(g.ids, 'CALL_EXCEPTION', 'transaction reverted'); reconciling.delete(key); continue; }
+
+        let tx = null;
+        for (let i = g.hashes.length - 1; i >= 0 && !tx; i--) tx = await provider.getTransaction(g.hashes[i]);
+        const signer = signerByAddress(g.from);
+        if (tx && !signer) {
+          // its key was removed from the pool: nothing can bump it, so just look again later
+          reconciling.delete(key);
+          retry = true;
+          continue;
+        }
+        if (tx) {
+          // still in the mempool: the nonce manager watches (and bumps) it like any other
+          trackNonce(signer, tx, g.ids, g.hashes)
+            .then(r => settleRecovered(g.ids, r))
+            .catch(err => failRecovered(g.ids, err?.code || 'TX_FAILED', err?.shortMessage || err?.message))
+            .finally(() => reconciling.delete(key));
+          continue;
+        }
+
+        if (g.nonce != null && minedNext > g.nonce) {
+          failRecovered(g.ids, g.hashes.length ? 'NONCE_CONSUMED' : 'TX_UNKNOWN',
+            `nonce ${g.nonce} was consumed and none of our txs for it can be found`);
+        } else if (!g.hashes.length && g.nonce != null &&
+                   (await provider.getTransactionCount(g.from, 'pending')) > g.nonce) {
+          // crashed before recording the hash, and something is pending at that nonce: wait it out
+          retry = true;
+        } else {
+          requeueRecovered(g.ids);
+        }
+        reconciling.delete(key);
+      } catch (e) {
+        reconciling.delete(key);
+        retry = true;
+        warn(`[RECOVER] ${key} lookup failed (will retry):`, e?.shortMessage || e?.message || e);
+      }
+    }
+    if (retry) clock.setTimeout(reconcileInFlight, 30_000)?.unref?.();
+  }
+
+  /** Load the journal and rebuild windows, the queue and in-flight txs from it. */
+  function recover() {
+    jobs.load();
+    jobs.compact();
+
+    // Windows: every non-failed, window-counted job still inside the window holds a slot again
+    const now = clock.now();
+    for (const [id, j] of jobs.jobs.entries()) {
+      if (j.status === 'queued' || j.status === 'sent') {
+        trace(id, 'recovered', { status: j.status, txHash: j.txHash ?? null, nonce: j.nonce ?? null });
+      }
+      if (j.skipWindow || j.status === 'failed') continue;
+      if (now - (j.createdAt || 0) > scoreWindow.windowMs) continue;
+      windowSlots.set(id, scoreWindow.reserve(String(j.walletAddress).toLowerCase(), j.score, id, j.createdAt));
+      if (j.status === 'queued' || j.status === 'sent') trace(id, 'window.reserved', { score: j.score, slotAt: j.createdAt });
+    }
+
+    // Queue: anything still 'queued' goes back in, oldest first
+    const queued = [...jobs.jobs.entries()]
+      .filter(([, j]) => j.status === 'queued')
+      .sort(([, a], [, b]) => (a.createdAt || 0) - (b.createdAt || 0));
+    for (const [id, j] of queued) pending.push(restoredItem(id, j));
+
+    log(`[STORE] ${jobs.jobs.size} job(s) loaded from ${jobs.journalPath}; re-queued ${queued.length}`);
+    return reconcileInFlight().catch(e => error('[RECOVER] failed:', e?.message || e));
+  }
+
+  /* ---------------- Timers & Drain ---------------- */
+  function start() {
+    batchTimer ??= clock.setInterval(() => { lastBatch = processBatch(); }, batchIntervalMs);
+    pollTimer  ??= clock.setInterval(() => { for (const s of signers) checkInflight(s); }, noncePollMs);
+  }
+
+  function stop() {
+    if (batchTimer) clock.clearInterval(batchTimer);
+    if (pollTimer)  clock.clearInterval(pollTimer);
+    batchTimer = pollTimer = null;
+  }
+
+  const inflightCount = () => signers.reduce((n, s) => n + s.inflight.size, 0);
+
+  /**
+   * For shutdown: stops the timers, sends whatever is queued in one last batch and gives the
+   * txs in flight up to `settleMs` to mine. Every client still waiting then gets 202 + jobId.
+   * Nothing is dropped: unsent jobs stay 'queued' and unmined ones 'sent' in the journal,
+   * and recover() picks them up on the next boot.
+   */
+  async function drain({ settleMs = 0 } = {}) {
+    stop();
+    await lastBatch;
+    await processBatch();
+
+    const until = clock.now() + settleMs;
+    while (inflightCount() && clock.now() < until) {
+      await new Promise(r => clock.setTimeout(r, Math.min(noncePollMs, until - clock.now())));
+      await Promise.all(signers.map(checkInflight));
+    }
+
+    let answered = 0;
+    for (const item of waiting) {
+      const sent = sendOnce(item, () => {
+        item.res.set('X-Job-Id', item.id);
+        item.res.status(202).json({
+          ok: true,
+          queued: true,
+          message: `Server is restarting; the job is kept. Poll /api/v1/jobs/${item.id} for status.`,
+          jobId: item.id,
+          statusUrl: `/api/v1/jobs/${item.id}`,
+          streamUrl: `/api/v1/jobs/stream?ids=${encodeURIComponent(item.id)}`
+        });
+      });
+      if (sent) answered++;
+    }
+    return { answered, queued: pending.length, inflight: inflightCount() };
+  }
+
+  return {
+    pending,
+    enqueue,
+    dequeue,
+    processBatch,
+    checkInflight,
+    trackNonce,
+    findReceipt,
+    reconcileInFlight,
+    recover,
+    drain,
+    /** Starts the batch and nonce-poll timers. */
+    start() {
+      start();
+      return this;
+    },
+    stop
+  };
+}
@@ -0,0 +1,110 @@
+// funds.mjs
+// Signer funds: the burn rate of each signer (gas it actually paid over the last burnWindowMs),
+// its runway at that rate, and a low-funds circuit breaker over the whole pool. The breaker
+// opens when no role-holding signer has minBalanceWei left, or their combined balance drops
+// below breakerBalanceWei, so no tx is sent that can only fail for funds. It closes on the
+// first evaluate() that sees enough again (balances come from the server's periodic checks).
+import { ethers } from 'ethers';
+import { systemClock } from './clock.mjs';
+
+const HOUR_MS = 60 * 60_000;
+
+/**
+ * `signers` is the live pool (see dispatcher.mjs); only `address`, `balance` (wei bigint or
+ * null while unknown), `hasRole` and `reason` are read. `onChange(status)` fires when the
+ * breaker opens or closes.
+ */
+export function createFundsMonitor({
+  signers,
+  minBalanceWei,
+  breakerBalanceWei = minBalanceWei,
+  burnWindowMs = HOUR_MS,
+  clock = systemClock,
+  onChange = () => {}
+}) {
+  const spends = new Map(); // address -> [{ at, wei }], oldest first
+  const startedAt = clock.now();
+  let open = false;
+  let openedAt = null;
+  let reason = null;
+
+  function recent(address, now = clock.now()) {
+    const list = spends.get(address) || [];
+    while (list.length && now - list[0].at > burnWindowMs) list.shift();
+    return list;
+  }
+
+  /** Record gas paid by `signer` (wei). */
+  function noteSpend(signer, wei) {
+    if (!(wei > 0n)) return;
+    if (!spends.has(signer.address)) spends.set(signer.address, []);
+    spends.get(signer.address).push({ at: clock.now(), wei });
+  }
+
+  /** Wei per hour over the window (or since start, if that is shorter; at least a minute). */
+  function burnPerHour(signer) {
+    const now  = clock.now();
+    const sum  = recent(signer.address, now).reduce((n, s) => n + s.wei, 0n);
+    const span = Math.min(burnWindowMs, Math.max(now - startedAt, 60_000));
+    return sum * BigInt(HOUR_MS) / BigInt(span);
+  }
+
+  /** Ms until `balance` is gone at `perHour`; null when nothing is being spent or it's unknown. */
+  function runway(balance, perHour) {
+    if (balance == null || perHour === 0n) return null;
+    return Number(balance * BigInt(HOUR_MS) / perHour);
+  }
+
+  /** Re-decide the breaker from the current balances. Returns whether it is open. */
+  function evaluate() {
+    const pool  = signers.filter(s => s.hasRole !== false);
+    const known = pool.filter(s => s.balance != null);
+    if (!known.length) return open; // nothing checked yet
+
+    const total  = known.reduce((n, s) => n + s.balance, 0n);
+    // a send refused for funds benches a signer before its next balance check
+    const funded = pool.filter(s => s.reason !== 'LOW_BALANCE' && (s.balance == null || s.balance >= minBalanceWei)).length;
+    const why = funded === 0 ? 'NO_FUNDED_SIGNER'
+      : (known.length === pool.length && total < breakerBalanceWei) ? 'POOL_BELOW_THRESHOLD'
+      : null;
+
+    reason = why;
+    if (!!why !== open) {
+      open = !!why;
+      openedAt = open ? clock.now() : null;
+      onChange(status());
+    }
+    return open;
+  }
+
+  function status() {
+    const pool    = signers.filter(s => s.hasRole !== false);
+    const known   = pool.filter(s => s.balance != null);
+    const total   = known.length ? known.reduce((n, s) => n + s.balance, 0n) : null;
+    const perHour = pool.reduce((n, s) => n + burnPerHour(s), 0n);
+    return {
+      breaker: open ? 'open' : 'closed',
+      reason,
+      openedAt,
+      thresholdBalance: ethers.formatEther(breakerBalanceWei),
+      minSignerBalance: ethers.formatEther(minBalanceWei),
+      totalBalance: total == null ? null : ethers.formatEther(total),
+      burnPerHour: ethers.formatEther(perHour),
+      runwayMs: runway(total, perHour),
+      burnWindowMs
+    };
+  }
+
+  return {
+    noteSpend,
+    burnPerHour,
+    evaluate,
+    status,
+    isOpen: () => open,
+    /** Per-signer figures for /health. */
+    signerStatus(signer) {
+      const perHour = burnPerHour(signer);
+      return { burnPerHour: ethers.formatEther(perHour), runwayMs: runway(signer.balance, perHour) };
+    }
+  };
+}
@@ -0,0 +1,199 @@
+// history.mjs
+// Per-wallet submission history. Every status change of a job is appended to its own journal
+// (last line per job wins, like jobs.jsonl) and indexed by wallet in memory. It keeps only the
+// fields a player or support needs and outlives the job registry's retention, so "where did my
+// points go?" can still be answered after the job itself is gone.
+import fs from 'node:fs';
+import path from 'node:path';
+import { systemClock } from './clock.mjs';
+
+export const HISTORY_STATUSES = ['queued', 'sent', 'mined', 'failed'];
+
+/** Where a job came from: a play session, an admin action, or a plain /submitscore. */
+function sourceOf(job) {
+  if (job.sessionId) return 'session';
+  if (job.action) return 'admin';
+  return 'submit';
+}
+
+/** The history row for a job record (see jobs.mjs). */
+export function historyEntry(id, job) {
+  return {
+    jobId: id,
+    walletAddress: job.walletAddress,
+    score: job.score,
+    status: job.status,
+    txHash: job.txHash ?? null,
+    blockNumber: job.receipt?.blockNumber ?? null,
+    code: job.status === 'failed' ? (job.code ?? null) : null,
+    reason: job.status === 'failed' ? (job.reason ?? null) : null,
+    source: sourceOf(job),
+    action: job.action ?? null,
+    sessionId: job.sessionId ?? null,
+    level: job.level ?? null,
+    seq: job.seq ?? null,
+    mergedJobs: job.mergedJobs ?? null,
+    createdAt: job.createdAt,
+    sentAt: job.sentAt ?? null
+  };
+}
+
+const CSV_COLUMNS = [
+  'createdAt', 'jobId', 'score', 'status', 'txHash', 'blockNumber', 'code', 'reason',
+  'source', 'action', 'sessionId', 'level', 'seq', 'settledAt'
+];
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Epoch ms from an ISO date/time or epoch-ms query value; null when absent, NaN when unreadable
+ * or outside what a Date can hold (so it can always be turned back into an ISO string).
+ */
+export function parseTimeParam(v) {
+  if (v == null || v === '') return null;
+  const s = String(v);
+  const t = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  return Number.isFinite(new Date(t).getTime()) ? t : NaN;
+}
+
+/** CSV with a header row; timestamps as ISO strings. */
+export function historyCsv(entries) {
+  const iso = t => (t == null ? null : new Date(t).toISOString());
+  const rows = entries.map(e => CSV_COLUMNS.map(c => csvCell(c.endsWith('At') ? iso(e[c]) : e[c])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * record(id, job) upserts a job's row; `settledAt` is stamped the first time it is seen mined
+ * or failed. Rows older than `retentionMs` (by createdAt; 0 keeps everything) are dropped on
+ * load and by the hourly purge once started.
+ */
+export function createHistoryStore({
+  journalPath,
+  retentionMs = 0,
+  clock = systemClock,
+  log = () => {},
+  error = log
+}) {
+  const byId = new Map();     // jobId -> entry
+  const byWallet = new Map(); // addrLower -> entries, oldest first
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  let journalLines = 0;
+  let purger = null;
+
+  const walletKey = addr => String(addr || '').toLowerCase();
+
+  function index(entry) {
+    const prev = byId.get(entry.jobId);
+    byId.set(entry.jobId, entry);
+    const key = walletKey(entry.walletAddress);
+    let list = byWallet.get(key);
+    if (!list) byWallet.set(key, list = []);
+    if (prev) {
+      list[list.indexOf(prev)] = entry;
+      return;
+    }
+    let i = list.length;
+    while (i > 0 && list[i - 1].createdAt > entry.createdAt) i--;
+    list.splice(i, 0, entry);
+  }
+
+  function unindex(entry) {
+    byId.delete(entry.jobId);
+    const key  = walletKey(entry.walletAddress);
+    const list = byWallet.get(key) || [];
+    const i = list.indexOf(entry);
+    if (i >= 0) list.splice(i, 1);
+    if (!list.length) byWallet.delete(key);
+  }
+
+  function compact() {
+    const tmp  = `${journalPath}.tmp`;
+    const body = [...byId.values()].map(e => JSON.stringify(e) + '\n').join('');
+    fs.writeFileSync(tmp, body);
+    fs.renameSync(tmp, journalPath);
+    journalLines = byId.size;
+  }
+
+  const expired = (entry, now) => retentionMs > 0 && (entry.createdAt || 0) < now - retentionMs;
+
+  function load() {
+    if (!fs.existsSync(journalPath)) return;
+    let bad = 0;
+    let lines = 0;
+    for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      lines++;
+      try {
+        index(JSON.parse(line));
+      } catch {
+        bad++; // torn tail after a crash
+      }
+    }
+    journalLines = lines;
+    const now = clock.now();
+    for (const entry of [...byId.values()]) if (expired(entry, now)) unindex(entry);
+    if (bad) log(`[HISTORY] skipped ${bad} unreadable journal line(s)`);
+    compact();
+  }
+
+  function record(id, job) {
+    if (!job?.walletAddress) return null;
+    const prev  = byId.get(id);
+    const entry = historyEntry(id, job);
+    const settled = entry.status === 'mined' || entry.status === 'failed';
+    entry.settledAt = settled ? (prev?.settledAt ?? clock.now()) : null;
+    if (prev && Object.keys(entry).every(k => prev[k] === entry[k])) return prev; // nothing new
+    index(entry);
+    try {
+      fs.appendFileSync(journalPath, JSON.stringify(entry) + '\n');
+      if (++journalLines > 2 * byId.size + 1000) compact();
+    } catch (e) {
+      error('[HISTORY] journal write failed:', e?.message || e);
+    }
+    return entry;
+  }
+
+  function purgeExpired() {
+    const now = clock.now();
+    let purged = 0;
+    for (const entry of [...byId.values()]) {
+      if (expired(entry, now)) { unindex(entry); purged++; }
+    }
+    if (purged) {
+      try { compact(); } catch (e) { error('[HISTORY] compaction failed:', e?.message || e); }
+    }
+    return purged;
+  }
+
+  /**
+   * A wallet's rows, filtered by createdAt (`from` inclusive, `to` exclusive, epoch ms) and
+   * status, ordered by createdAt ('desc' = newest first).
+   */
+  function query(walletAddress, { from = null, to = null, status = null, order = 'desc' } = {}) {
+    const rows = (byWallet.get(walletKey(walletAddress)) || []).filter(e =>
+      (from == null || e.createdAt >= from) &&
+      (to == null || e.createdAt < to) &&
+      (!status || e.status === status));
+    return order === 'asc' ? rows : rows.reverse();
+  }
+
+  return {
+    journalPath,
+    get: id => byId.get(id),
+    get size() { return byId.size; },
+    load, record, query, compact, purgeExpired,
+    start() {
+      purger ??= clock.setInterval(purgeExpired, 60 * 60_000);
+      return this;
+    },
+    stop() {
+      if (purger) clock.clearInterval(purger);
+      purger = null;
+    }
+  };
+}
@@ -0,0 +1,258 @@
+// jobs.mjs
+// Job registry: every submission's status, persisted to an append-only journal so a restart
+// can pick up where the last process stopped. Status changes are published on `events`.
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import path from 'node:path';
+import { systemClock } from './clock.mjs';
+
+/** Public shape of a job, as served by /api/v1/jobs/:id and the job stream. */
+export function jobView(id, job) {
+  if (job.status === 'mined') {
+    return {
+      ok: true,
+      status: job.status,
+      jobId: id,
+      txHash: job.txHash,
+      blockNumber: job.receipt?.blockNumber,
+      statusCode: job.receipt?.status,
+      gasUsed: job.receipt?.gasUsed?.toString?.(),
+      to: job.receipt?.to,
+      from: job.receipt?.from,
+      nonce: job.nonce,
+      mergedJobs: job.mergedJobs ?? 1,
+      txScoreAmount: job.txScoreAmount ?? null
+    };
+  }
+
+  if (job.status === 'failed') {
+    return {
+      ok: false,
+      status: job.status,
+      jobId: id,
+      code: job.code,
+      reason: job.reason
+    };
+  }
+
+  // queued | sent
+  return {
+    ok: true,
+    status: job.status,
+    jobId: id,
+    sentAt: job.sentAt ?? null,
+    txHash: job.txHash ?? null,
+    mergedJobs: job.mergedJobs ?? null
+  };
+}
+
+export function receiptSummary(receipt) {
+  return {
+    blockNumber: receipt.blockNumber,
+    status: receipt.status,
+    gasUsed: receipt.gasUsed?.toString?.(),
+    to: receipt.to,
+    from: receipt.from
+  };
+}
+
+/**
+ * jobs[jobId] = {
+ *   status: 'queued'|'sent'|'mined'|'failed',
+ *   createdAt, sentAt?,
+ *   walletAddress, score, skipWindow,
+ *   nonce?, txHash?, receipt?,   // receipt is a plain summary (see receiptSummary)
+ *   code?, reason?,
+ *   idempotencyKey?, requestHash?  // see byIdempotencyKey
+ * }
+ *
+ * Every write goes through set(), which also appends the full record to `journalPath`. On
+ * load the last line per job wins; the file is rewritten as a snapshot on boot and whenever it
+ * grows well past the live job count. `onSettled(rec, id)` fires once per job reaching mined/failed.
+ *
+ * Alongside the record, each job keeps an in-memory trace: its lifecycle events in order
+ * ({ at, event, ...fields }, written by the dispatcher through trace()). Traces are not
+ * journalled; a job recovered after a restart starts a new one with a 'recovered' event.
+ */
+export function createJobRegistry({
+  journalPath,
+  retentionMs,
+  maxTraceEvents = 100,
+  clock = systemClock,
+  log = () => {},
+  error = log,
+  onSettled = () => {},
+  onTrace = () => {}
+}) {
+  const jobs = new Map();
+  const byKey = new Map(); // idempotencyKey -> jobId
+  const traces = new Map(); // jobId -> { events, dropped }
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  let journalLines = 0;
+  let purger = null;
+
+  function load() {
+    if (!fs.existsSync(journalPath)) return;
+    let bad = 0;
+    for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const { id, ...rec } = JSON.parse(line);
+        jobs.set(id, rec);
+      } catch {
+        bad++; // torn tail after a crash
+      }
+    }
+    const cutoff = clock.now() - retentionMs;
+    for (const [id, j] of jobs.entries()) {
+      if ((j.createdAt || 0) < cutoff) jobs.delete(id);
+      else if (j.idempotencyKey) byKey.set(j.idempotencyKey, id);
+    }
+    if (bad) log(`[STORE] skipped ${bad} unreadable journal line(s)`);
+  }
+
+  function compact() {
+    const tmp  = `${journalPath}.tmp`;
+    const body = [...jobs.entries()].map(([id, j]) => JSON.stringify({ id, ...j }) + '\n').join('');
+    fs.writeFileSync(tmp, body);
+    fs.renameSync(tmp, journalPath);
+    journalLines = jobs.size;
+  }
+
+  function set(id, patch) {
+    const prev = jobs.get(id);
+    const rec  = { ...(prev || {}), ...patch };
+    jobs.set(id, rec);
+    if (rec.idempotencyKey) byKey.set(rec.idempotencyKey, id);
+    if ((rec.status === 'mined' || rec.status === 'failed') && prev?.status !== rec.status) onSettled(rec, id);
+    if (prev?.status !== rec.status || prev?.txHash !== rec.txHash) {
+      events.emit('job', id, rec);
+    }
+    try {
+      fs.appendFileSync(journalPath, JSON.stringify({ id, ...rec }) + '\n');
+      if (++journalLines > 2 * jobs.size + 1000) compact();
+    } catch (e) {
+      error('[STORE] journal write failed:', e?.message || e);
+    }
+    return rec;
+  }
+
+  /** Append a lifecycle event to a job's trace; past maxTraceEvents the oldest after the first go. */
+  function trace(id, event, fields = {}) {
+    let t = traces.get(id);
+    if (!t) traces.set(id, t = { events: [], dropped: 0 });
+    const entry = { at: clock.now(), event, ...fields };
+    t.events.push(entry);
+    if (t.events.length > maxTraceEvents) {
+      t.events.splice(1, 1); // keep 'accepted' (or 'recovered') at the head
+      t.dropped++;
+    }
+    onTrace(id, entry);
+    return entry;
+  }
+
+  /** Drops settled jobs past retention and rewrites the journal. */
+  function purgeExpired() {
+    const cutoff = clock.now() - retentionMs;
+    let purged = 0;
+    for (const [id, j] of jobs.entries()) {
+      if (j.status !== 'queued' && j.status !== 'sent' && (j.createdAt || 0) < cutoff) {
+        jobs.delete(id);
+        traces.delete(id);
+        if (j.idempotencyKey && byKey.get(j.idempotencyKey) === id) byKey.delete(j.idempotencyKey);
+        purged++;
+      }
+    }
+    if (purged) {
+      try { compact(); } catch (e) { error('[STORE] compaction failed:', e?.message || e); }
+    }
+    return purged;
+  }
+
+  /**
+   * Serves `events` as Server-Sent Events on an open response: one `job` event (jobView) per
+   * status or txHash change of a followed job, current state first. Follows the listed `ids`
+   * (ending with `done` once all are settled or unknown), every job of `walletAddress`, or with
+   * `all` every job. Its listener and keepalive go away when the client disconnects (req 'close').
+   */
+  function stream(req, res, { ids = [], walletAddress = null, all = false, keepaliveMs = 15_000 }) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+    });
+    res.flushHeaders();
+
+    const addrLower = walletAddress?.toLowerCase() ?? null;
+    const waiting   = new Set(ids);
+    const open      = all || !!addrLower; // follows new jobs until the client leaves
+    const terminal  = (j) => j.status === 'mined' || j.status === 'failed';
+    const follows   = (j) => all || (addrLower && String(j.walletAddress || '').toLowerCase() === addrLower);
+    const send      = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const finishIfDone = () => {
+      if (open || waiting.size) return false;
+      send('done', { ok: true });
+      res.end();
+      return true;
+    };
+
+    const onJob = (id, job) => {
+      if (res.writableEnded) return;
+      if (!waiting.has(id) && !follows(job)) return;
+      send('job', jobView(id, job));
+      if (terminal(job)) waiting.delete(id);
+      finishIfDone();
+    };
+
+    const keepalive = clock.setInterval(() => res.write(': ping\n\n'), keepaliveMs);
+    events.on('job', onJob);
+    req.on('close', () => {
+      clock.clearInterval(keepalive);
+      events.off('job', onJob);
+    });
+
+    // Snapshot: requested ids as they stand now, or the followed jobs still unfinished
+    for (const id of ids) {
+      const job = jobs.get(id);
+      if (!job) {
+        send('job', { ok: false, jobId: id, error: 'JOB_NOT_FOUND' });
+        waiting.delete(id);
+        continue;
+      }
+      send('job', jobView(id, job));
+      if (terminal(job)) waiting.delete(id);
+    }
+    if (open) {
+      for (const [id, job] of jobs.entries()) {
+        if (!terminal(job) && !waiting.has(id) && follows(job)) send('job', jobView(id, job));
+      }
+    }
+    finishIfDone();
+  }
+
+  return {
+    jobs, events, journalPath,
+    get: id => jobs.get(id),
+    /** Id of the job created under `idempotencyKey`, while that job is retained. */
+    byIdempotencyKey: key => byKey.get(key),
+    set, load, compact, purgeExpired, trace, stream,
+    /** The job's trace so far, or null if nothing was traced for it in this process. */
+    traceOf: id => {
+      const t = traces.get(id);
+      return t ? { events: [...t.events], dropped: t.dropped } : null;
+    },
+    start() {
+      purger ??= clock.setInterval(purgeExpired, 60_000);
+      return this;
+    },
+    stop() {
+      if (purger) clock.clearInterval(purger);
+      purger = null;
+    }
+  };
+}
@@ -0,0 +1,304 @@
+// leaderboard.mjs
+// Monad Games ID leaderboard scraper: walks the site's paginated leaderboard into one payload
+// per game and caches it. Readers get the cached board (fresh, or stale while a single refresh
+// runs); an optional refresher keeps boards that are being read warm.
+import { systemClock } from './clock.mjs';
+
+const noopMetric = { inc() {}, startTimer: () => () => {} };
+
+/**
+ * Parse the Next.js streamed HTML for the leaderboard JSON payload,
+ * then normalize for a single page (scores + transactions).
+ */
+export function extractLeaderboardFromHtml(html, wantedGameId, { reqId = '', dlog } = {}) {
+  const rePush = /self\.__next_f\.push\(\[1,"((?:\\.|[^"\\])*)"\]\)/g;
+  let match;
+  let pushes = 0;
+  let hits = 0;
+
+  while ((match = rePush.exec(html)) !== null) {
+    pushes++;
+    const captured = match[1];
+    let decoded;
+    try { decoded = JSON.parse(`"${captured}"`); } catch { continue; }
+    const colon = decoded.indexOf(':');
+    if (colon === -1) continue;
+
+    const arrJson = decoded.slice(colon + 1);
+    let arr;
+    try { arr = JSON.parse(arrJson); } catch { continue; }
+    if (!Array.isArray(arr) || arr.length < 4 || typeof arr[3] !== 'object' || arr[3] === null) continue;
+
+    const payload = arr[3];
+
+    const rootGameId = payload.gameId ?? null;
+    const scoreHasWanted = Array.isArray(payload.scoreData) && payload.scoreData.some(x => Number(x.gameId) === Number(wantedGameId));
+    const txHasWanted    = Array.isArray(payload.transactionData) && payload.transactionData.some(x => Number(x.gameId) === Number(wantedGameId));
+
+    if (Number(rootGameId) === Number(wantedGameId) || scoreHasWanted || txHasWanted) {
+      hits++;
+
+      const normScore = (payload.scoreData || [])
+        .filter(x => Number(x.gameId) === Number(wantedGameId))
+        .map(({ userId, username, walletAddress, score, gameId, gameName, rank }) => ({
+          userId, username, walletAddress, score,
+          gameId: Number(gameId), gameName, rank: Number(rank)
+        }))
+        .sort((a, b) => a.rank - b.rank);
+
+      const normTx = (payload.transactionData || [])
+        .filter(x => Number(x.gameId) === Number(wantedGameId))
+        .map(({ userId, username, walletAddress, transactionCount, gameId, gameName, rank }) => ({
+          userId, username, walletAddress, transactionCount,
+          gameId: Number(gameId), gameName, rank: Number(rank)
+        }))
+        .sort((a, b) => a.rank - b.rank);
+
+      dlog?.(`[LB ${reqId}] pushes=${pushes} matched=${hits} (gameId=${wantedGameId})`);
+      return {
+        ok: true,
+        gameId: Number(wantedGameId),
+        gameName: normScore[0]?.gameName || normTx[0]?.gameName || payload.gameName || null,
+        lastUpdated: payload.lastUpdated || null,
+        scorePagination: payload.scorePagination || null,
+        transactionPagination: payload.transactionPagination || null,
+        scoreData: normScore,
+        transactionData: normTx
+      };
+    }
+  }
+
+  dlog?.(`[LB ${reqId}] pushes scanned=${pushes}, no payload matched gameId=${wantedGameId}`);
+  return { ok: false, error: 'PAYLOAD_NOT_FOUND_FOR_GAME' };
+}
+
+/** Merge + de-dupe by userId+walletAddress (defensive, pages *should* be unique already). */
+function mergeResults(acc, pageData) {
+  const key = (u) => `${u.userId}::${u.walletAddress}`;
+  for (const row of pageData.scoreData || []) {
+    const k = key(row);
+    if (!acc.scoreSeen.has(k)) {
+      acc.scoreSeen.add(k);
+      acc.scoreData.push(row);
+    }
+  }
+  for (const row of pageData.transactionData || []) {
+    const k = key(row);
+    if (!acc.txSeen.has(k)) {
+      acc.txSeen.add(k);
+      acc.transactionData.push(row);
+    }
+  }
+}
+
+/**
+ * cache[gameId] = { ts, data, readAt }. Past `cacheMs` an entry is served stale (while a
+ * single refresh runs) until `maxStaleMs`; after that readers wait for the refresh.
+ * `onBoard(data)` sees every freshly walked board; `skipRefresh(gameId)` lets the refresher
+ * leave alone boards that are served from elsewhere. `metrics` takes the `cache` counter and
+ * `upstream` histogram (prom-client style, optional).
+ */
+export function createLeaderboardScraper({
+  fetch,
+  baseUrl,
+  cacheMs,
+  maxStaleMs,
+  refreshMs = 0,
+  maxPageWalk = 50, // hard cap so we never hammer upstream
+  clock = systemClock,
+  log = () => {},
+  warn = log,
+  dlog = () => {},
+  metrics = {},
+  onBoard = () => {},
+  skipRefresh = () => false
+}) {
+  const m = { cache: noopMetric, upstream: noopMetric, ...metrics };
+  const cache = new Map();
+  const refreshing = new Map(); // gameId -> promise of the page walk in progress
+  let refresher = null;
+
+  /** Fetch and parse ONE page from upstream. */
+  async function fetchPage({ gameId, page, reqId }) {
+    const url = new URL(baseUrl);
+    url.searchParams.set('gameId', String(gameId));
+    url.searchParams.set('page', String(page));
+
+    dlog(`[LB ${reqId}] fetching ${url.toString()}`);
+    const endTimer = m.upstream.startTimer();
+    let outcome = 'error';
+    try {
+      const resp = await fetch(url.toString(), {
+        method: 'GET',
+        headers: {
+          'User-Agent': 'score-middleware/1.0',
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        }
+      });
+
+      const html = await resp.text();
+      if (!resp.ok || !html) {
+        outcome = `http_${resp.status}`;
+        throw new Error(`UPSTREAM_ERROR status=${resp.status}`);
+      }
+
+      const parsed = extractLeaderboardFromHtml(html, gameId, { reqId, dlog });
+      if (!parsed.ok) {
+        outcome = 'parse_error';
+        throw new Error(parsed.error || 'PARSE_ERROR');
+      }
+
+      outcome = 'ok';
+      return { parsed, url: url.toString() };
+    } finally {
+      endTimer({ outcome });
+    }
+  }
+
+  /** Walk all pages and return a single aggregated payload. */
+  async function fetchAllPages({ gameId, reqId }) {
+    const pagesFetched = [];
+    const acc = {
+      scoreData: [],
+      transactionData: [],
+      scoreSeen: new Set(),
+      txSeen: new Set(),
+      gameName: null,
+      lastUpdated: null,
+      scorePagination: null,
+      transactionPagination: null
+    };
+
+    // Page 1: discover totalPages
+    const first = await fetchPage({ gameId, page: 1, reqId });
+    pagesFetched.push(first.url);
+
+    acc.gameName = first.parsed.gameName || acc.gameName;
+    acc.lastUpdated = first.parsed.lastUpdated || acc.lastUpdated;
+    acc.scorePagination = first.parsed.scorePagination || acc.scorePagination;
+    acc.transactionPagination = first.parsed.transactionPagination || acc.transactionPagination;
+
+    mergeResults(acc, first.parsed);
+
+    const tpScore = Number(acc.scorePagination?.totalPages ?? 1);
+    const tpTx    = Number(acc.transactionPagination?.totalPages ?? 1);
+    const totalPages = Math.max(1, tpScore, tpTx);
+    dlog(`[LB ${reqId}] totalPages (max of score/tx) = ${totalPages}`);
+
+    // Walk the rest
+    const hardCap = Math.min(maxPageWalk, totalPages);
+    for (let page = 2; page <= hardCap; page++) {
+      try {
+        const { parsed, url } = await fetchPage({ gameId, page, reqId });
+        pagesFetched.push(url);
+
+        // If a page returns empty arrays (common for > totalPages), stop early.
+        const empty = (!parsed.scoreData?.length) && (!parsed.transactionData?.length);
+        if (empty) {
+          dlog(`[LB ${reqId}] page ${page} returned no data, stopping.`);
+          break;
+        }
+
+        mergeResults(acc, parsed);
+
+        // Track the latest "lastUpdated" we see
+        acc.lastUpdated = parsed.lastUpdated || acc.lastUpdated;
+      } catch (e) {
+        // If something goes wrong mid-walk, bail out but keep what we have from earlier pages.
+        warn(`[LB ${reqId}] stopping at page due to ${e?.message || e}`);
+        break;
+      }
+    }
+
+    // Final sort by rank (just to be sure)
+    acc.scoreData.sort((a, b) => a.rank - b.rank);
+    acc.transactionData.sort((a, b) => a.rank - b.rank);
+
+    return {
+      ok: true,
+      gameId: Number(gameId),
+      gameName: acc.gameName || null,
+      lastUpdated: acc.lastUpdated || null,
+      scorePagination: acc.scorePagination || null,
+      transactionPagination: acc.transactionPagination || null,
+      scoreData: acc.scoreData,
+      transactionData: acc.transactionData,
+      source: {
+        base: baseUrl,
+        pages: pagesFetched,
+        fetchedAt: new Date(clock.now()).toISOString()
+      }
+    };
+  }
+
+  /**
+   * Walks the upstream pages into the cache. Single-flight per game: callers arriving while a
+   * walk is running share its promise instead of starting their own.
+   */
+  function refresh(gameId, reqId) {
+    const running = refreshing.get(gameId);
+    if (running) return running;
+
+    const walk = fetchAllPages({ gameId, reqId })
+      .then((data) => {
+        if (data?.ok) {
+          cache.set(gameId, { ts: clock.now(), data, readAt: cache.get(gameId)?.readAt ?? clock.now() });
+          onBoard(data);
+        }
+        return data;
+      })
+      .finally(() => refreshing.delete(gameId));
+    refreshing.set(gameId, walk);
+    return walk;
+  }
+
+  /** Cached board for a game (fresh, or stale while one refresh runs). Returns { data, cached, stale }. */
+  async function get(gameId, reqId) {
+    const cached = cache.get(gameId);
+    const age = cached ? clock.now() - cached.ts : Infinity;
+    if (cached) cached.readAt = clock.now();
+
+    if (age < cacheMs) {
+      dlog(`[LB ${reqId}] cache hit for gameId=${gameId}`);
+      m.cache.inc({ result: 'hit' });
+      return { data: cached.data, cached: true, stale: false };
+    }
+    if (age < maxStaleMs) {
+      dlog(`[LB ${reqId}] serving stale (${Math.round(age / 1000)}s) for gameId=${gameId}`);
+      m.cache.inc({ result: 'stale' });
+      refresh(gameId, reqId).catch(e => warn(`[LB ${reqId}] background refresh failed:`, e?.message || e));
+      return { data: cached.data, cached: true, stale: true };
+    }
+
+    m.cache.inc({ result: refreshing.has(gameId) ? 'coalesced' : 'miss' });
+    const data = await refresh(gameId, reqId);
+    return { data, cached: false, stale: false };
+  }
+
+  // Keeps boards that are being read fresh, so readers rarely wait on (or even see) a stale walk
+  function refreshReadBoards() {
+    const now = clock.now();
+    for (const [gameId, entry] of cache) {
+      if (now - entry.readAt > maxStaleMs) continue; // nobody is reading it
+      if (now - entry.ts < cacheMs) continue;
+      if (skipRefresh(gameId)) continue;
+      refresh(gameId, 'refresher').catch(e => warn('[LB refresher] refresh failed:', e?.message || e));
+    }
+  }
+
+  return {
+    cache,
+    refresh,
+    get,
+    refreshReadBoards,
+    /** Starts the refresher (no-op when `refreshMs` is 0). */
+    start() {
+      if (refreshMs > 0) refresher ??= clock.setInterval(refreshReadBoards, refreshMs);
+      return this;
+    },
+    stop() {
+      if (refresher) clock.clearInterval(refresher);
+      refresher = null;
+    }
+  };
+}
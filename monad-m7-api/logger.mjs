@@ -0,0 +1,91 @@
+// logger.mjs
+// Leveled logger. `json` writes one object per line ({ time, level, msg, ...fields }) for log
+// shippers; `text` keeps the old console look for local runs. Fields whose names look like
+// credentials are redacted wherever they appear, and `context()` (e.g. the current request id
+// from AsyncLocalStorage) is merged into every line.
+import util from 'node:util';
+import { systemClock } from './clock.mjs';
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Matched anywhere in a field or query-parameter name (authorization, x-admin-key, launchToken, ...)
+const SENSITIVE = /authorization|cookie|passw(or)?d|secret|token|(private|api|admin)[-_]?key|signature|^sig$/i;
+const REDACTED  = '[REDACTED]';
+
+/** Deep copy of `value` with sensitive keys masked; Errors become { message, code }. */
+export function redact(value, depth = 0) {
+  if (value == null || typeof value !== 'object') return typeof value === 'bigint' ? value.toString() : value;
+  if (depth > 6) return '[…]';
+  if (value instanceof Error) {
+    return { message: value.shortMessage || value.message, ...(value.code != null ? { code: value.code } : {}) };
+  }
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = SENSITIVE.test(k) ? REDACTED : redact(v, depth + 1);
+  return out;
+}
+
+/** `url` with the values of sensitive query parameters masked. */
+export function redactUrl(url) {
+  const q = url.indexOf('?');
+  if (q === -1) return url;
+  const params = new URLSearchParams(url.slice(q + 1));
+  for (const k of [...params.keys()]) if (SENSITIVE.test(k)) params.set(k, REDACTED);
+  return `${url.slice(0, q)}?${params.toString()}`;
+}
+
+/**
+ * Turns console-style arguments into (msg, fields): strings and numbers are joined into `msg`,
+ * an Error becomes `err`, other values land in `data`. A leading `[TAG id]` is kept in `msg`
+ * and also split out as `tag`, so old free-form lines stay filterable.
+ */
+export function fromConsoleArgs(args) {
+  const parts = [];
+  const fields = {};
+  for (const a of args) {
+    if (a instanceof Error) fields.err = a;
+    else if (a !== null && typeof a === 'object') (fields.data ??= []).push(a);
+    else parts.push(typeof a === 'string' ? a : util.format('%s', a));
+  }
+  if (fields.data?.length === 1) fields.data = fields.data[0];
+  const msg = parts.join(' ');
+  const tag = /^\[([A-Za-z][\w-]*)\b/.exec(msg)?.[1];
+  if (tag) fields.tag = tag;
+  return [msg, fields];
+}
+
+export function createLogger({
+  level = 'info',
+  format = 'json',
+  base = {},
+  context = () => null,
+  write = line => process.stdout.write(line + '\n'),
+  clock = systemClock
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function emit(lvl, msg, fields) {
+    if (LEVELS[lvl] < threshold) return;
+    const time = new Date(clock.now()).toISOString();
+    const rec  = redact({ ...base, ...(context() || {}), ...fields });
+    if (format === 'text') {
+      const extra = Object.entries(rec)
+        .filter(([k]) => k !== 'tag')
+        .map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`)
+        .join(' ');
+      write(`${time}${lvl === 'info' ? '' : ` ${lvl.toUpperCase()}`} ${msg}${extra ? ` ${extra}` : ''}`);
+    } else {
+      write(JSON.stringify({ time, level: lvl, msg, ...rec }));
+    }
+  }
+
+  const logger = {
+    level,
+    enabled: lvl => LEVELS[lvl] >= threshold,
+    child: bindings => createLogger({ level, format, base: { ...base, ...bindings }, context, write, clock }),
+    /** Console-style `(...args)` logging at `lvl`, for call sites that build a message string. */
+    console: lvl => (...args) => emit(lvl, ...fromConsoleArgs(args))
+  };
+  for (const lvl of Object.keys(LEVELS)) logger[lvl] = (msg, fields = {}) => emit(lvl, msg, fields);
+  return logger;
+}
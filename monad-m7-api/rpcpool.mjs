@@ -0,0 +1,256 @@
+// rpcpool.mjs
+// JSON-RPC provider over several endpoints (RPC_URL=url1,url2,...). Each call goes to the
+// best-scored endpoint (latency and error-rate averages, block lag) and fails over to the next
+// one on transport failures: timeouts, connection errors, HTTP errors and rate limits. JSON-RPC
+// errors such as a revert are the chain's answer and pass straight through. An endpoint that
+// keeps failing sits out a cooldown; a background probe tracks every endpoint's head and chain
+// id, so a node on the wrong chain is never used and a recovered one comes back.
+//
+// Nonce and block-number reads ask `quorum` endpoints at once. When they disagree the safe side
+// wins: the highest pending nonce (a nonce is never handed out twice), otherwise the lowest value
+// (a nonce is not called consumed, nor a block confirmed, before every node has seen it).
+import { ethers } from 'ethers';
+import { systemClock } from './clock.mjs';
+
+const QUORUM_METHODS = new Set(['eth_getTransactionCount', 'eth_blockNumber']);
+const RATE_LIMIT_CODES = new Set([429, -32005]); // JSON-RPC "limit exceeded" that arrives with HTTP 200
+const EWMA = 0.2;
+
+/** Scheme and host of an endpoint; any path or query (where providers put API keys) is masked. */
+export function endpointLabel(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host}${u.pathname.length > 1 || u.search ? '/…' : ''}`;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+class TransportError extends Error {}
+
+/**
+ * `urls` in order of preference (ties go to the earlier one). `metrics.requests`, when set, is a
+ * counter incremented with { endpoint, outcome: ok|error }; it may be filled in after construction.
+ */
+export class RpcPool extends ethers.JsonRpcApiProvider {
+  constructor(urls, {
+    network,
+    timeoutMs = 8_000,
+    quorum = Math.min(2, urls.length),
+    failuresToCooldown = 3,
+    cooldownMs = 30_000,
+    probeMs = 15_000,
+    maxLagBlocks = 5,
+    fetch = globalThis.fetch,
+    clock = systemClock,
+    log = () => {},
+    warn = log,
+    metrics = {},
+    pollingInterval,
+    cacheTimeout
+  } = {}) {
+    if (!urls.length) throw new Error('RpcPool needs at least one endpoint');
+    const options = { batchMaxCount: 1 };
+    if (network) options.staticNetwork = network;
+    if (pollingInterval != null) options.pollingInterval = pollingInterval;
+    if (cacheTimeout != null) options.cacheTimeout = cacheTimeout;
+    super(network, options);
+    Object.assign(this, { timeoutMs, quorum, failuresToCooldown, cooldownMs, probeMs, maxLagBlocks, fetchFn: fetch, clock, log, warn, metrics });
+    this.endpoints = urls.map((url, index) => ({
+      index, url, label: endpointLabel(url),
+      latencyMs: null,    // average of successful calls
+      errorRate: 0,       // average of 0 (ok) / 1 (failed) per call
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      blockNumber: null,
+      chainId: null,
+      wrongChain: false,
+      disagreements: 0,
+      lastError: null,
+      lastErrorAt: null
+    }));
+    this.quorumMisses = 0;   // quorum reads that got fewer answers than asked for
+    this.disagreements = 0;  // quorum reads whose answers differed
+    this.prober = null;
+  }
+
+  cooling(e) { return this.clock.now() < e.cooldownUntil; }
+
+  headBlock() {
+    const known = this.endpoints.filter(e => !e.wrongChain && e.blockNumber != null).map(e => e.blockNumber);
+    return known.length ? Math.max(...known) : null;
+  }
+
+  lag(e) {
+    const head = this.headBlock();
+    return head == null || e.blockNumber == null ? null : head - e.blockNumber;
+  }
+
+  /** Lower is better: cooling and lagging endpoints go last, then by latency weighted by errors. */
+  score(e) {
+    let s = (e.latencyMs ?? 0) * (1 + 4 * e.errorRate) + e.errorRate * 1_000;
+    if ((this.lag(e) ?? 0) > this.maxLagBlocks) s += 1e6;
+    if (this.cooling(e)) s += 1e9;
+    return s;
+  }
+
+  /** Usable endpoints, best first (endpoints on the wrong chain are left out). */
+  ranked() {
+    return this.endpoints.filter(e => !e.wrongChain).sort((a, b) => this.score(a) - this.score(b) || a.index - b.index);
+  }
+
+  note(e, ok, ms, err) {
+    const now = this.clock.now();
+    e.requests++;
+    e.errorRate = e.errorRate * (1 - EWMA) + (ok ? 0 : EWMA);
+    this.metrics.requests?.inc({ endpoint: e.label, outcome: ok ? 'ok' : 'error' });
+    if (ok) {
+      e.latencyMs = e.latencyMs == null ? ms : e.latencyMs * (1 - EWMA) + ms * EWMA;
+      if (e.cooldownUntil) this.log(`[RPC] ${e.label} answering again`);
+      e.consecutiveFailures = 0;
+      e.cooldownUntil = 0;
+      return;
+    }
+    e.failures++;
+    e.consecutiveFailures++;
+    e.lastError = err?.message || String(err);
+    e.lastErrorAt = now;
+    if (e.consecutiveFailures >= this.failuresToCooldown && !this.cooling(e)) {
+      e.cooldownUntil = now + this.cooldownMs;
+      this.warn(`[RPC] ${e.label} failed ${e.consecutiveFailures}x (${e.lastError}); cooling down for ${this.cooldownMs}ms`);
+    }
+  }
+
+  /** One JSON-RPC request to one endpoint; resolves to the response body, throws TransportError. */
+  async post(e, payload) {
+    const t0 = this.clock.now();
+    try {
+      const res = await this.fetchFn(e.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      if (!res.ok) throw new TransportError(`HTTP ${res.status}`);
+      const body = await res.json();
+      if (!body || typeof body !== 'object' || !('result' in body || 'error' in body)) throw new TransportError('malformed response');
+      if (RATE_LIMIT_CODES.has(body.error?.code)) throw new TransportError(`rate limited: ${body.error.message}`);
+      this.note(e, true, this.clock.now() - t0);
+      return body;
+    } catch (err) {
+      const te = err instanceof TransportError ? err : new TransportError(err?.name === 'TimeoutError' ? `timeout after ${this.timeoutMs}ms` : (err?.message || String(err)));
+      this.note(e, false, 0, te);
+      throw te;
+    }
+  }
+
+  /** Best endpoint first, then the rest in order; cooling endpoints are a last resort. */
+  async callOne(payload) {
+    const errors = [];
+    for (const e of this.ranked()) {
+      try {
+        const body = await this.post(e, payload);
+        if (errors.length && payload.method === 'eth_sendRawTransaction' && /already known|known transaction/i.test(body.error?.message || '')) {
+          // an endpoint that timed out had already broadcast it
+          return { result: ethers.keccak256(payload.params[0]) };
+        }
+        return body;
+      } catch (err) {
+        errors.push(`${e.label}: ${err.message}`);
+      }
+    }
+    throw ethers.makeError(`all RPC endpoints failed (${errors.join('; ') || 'none usable'})`, 'NETWORK_ERROR', { event: payload.method });
+  }
+
+  async callQuorum(payload) {
+    const targets = this.ranked().filter(e => !this.cooling(e)).slice(0, this.quorum);
+    if (targets.length < 2) return this.callOne(payload);
+    const settled = await Promise.allSettled(targets.map(e => this.post(e, payload)));
+    const bodies  = settled.map((s, i) => (s.status === 'fulfilled' ? { e: targets[i], body: s.value } : null)).filter(Boolean);
+    const answers = bodies.filter(a => a.body.error == null && a.body.result != null);
+    if (!answers.length) return bodies[0]?.body ?? this.callOne(payload);
+    if (answers.length < this.quorum) this.quorumMisses++;
+
+    const values = answers.map(a => BigInt(a.body.result));
+    const highest = payload.method === 'eth_getTransactionCount' && payload.params?.[1] === 'pending';
+    const chosen = values.reduce((m, v) => (highest ? (v > m ? v : m) : (v < m ? v : m)));
+    if (payload.method === 'eth_blockNumber') answers.forEach((a, i) => { a.e.blockNumber = Number(values[i]); });
+    if (values.some(v => v !== chosen)) {
+      this.disagreements++;
+      answers.forEach((a, i) => { if (values[i] !== chosen) a.e.disagreements++; });
+      this.log(`[RPC] ${payload.method} disagreement: ${answers.map((a, i) => `${a.e.label}=${values[i]}`).join(', ')}; using ${chosen}`);
+    }
+    return answers[values.indexOf(chosen)].body;
+  }
+
+  async _send(payload) {
+    const out = [];
+    for (const p of [].concat(payload)) {
+      const body = QUORUM_METHODS.has(p.method) && this.quorum > 1 ? await this.callQuorum(p) : await this.callOne(p);
+      out.push({ ...body, id: p.id });
+    }
+    return out;
+  }
+
+  /** Head and chain id of every endpoint (cooling ones included, so they can come back). */
+  async probe() {
+    await Promise.all(this.endpoints.map(async e => {
+      try {
+        if (e.chainId == null) e.chainId = Number((await this.post(e, { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })).result);
+        const { result } = await this.post(e, { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+        if (result != null) e.blockNumber = Number(result);
+      } catch {
+        // counted by post()
+      }
+    }));
+    // the chain most endpoints report is the pool's chain
+    const counts = new Map();
+    for (const e of this.endpoints) if (e.chainId != null) counts.set(e.chainId, (counts.get(e.chainId) || 0) + 1);
+    const chain = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+    for (const e of this.endpoints) {
+      const wrong = e.chainId != null && e.chainId !== chain;
+      if (wrong && !e.wrongChain) this.warn(`[RPC] ${e.label} is on chain ${e.chainId}, the others on ${chain}; not using it`);
+      e.wrongChain = wrong;
+    }
+  }
+
+  start() {
+    this.probe().catch(() => {});
+    this.prober ??= this.clock.setInterval(() => this.probe().catch(() => {}), this.probeMs);
+    return this;
+  }
+
+  stop() {
+    if (this.prober) this.clock.clearInterval(this.prober);
+    this.prober = null;
+  }
+
+  /** Per-endpoint figures for /health. */
+  status() {
+    const primary = this.ranked()[0];
+    return {
+      quorum: this.quorum,
+      quorumMisses: this.quorumMisses,
+      disagreements: this.disagreements,
+      endpoints: this.endpoints.map(e => ({
+        endpoint: e.label,
+        state: e.wrongChain ? 'wrong_chain' : this.cooling(e) ? 'cooldown' : (this.lag(e) ?? 0) > this.maxLagBlocks ? 'lagging' : 'ok',
+        primary: e === primary,
+        latencyMs: e.latencyMs == null ? null : Math.round(e.latencyMs),
+        errorRate: Math.round(e.errorRate * 1000) / 1000,
+        requests: e.requests,
+        failures: e.failures,
+        consecutiveFailures: e.consecutiveFailures,
+        cooldownUntil: this.cooling(e) ? e.cooldownUntil : null,
+        chainId: e.chainId,
+        blockNumber: e.blockNumber,
+        lagBlocks: this.lag(e),
+        disagreements: e.disagreements,
+        lastError: e.lastError,
+        lastErrorAt: e.lastErrorAt
+      }))
+    };
+  }
+}
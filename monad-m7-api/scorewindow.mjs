@@ -0,0 +1,81 @@
+// scorewindow.mjs
+// Per-wallet sliding window of reserved points. Intake reserves a slot per job, a failed job
+// gives its slot back, and slots older than `windowMs` fall out. The windowCap rule reads `sum`.
+import { systemClock } from './clock.mjs';
+
+/**
+ * windows[addrLower] = { q: Array<{ ts, score, jobId }>, sum }
+ * Returns { windows, get, purge, reserve, rollback, retryMs, sweep, start, stop }.
+ */
+export function createScoreWindow({ windowMs, limit, clock = systemClock }) {
+  const windows = new Map();
+  let sweeper = null;
+
+  function get(addrLower) {
+    let w = windows.get(addrLower);
+    if (!w) { w = { q: [], sum: 0 }; windows.set(addrLower, w); }
+    return w;
+  }
+
+  function purge(w, now = clock.now()) {
+    while (w.q.length && (now - w.q[0].ts) > windowMs) {
+      const e = w.q.shift();
+      w.sum -= e.score;
+    }
+    return w;
+  }
+
+  /** Take a slot for `jobId`; returns the entry (the job's `windowRef`). */
+  function reserve(addrLower, score, jobId, ts = clock.now()) {
+    const w = get(addrLower);
+    const entry = { ts, score, jobId };
+    // restored slots can arrive out of order; keep the queue sorted so purge() stays correct
+    let i = w.q.length;
+    while (i > 0 && w.q[i - 1].ts > ts) i--;
+    w.q.splice(i, 0, entry);
+    w.sum += score;
+    return entry;
+  }
+
+  /** Give back the slot `jobId` holds. Entries without a jobId (old journals) match on score. */
+  function rollback(jobId, addrLower, score) {
+    const w = windows.get(addrLower);
+    if (!w) return false;
+    let i = w.q.findLastIndex(e => e.jobId === jobId);
+    if (i === -1) i = w.q.findLastIndex(e => e.jobId == null && e.score === score);
+    if (i === -1) return false;
+    w.sum -= w.q[i].score;
+    w.q.splice(i, 1);
+    return true;
+  }
+
+  /** ms until enough of the window expires for `incoming` more points to fit. */
+  function retryMs(w, incoming, now = clock.now()) {
+    let sum = w.sum;
+    for (const e of w.q) {
+      sum -= e.score;
+      if (sum + incoming <= limit) return e.ts + windowMs - now;
+    }
+    return windowMs;
+  }
+
+  function sweep(now = clock.now()) {
+    for (const [addr, w] of windows.entries()) {
+      purge(w, now);
+      if (w.q.length === 0 && w.sum === 0) windows.delete(addr);
+    }
+  }
+
+  return {
+    windows, windowMs, limit,
+    get, purge, reserve, rollback, retryMs, sweep,
+    start() {
+      sweeper ??= clock.setInterval(() => sweep(), Math.min(30_000, windowMs));
+      return this;
+    },
+    stop() {
+      if (sweeper) clock.clearInterval(sweeper);
+      sweeper = null;
+    }
+  };
+}
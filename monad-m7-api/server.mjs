@@ -5,19 +5,59 @@ import cors from 'cors';
 import helmet from 'helmet';
 import { ethers } from 'ethers';
 import crypto from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import fs from 'node:fs';
+import path from 'node:path';
+import client from 'prom-client';
+import { fileURLToPath } from 'node:url';
+import { createRulesEngine, loadRulesConfig, paceDebt } from './anticheat.mjs';
+import { createSimulatedChain, createGamesIdStub, SimulatedProvider, SIM_CONTRACT_ADDRESS } from './simulate.mjs';
+import { createScoreWindow } from './scorewindow.mjs';
+import { createJobRegistry, jobView } from './jobs.mjs';
+import { createDispatcher, sendOnce } from './dispatcher.mjs';
+import { createLeaderboardScraper } from './leaderboard.mjs';
+import { createLogger, redactUrl } from './logger.mjs';
+import { createHistoryStore, historyCsv, historyEntry, parseTimeParam, HISTORY_STATUSES } from './history.mjs';
+import { createFundsMonitor } from './funds.mjs';
+import { RpcPool } from './rpcpool.mjs';
+import { createWebhookDispatcher, loadWebhooksConfig } from './webhooks.mjs';
 
 /* ---------------- Env & Tunables ---------------- */
 // Core
 const {
   RPC_URL,
   PRIVATE_KEY,
-  CONTRACT_ADDRESS,
+  PRIVATE_KEYS,     // optional comma-separated list; one nonce lane per key
 } = process.env;
 
+// Offline mode: in-memory chain + local Games ID stand-ins, no RPC or upstream needed (see simulate.mjs)
+const SIMULATE               = String(process.env.SIMULATE || 'false').toLowerCase() === 'true';
+const SIMULATE_BLOCK_MS      = Number(process.env.SIMULATE_BLOCK_MS || 1_000);
+const SIMULATE_MINE_DELAY_MS = Number(process.env.SIMULATE_MINE_DELAY_MS || 2_000);   // pending this long before a block includes it
+const SIMULATE_FAIL_RATE     = Number(process.env.SIMULATE_FAIL_RATE || 0);           // 0..1 of sends answered with an RPC error
+const SIMULATE_DROP_RATE     = Number(process.env.SIMULATE_DROP_RATE || 0);           // 0..1 of sends accepted but never mined
+const SIMULATE_REVERT_RATE   = Number(process.env.SIMULATE_REVERT_RATE || 0);         // 0..1 of txs mined with status 0
+const SIMULATE_USERS         = String(process.env.SIMULATE_USERS || '');              // "0xwallet=username,..."
+const SIMULATE_AUTO_USERNAMES = String(process.env.SIMULATE_AUTO_USERNAMES || 'true').toLowerCase() === 'true';
+const SIMULATE_ROLELESS      = String(process.env.SIMULATE_ROLELESS || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean); // signers without GAME_ROLE
+
+const CONTRACT_ADDRESS     = process.env.CONTRACT_ADDRESS || (SIMULATE ? SIM_CONTRACT_ADDRESS : '');
+
+// RPC endpoints (see rpcpool.mjs): RPC_URL may list several; calls fail over between them by health score
+const RPC_URLS             = String(RPC_URL || '').split(',').map(u => u.trim()).filter(Boolean);
+const RPC_TIMEOUT_MS       = Number(process.env.RPC_TIMEOUT_MS || 8_000);
+const RPC_QUORUM           = Number(process.env.RPC_QUORUM || Math.min(2, RPC_URLS.length));   // endpoints asked for nonce/block reads
+const RPC_COOLDOWN_MS      = Number(process.env.RPC_COOLDOWN_MS || 30_000);   // benched after 3 straight failures
+const RPC_PROBE_MS         = Number(process.env.RPC_PROBE_MS || 15_000);      // head/chain check of every endpoint
+const RPC_MAX_LAG_BLOCKS   = Number(process.env.RPC_MAX_LAG_BLOCKS || 5);     // further behind the best head -> used last
+
 // Server & logging
 const PORT                 = Number(process.env.PORT || 3000);
+const TRUST_PROXY          = Number(process.env.TRUST_PROXY || 0);            // reverse proxies in front of us (X-Forwarded-For hops to trust)
 const NODE_ENV             = String(process.env.NODE_ENV || 'production');
 const DEBUG                = String(process.env.DEBUG || 'false').toLowerCase() === 'true';
+const LOG_LEVEL            = String(process.env.LOG_LEVEL || (DEBUG ? 'debug' : 'info')).toLowerCase();   // debug|info|warn|error
+const LOG_FORMAT           = String(process.env.LOG_FORMAT || (NODE_ENV === 'production' ? 'json' : 'text')).toLowerCase();
 
 // Anti-cheat
 const WINDOW_MS            = Number(process.env.SCORE_WINDOW_MS || 60_000);   // 60s
@@ -27,52 +67,198 @@ const EVENT_MAX            = Number(process.env.MAX_SCORE_EVENT || 100);
 
 // Tx / confirmations / timeouts
 const CONFIRMATIONS        = Number(process.env.TX_CONFIRMATIONS || 1);
-const TX_TIMEOUT_MS        = Number(process.env.TX_TIMEOUT_MS || 120_000);
+const TX_STUCK_MS          = Number(process.env.TX_STUCK_MS || 30_000);      // unmined this long -> re-broadcast
+const NONCE_POLL_MS        = Number(process.env.NONCE_POLL_MS || 3_000);
+const FEE_BUMP_PERCENT     = Number(process.env.FEE_BUMP_PERCENT || 15);      // nodes want >= 10% to replace
+const MAX_FEE_PER_GAS_GWEI = Number(process.env.MAX_FEE_PER_GAS_GWEI || 0);   // 0 = no cap on bumps
+const TX_STUCK_ALERT_AFTER = Number(process.env.TX_STUCK_ALERT_AFTER || 10);     // re-broadcasts at the fee cap -> tx.stuck alert (0 = off)
+
+// Signer pool
+const SIGNER_KEYS          = String(PRIVATE_KEYS || PRIVATE_KEY || '').split(',').map(k => k.trim()).filter(Boolean);
+if (SIMULATE && !SIGNER_KEYS.length) SIGNER_KEYS.push(ethers.Wallet.createRandom().privateKey); // throwaway key per boot
+const MIN_SIGNER_BALANCE   = String(process.env.MIN_SIGNER_BALANCE || '0.05');   // MON; below this a signer leaves rotation
+const SIGNER_CHECK_MS      = Number(process.env.SIGNER_CHECK_MS || 60_000);
+
+// Low-funds circuit breaker (see funds.mjs): below the threshold nothing is sent; new submissions
+// get 503 LOW_FUNDS ('reject') or wait in the queue ('hold'); FUNDS_WEBHOOK_URL is a webhook for funds.* events
+const FUNDS_BREAKER_BALANCE = String(process.env.FUNDS_BREAKER_BALANCE || MIN_SIGNER_BALANCE);  // MON across the pool
+const FUNDS_BREAKER_MODE    = String(process.env.FUNDS_BREAKER_MODE || 'reject').toLowerCase(); // reject|hold
+const FUNDS_BURN_WINDOW_MS  = Number(process.env.FUNDS_BURN_WINDOW_MS || 60 * 60_000);          // burn rate over the last hour
+const FUNDS_WEBHOOK_URL     = process.env.FUNDS_WEBHOOK_URL || '';
 
 // Batching/ack
 const BATCH_INTERVAL_MS    = Number(process.env.BATCH_INTERVAL_MS || 5_000); // run every 5s
 const RESPOND_AFTER_MS     = Number(process.env.RESPOND_AFTER_MS || 5_000);  // per-tx 5s immediate-return
 const REQUEST_HARD_TIMEOUT = Number(process.env.REQUEST_HARD_TIMEOUT_MS || (BATCH_INTERVAL_MS + RESPOND_AFTER_MS + 5_000)); // fail-safe
 
+// Rate limits: token buckets refilled at PER_MIN/minute holding up to BURST (0 = scope off)
+const RATE_IP_PER_MIN      = Number(process.env.RATE_IP_PER_MIN || 1_200);
+const RATE_IP_BURST        = Number(process.env.RATE_IP_BURST || 240);
+const RATE_WALLET_PER_MIN  = Number(process.env.RATE_WALLET_PER_MIN || 600);   // a Nightmare run can post ~4 kills/s
+const RATE_WALLET_BURST    = Number(process.env.RATE_WALLET_BURST || 120);
+const RATE_ROUTE_LIMITS    = String(process.env.RATE_ROUTE_LIMITS || '');       // "METHOD /path=perMin/burst,..." per IP, overrides defaults
+const MAX_QUEUE_DEPTH      = Number(process.env.MAX_QUEUE_DEPTH || 5_000);     // pending submissions before 503 QUEUE_FULL
+const SHUTDOWN_SETTLE_MS   = Number(process.env.SHUTDOWN_SETTLE_MS || 15_000);  // on SIGTERM: time given to in-flight txs to mine
+const SHUTDOWN_TIMEOUT_MS  = Number(process.env.SHUTDOWN_TIMEOUT_MS || 25_000); // exit regardless after this long
+
 // Leaderboard (unchanged, optional)
 const LEADERBOARD_BASE     = process.env.LEADERBOARD_BASE || 'https://monad-games-id-site.vercel.app/leaderboard';
 const LEADERBOARD_CACHE_MS = Number(process.env.LEADERBOARD_CACHE_MS || 15_000);
+const GAME_ID              = Number(process.env.GAME_ID || 64);
+const LEADERBOARD_MAX_LIMIT = Number(process.env.LEADERBOARD_MAX_LIMIT || 100); // rows per page when paginating
+const LEADERBOARD_MAX_STALE_MS = Number(process.env.LEADERBOARD_MAX_STALE_MS || 5 * 60_000); // serve stale while refreshing, up to this age
+const LEADERBOARD_REFRESH_MS   = Number(process.env.LEADERBOARD_REFRESH_MS || 5_000);        // background refresher tick (0 = off)
+
+// On-chain leaderboard indexer (off until INDEXER_START_BLOCK is set: the block of the game's first update)
+const INDEXER_START_BLOCK    = Number(process.env.INDEXER_START_BLOCK || (SIMULATE ? 1 : 0));
+const INDEXER_EVENT          = process.env.INDEXER_EVENT ||
+  'event PlayerDataUpdated(address indexed game, address indexed player, uint256 indexed scoreAmount, uint256 transactionAmount)';
+const INDEXER_GAME_ADDRESSES = String(process.env.INDEXER_GAME_ADDRESSES || '').split(',').map(a => a.trim()).filter(Boolean); // besides our signers
+const INDEXER_CONFIRMATIONS  = Number(process.env.INDEXER_CONFIRMATIONS || 2);
+const INDEXER_BLOCK_CHUNK    = Number(process.env.INDEXER_BLOCK_CHUNK || 100);     // many RPCs cap eth_getLogs ranges
+const INDEXER_POLL_MS        = Number(process.env.INDEXER_POLL_MS || 5_000);
+const INDEXER_MAX_LAG_BLOCKS = Number(process.env.INDEXER_MAX_LAG_BLOCKS || 50);   // further behind -> serve the scraper
+const INDEXER_CROSSCHECK_MS  = Number(process.env.INDEXER_CROSSCHECK_MS || 10 * 60_000);
+
+// Game launch tokens (auth app -> WebGL handoff)
+const LAUNCH_TOKEN_SECRET  = process.env.LAUNCH_TOKEN_SECRET || '';
+const LAUNCH_TOKEN_TTL_MS  = Number(process.env.LAUNCH_TOKEN_TTL_MS || 10 * 60_000); // 10m to open the game
+
+// Wallet ownership (signed challenge -> short-lived submit credential)
+const AUTH_CHALLENGE_TTL_MS  = Number(process.env.AUTH_CHALLENGE_TTL_MS || 5 * 60_000);        // 5m to sign
+const WALLET_SESSION_TTL_MS  = Number(process.env.WALLET_SESSION_TTL_MS || 2 * 60 * 60_000);   // 2h play session
+const REQUIRE_WALLET_SESSION = String(process.env.REQUIRE_WALLET_SESSION || 'true').toLowerCase() === 'true';
+
+// Play sessions (server-tracked start -> kill events -> end)
+const SESSION_IDLE_MS        = Number(process.env.SESSION_IDLE_MS || 10 * 60_000);           // auto-close after 10m silence
+
+// Game catalogue (characters, levels, unlock scores, gameplay numbers); see catalogue.json
+const CATALOGUE_PATH         = process.env.CATALOGUE_PATH || fileURLToPath(new URL('./catalogue.json', import.meta.url));
+
+// Anti-cheat rules (per-rule flag/reject limits); see anticheat.rules.json
+const ANTICHEAT_RULES_PATH   = process.env.ANTICHEAT_RULES_PATH || fileURLToPath(new URL('./anticheat.rules.json', import.meta.url));
+
+// Admin API (API keys as "name:key,..." and/or allowlisted admin wallets that sign each request)
+const ADMIN_API_KEYS       = String(process.env.ADMIN_API_KEYS || '');
+const ADMIN_WALLETS        = new Set(String(process.env.ADMIN_WALLETS || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean));
+const ADMIN_SIG_MAX_AGE_MS = Number(process.env.ADMIN_SIG_MAX_AGE_MS || 5 * 60_000);
+const ADMIN_MAX_GRANT      = Number(process.env.ADMIN_MAX_GRANT || 5_000);   // points per grant/adjustment
+
+// Job status stream (SSE)
+const SSE_MAX_CLIENTS      = Number(process.env.SSE_MAX_CLIENTS || 1_000);
+const SSE_KEEPALIVE_MS     = Number(process.env.SSE_KEEPALIVE_MS || 15_000);
+const SSE_MAX_IDS          = 50; // per subscription
+
+// Outbound webhooks (see webhooks.mjs): hooks listed in WEBHOOKS_PATH, delivery log at DATA_DIR/webhooks.jsonl
+const WEBHOOKS_PATH            = process.env.WEBHOOKS_PATH || '';
+const WEBHOOK_MAX_ATTEMPTS     = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const WEBHOOK_BACKOFF_MS       = Number(process.env.WEBHOOK_BACKOFF_MS || 5_000);      // doubles per attempt, up to 10m
+const WEBHOOK_TIMEOUT_MS       = Number(process.env.WEBHOOK_TIMEOUT_MS || 5_000);
+const WEBHOOK_LOG_RETENTION_MS = Number(process.env.WEBHOOK_LOG_RETENTION_MS || 7 * 24 * 60 * 60_000);
+
+// Metrics (optional bearer token for /metrics)
+const METRICS_TOKEN        = process.env.METRICS_TOKEN || '';
+
+// Persistence
+const DATA_DIR             = process.env.DATA_DIR || (SIMULATE ? './data/simulated' : './data'); // never mix simulated jobs with real ones
+const JOB_RETENTION_MS     = Number(process.env.JOB_RETENTION_MS || 7 * 24 * 60 * 60_000); // keep 7d of job history
+const IDEMPOTENCY_TTL_MS   = Number(process.env.IDEMPOTENCY_TTL_MS || 24 * 60 * 60_000);    // resends within 24h replay the original job
+const HISTORY_RETENTION_MS = Number(process.env.HISTORY_RETENTION_MS || 180 * 24 * 60 * 60_000); // per-wallet history: 180d (0 = forever)
+const HISTORY_MAX_LIMIT    = Number(process.env.HISTORY_MAX_LIMIT || 1_000);                     // rows per page (and per CSV export)
 
 /* ---------------- Helpers ---------------- */
-const log  = (...a) => console.log(new Date().toISOString(), ...a);
-const dlog = (...a) => DEBUG && log('[DEBUG]', ...a);
+// One JSON line per event (see logger.mjs); lines logged while serving a request carry its
+// reqId (and jobId once it has one) from the request context.
+const requestContext = new AsyncLocalStorage();
+const logger = createLogger({ level: LOG_LEVEL, format: LOG_FORMAT, context: () => requestContext.getStore() });
+const log  = logger.console('info');
+const warn = logger.console('warn');
+const elog = logger.console('error');
+const dlog = logger.console('debug');
+
+/** Tag the rest of this request's log lines with the job it created or is about. */
+function bindJob(jobId) {
+  const ctx = requestContext.getStore();
+  if (ctx) ctx.jobId = jobId;
+}
 
-if (!RPC_URL || !PRIVATE_KEY || !CONTRACT_ADDRESS) {
-  console.error('Missing env vars. Please set RPC_URL, PRIVATE_KEY, CONTRACT_ADDRESS.');
+if (!SIMULATE && (!RPC_URLS.length || !SIGNER_KEYS.length || !CONTRACT_ADDRESS)) {
+  console.error('Missing env vars. Please set RPC_URL, PRIVATE_KEY (or PRIVATE_KEYS), CONTRACT_ADDRESS (or SIMULATE=true).');
   process.exit(1);
 }
 
 /* ---------------- Express ---------------- */
 const app = express();
-app.set('trust proxy', true);
+app.set('trust proxy', TRUST_PROXY);
 app.use(helmet());
-app.use(cors({ origin: true }));
-app.use(express.json({ limit: '1mb' }));
+app.use(cors({ origin: true, exposedHeaders: ['ETag', 'X-Request-Id'] })); // ETag: clients revalidate leaderboard reads
+app.use(express.json({
+  limit: '1mb',
+  verify: (req, _res, buf) => { req.rawBody = buf; } // admin signatures cover the exact body bytes
+}));
 
-// Request logger
+// Request logger; everything downstream runs inside the request context
 app.use((req, res, next) => {
   const reqId = crypto.randomUUID();
   req.id = reqId;
-  log(`[REQ ${reqId}] ${req.method} ${req.originalUrl} ip=${req.ip}`);
-  dlog(`[REQ ${reqId}] headers=`, {
-    'user-agent': req.get('user-agent'),
+  res.set('X-Request-Id', reqId);
+  const ctx = { reqId };
+  const url = redactUrl(req.originalUrl);
+  logger.info('request', { ...ctx, method: req.method, url, ip: req.ip });
+  logger.debug('request headers', {
+    ...ctx,
+    userAgent: req.get('user-agent'),
     origin: req.get('origin'),
     referer: req.get('referer'),
-    'content-type': req.get('content-type'),
+    contentType: req.get('content-type'),
   });
   const t0 = Date.now();
-  res.on('finish', () => log(`[RES ${reqId}] ${res.statusCode} ${req.method} ${req.originalUrl} (${Date.now()-t0}ms)`));
-  next();
+  res.on('finish', () => logger.info('response', {
+    ...ctx, method: req.method, url, status: res.statusCode, durationMs: Date.now() - t0
+  }));
+  requestContext.run(ctx, next);
+});
+
+/* ---------------- Outbound Webhooks ---------------- */
+// Job outcomes, stuck txs, anti-cheat verdicts and funds breaker changes go to every hook subscribed to them.
+// Delivery runs on the global fetch even when SIMULATE stubs the Games ID one, so local receivers work.
+const webhooks = createWebhookDispatcher({
+  hooks: [
+    ...(WEBHOOKS_PATH ? loadWebhooksConfig(WEBHOOKS_PATH) : []),
+    ...(FUNDS_WEBHOOK_URL ? [{ name: 'funds', url: FUNDS_WEBHOOK_URL, events: ['funds.*'], secret: null }] : [])
+  ],
+  journalPath: path.join(DATA_DIR, 'webhooks.jsonl'),
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  backoffMs: WEBHOOK_BACKOFF_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  retentionMs: WEBHOOK_LOG_RETENTION_MS,
+  log: dlog,
+  warn,
+  error: elog,
+  onDelivery: d => mWebhooks.inc({ hook: d.hook, event: d.event, outcome: d.status })
 });
 
 /* ---------------- Ethers Setup ---------------- */
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-const wallet   = new ethers.Wallet(PRIVATE_KEY, provider);
+// SIMULATE swaps the RPC node for an in-memory chain; every signer holds GAME_ROLE unless listed in SIMULATE_ROLELESS.
+const simChain = SIMULATE ? createSimulatedChain({
+  contractAddress: CONTRACT_ADDRESS,
+  roleHolders: SIGNER_KEYS.map(k => new ethers.Wallet(k).address).filter(a => !SIMULATE_ROLELESS.includes(a.toLowerCase())),
+  blockMs: SIMULATE_BLOCK_MS,
+  mineDelayMs: SIMULATE_MINE_DELAY_MS,
+  failRate: SIMULATE_FAIL_RATE,
+  dropRate: SIMULATE_DROP_RATE,
+  revertRate: SIMULATE_REVERT_RATE
+}).start() : null;
+const rpcMetrics = {}; // filled in by the Metrics section
+const provider = SIMULATE ? new SimulatedProvider(simChain) : new RpcPool(RPC_URLS, {
+  timeoutMs: RPC_TIMEOUT_MS,
+  quorum: RPC_QUORUM,
+  cooldownMs: RPC_COOLDOWN_MS,
+  probeMs: RPC_PROBE_MS,
+  maxLagBlocks: RPC_MAX_LAG_BLOCKS,
+  log, warn,
+  metrics: rpcMetrics
+});
 const ABI = [
   {
     inputs: [
@@ -97,363 +283,1036 @@ const ABI = [
     type: 'function'
   }
 ];
-const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, wallet);
+const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, provider); // read-only views
 const iface    = new ethers.Interface(ABI);
 
+/* ---------------- Signer Pool ---------------- */
+/**
+ * One lane per key: its own wallet/contract and nonce sequence (`inflight`, see Nonce Manager).
+ * A signer stays in rotation while it holds GAME_ROLE and at least MIN_SIGNER_BALANCE. Both are
+ * re-checked every SIGNER_CHECK_MS; a send that fails for funds takes it out right away.
+ */
+const MIN_BALANCE_WEI = ethers.parseEther(MIN_SIGNER_BALANCE);
+const signers = SIGNER_KEYS.map((key, index) => {
+  const wallet = new ethers.Wallet(key, provider);
+  return {
+    index,
+    address: wallet.address,
+    wallet,
+    contract: new ethers.Contract(CONTRACT_ADDRESS, ABI, wallet),
+    inflight: new Map(),
+    checkBusy: false,
+    hasRole: null,     // null = not checked yet
+    balance: null,     // wei (bigint), refreshed + decremented by gas spent
+    healthy: true,
+    reason: null,
+    checkedAt: null
+  };
+});
+
+// Opens once the pool can't pay for txs; every health change below re-evaluates it
+const funds = createFundsMonitor({
+  signers,
+  minBalanceWei: MIN_BALANCE_WEI,
+  breakerBalanceWei: ethers.parseEther(FUNDS_BREAKER_BALANCE),
+  burnWindowMs: FUNDS_BURN_WINDOW_MS,
+  onChange: (status) => {
+    if (status.breaker === 'open') {
+      warn(`[FUNDS] breaker open (${status.reason}): total=${status.totalBalance} threshold=${status.thresholdBalance}; ` +
+           (FUNDS_BREAKER_MODE === 'hold' ? 'holding submissions' : 'refusing submissions'));
+    } else {
+      log(`[FUNDS] breaker closed: total=${status.totalBalance}`);
+    }
+    notifyFundsWebhook(`funds.breaker.${status.breaker}`, status);
+  }
+});
+
+/** Breaker changes for funds.* webhooks, with every signer's balance and runway. */
+function notifyFundsWebhook(event, status) {
+  webhooks.emit(event, {
+    ...status,
+    mode: FUNDS_BREAKER_MODE,
+    signers: signers.map(s => ({
+      address: s.address,
+      reason: s.reason,
+      balance: s.balance == null ? null : ethers.formatEther(s.balance),
+      ...funds.signerStatus(s)
+    }))
+  });
+}
+
+function setSignerHealth(signer, reason) {
+  const healthy = !reason;
+  if (signer.healthy !== healthy) {
+    (healthy ? log : warn)(healthy
+      ? `[SIGNER ${signer.address}] back in rotation`
+      : `[SIGNER ${signer.address}] out of rotation: ${reason}`);
+  }
+  signer.healthy = healthy;
+  signer.reason  = reason || null;
+  funds.evaluate();
+}
+
+function evaluateSigner(signer) {
+  if (signer.hasRole === false) return setSignerHealth(signer, 'MISSING_GAME_ROLE');
+  if (signer.balance != null && signer.balance < MIN_BALANCE_WEI) return setSignerHealth(signer, 'LOW_BALANCE');
+  setSignerHealth(signer, null);
+}
+
+let gameRole = null;
+async function refreshSigner(signer) {
+  // A failed lookup keeps the last known value rather than flapping the signer
+  try {
+    gameRole ??= await contract.GAME_ROLE();
+    signer.hasRole = await contract.hasRole(gameRole, signer.address);
+  } catch (e) {
+    warn(`[SIGNER ${signer.address}] GAME_ROLE check failed:`, e?.shortMessage || e?.message || e);
+  }
+  try {
+    signer.balance = await provider.getBalance(signer.address);
+  } catch (e) {
+    warn(`[SIGNER ${signer.address}] balance check failed:`, e?.shortMessage || e?.message || e);
+  }
+  signer.checkedAt = Date.now();
+  evaluateSigner(signer);
+}
+
+function noteGasSpent(signer, receipt) {
+  const price = receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n;
+  const spent = (receipt.gasUsed ?? 0n) * price;
+  funds.noteSpend(signer, spent);
+  if (signer.balance == null) return;
+  signer.balance -= spent;
+  evaluateSigner(signer);
+}
+
+setInterval(() => { for (const s of signers) refreshSigner(s); }, SIGNER_CHECK_MS).unref();
+
 // Boot logs
 (async () => {
   try {
     const net = await provider.getNetwork();
-    log(`[BOOT] chainId=${typeof net.chainId === 'bigint' ? Number(net.chainId) : net.chainId} signer=${wallet.address}`);
+    log(`[BOOT] chainId=${typeof net.chainId === 'bigint' ? Number(net.chainId) : net.chainId} signers=${signers.length}`);
+    if (SIMULATE) {
+      log(`[SIM] in-memory chain contract=${CONTRACT_ADDRESS} block=${SIMULATE_BLOCK_MS}ms mineDelay=${SIMULATE_MINE_DELAY_MS}ms ` +
+          `fail=${SIMULATE_FAIL_RATE} drop=${SIMULATE_DROP_RATE} revert=${SIMULATE_REVERT_RATE}; Games ID served locally`);
+    }
   } catch (e) {
-    log('[BOOT] network query failed:', e?.shortMessage || e?.message || e);
+    warn('[BOOT] network query failed:', e?.shortMessage || e?.message || e);
   }
-  try {
-    const role = await contract.GAME_ROLE();
-    const has  = await contract.hasRole(role, wallet.address);
-    log(has
-      ? `[BOOT] signer ${wallet.address} has GAME_ROLE`
-      : `[BOOT] WARNING: signer ${wallet.address} lacks GAME_ROLE (txs may revert)`);
-  } catch (e) {
-    log('[BOOT] GAME_ROLE check failed:', e?.shortMessage || e?.message || e);
+  await Promise.all(signers.map(refreshSigner));
+  for (const s of signers) {
+    const bal = s.balance == null ? '?' : ethers.formatEther(s.balance);
+    (s.healthy ? log : warn)(s.healthy
+      ? `[BOOT] signer ${s.address} has GAME_ROLE balance=${bal}`
+      : `[BOOT] WARNING: signer ${s.address} out of rotation (${s.reason}) balance=${bal}`);
   }
 })();
 
-/* ---------------- Anti-cheat Sliding Window ---------------- */
-const windows = new Map(); // addressLower -> { q: Array<{ts:number, score:number, jobId:string}>, sum:number }
-function getWin(addrLower) {
-  let w = windows.get(addrLower);
-  if (!w) { w = { q: [], sum: 0 }; windows.set(addrLower, w); }
-  return w;
-}
-function purgeOld(w, now) {
-  while (w.q.length && (now - w.q[0].ts) > WINDOW_MS) {
-    const e = w.q.shift();
-    w.sum -= e.score;
+/* ---------------- Metrics ---------------- */
+// Prometheus registry for /metrics. Gauges that mirror in-memory state read it at scrape time.
+const metrics = new client.Registry();
+client.collectDefaultMetrics({ register: metrics, prefix: 'scoremw_' });
+
+new client.Gauge({
+  name: 'scoremw_queue_depth', help: 'Submissions waiting for the next batch', registers: [metrics],
+  collect() { this.set(pending.length); }
+});
+const mBatchSize = new client.Histogram({
+  name: 'scoremw_batch_size', help: 'Submissions taken per batch', registers: [metrics],
+  buckets: [1, 2, 5, 10, 20, 50, 100, 200, 500]
+});
+const mBatchDuration = new client.Histogram({
+  name: 'scoremw_batch_duration_seconds', help: 'Time to admit, coalesce and send one batch', registers: [metrics],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
+const mJobs = new client.Counter({
+  name: 'scoremw_jobs_total', help: 'Jobs reaching a terminal status', registers: [metrics],
+  labelNames: ['status', 'code']
+});
+const mCheat = new client.Counter({
+  name: 'scoremw_suspected_score_hacking_total', help: 'Anti-cheat flags and rejections by rule', registers: [metrics],
+  labelNames: ['rule', 'outcome']
+});
+const mReceiptLatency = new client.Histogram({
+  name: 'scoremw_receipt_latency_seconds', help: 'First broadcast to confirmed receipt', registers: [metrics],
+  buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300]
+});
+const mGasUsed = new client.Histogram({
+  name: 'scoremw_gas_used', help: 'Gas used per mined updatePlayerData tx', registers: [metrics],
+  buckets: [30_000, 50_000, 75_000, 100_000, 150_000, 200_000, 300_000]
+});
+const mTxReplacements = new client.Counter({
+  name: 'scoremw_tx_rebroadcasts_total', help: 'Stuck/dropped txs re-sent at the same nonce', registers: [metrics],
+  labelNames: ['bumped']
+});
+const mTxStuck = new client.Counter({
+  name: 'scoremw_tx_stuck_total', help: 'Nonces still unmined after TX_STUCK_ALERT_AFTER re-broadcasts at the fee cap', registers: [metrics]
+});
+new client.Gauge({
+  name: 'scoremw_signer_balance', help: 'Last known signer balance (MON)', registers: [metrics],
+  labelNames: ['signer'],
+  collect() {
+    for (const s of signers) if (s.balance != null) this.set({ signer: s.address }, Number(ethers.formatEther(s.balance)));
+  }
+});
+new client.Gauge({
+  name: 'scoremw_signer_healthy', help: '1 while the signer is in rotation', registers: [metrics],
+  labelNames: ['signer'],
+  collect() { for (const s of signers) this.set({ signer: s.address }, s.healthy ? 1 : 0); }
+});
+new client.Gauge({
+  name: 'scoremw_signer_burn_per_hour', help: 'Gas paid per hour over FUNDS_BURN_WINDOW_MS (MON)', registers: [metrics],
+  labelNames: ['signer'],
+  collect() { for (const s of signers) this.set({ signer: s.address }, Number(funds.signerStatus(s).burnPerHour)); }
+});
+new client.Gauge({
+  name: 'scoremw_funds_breaker_open', help: '1 while the low-funds breaker holds or refuses submissions', registers: [metrics],
+  collect() { this.set(funds.isOpen() ? 1 : 0); }
+});
+new client.Gauge({
+  name: 'scoremw_indexer_lag_blocks', help: 'Confirmed blocks not yet indexed', registers: [metrics],
+  collect() { if (indexer.enabled && indexer.head != null) this.set(Math.max(0, indexer.head - indexer.lastBlock)); }
+});
+rpcMetrics.requests = new client.Counter({
+  name: 'scoremw_rpc_requests_total', help: 'JSON-RPC calls per endpoint', registers: [metrics],
+  labelNames: ['endpoint', 'outcome']
+});
+new client.Gauge({
+  name: 'scoremw_rpc_endpoint_up', help: '1 while the RPC endpoint is in rotation (not cooling down or on another chain)', registers: [metrics],
+  labelNames: ['endpoint'],
+  collect() { for (const e of provider.status?.().endpoints || []) this.set({ endpoint: e.endpoint }, e.state === 'ok' || e.state === 'lagging' ? 1 : 0); }
+});
+const mLbCache = new client.Counter({
+  name: 'scoremw_leaderboard_cache_total', help: 'Leaderboard cache lookups', registers: [metrics],
+  labelNames: ['result']
+});
+const mLbUpstream = new client.Histogram({
+  name: 'scoremw_leaderboard_upstream_seconds', help: 'Upstream leaderboard page fetch + parse', registers: [metrics],
+  labelNames: ['outcome'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10]
+});
+
+const mWebhooks = new client.Counter({
+  name: 'scoremw_webhook_deliveries_total', help: 'Webhook deliveries delivered or given up on', registers: [metrics],
+  labelNames: ['hook', 'event', 'outcome']
+});
+new client.Gauge({
+  name: 'scoremw_webhook_pending', help: 'Webhook deliveries waiting for a (re)try', registers: [metrics],
+  collect() { this.set(webhooks.status().pending); }
+});
+
+const mThrottled = new client.Counter({
+  name: 'scoremw_throttled_total', help: 'Requests refused by rate limits or backpressure', registers: [metrics],
+  labelNames: ['scope']
+});
+
+/* ---------------- Rate Limits & Backpressure ---------------- */
+/**
+ * Every /api request takes a token from its IP's bucket, its IP's bucket for that route, and
+ * (when it carries a valid wallet session) that wallet's bucket. An empty bucket answers 429
+ * RATE_LIMITED with Retry-After; a full submission queue answers 503 QUEUE_FULL.
+ */
+const DEFAULT_ROUTE_LIMITS = {
+  'POST /api/v1/auth/challenge':          '30/10',
+  'POST /api/v1/auth/session':            '30/10',
+  'POST /api/v1/session/launch':          '30/10',
+  'POST /api/v1/session/verify':          '60/20',
+  'POST /api/v1/sessions':                '30/10',
+  'POST /api/v1/sessions/:id/events':     '600/120',
+  'POST /api/v1/submitscore':             '600/120',
+  'GET /api/v1/jobs/stream':              '30/10',
+  'GET /api/v1/jobs/:id':                 '300/60',
+  'GET /api/v1/getleaderboard':           '120/30',
+  'GET /api/v1/players/:wallet':          '120/30',
+  'GET /api/v1/players/:wallet/history':  '60/20',
+  'GET /api/v1/access/check':             '120/30'
+};
+
+function parseRouteLimits(spec) {
+  const out = { ...DEFAULT_ROUTE_LIMITS };
+  for (const part of spec.split(',').map(x => x.trim()).filter(Boolean)) {
+    const eq = part.lastIndexOf('=');
+    if (eq < 0) { warn(`[BOOT] ignoring RATE_ROUTE_LIMITS entry "${part}"`); continue; }
+    out[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
   }
+  return Object.entries(out).map(([route, limit]) => {
+    const [method, pattern] = route.split(/\s+/);
+    const [perMin, burst] = limit.split('/').map(Number);
+    const regex = new RegExp('^' + pattern.replace(/:[^/]+/g, '([^/]+)') + '/?$');
+    return { route, method: method.toUpperCase(), regex, perMin, burst: burst || perMin };
+  });
 }
+const routeLimits = parseRouteLimits(RATE_ROUTE_LIMITS);
+
+const buckets = new Map(); // `${scope}|${key}` -> { tokens, at }
+
+/** Takes one token; returns 0 when allowed, else ms until the next token. */
+function takeToken(key, perMin, burst, now = Date.now()) {
+  if (!(perMin > 0)) return 0;
+  const ratePerMs = perMin / 60_000;
+  const b = buckets.get(key) || { tokens: burst, at: now };
+  b.tokens = Math.min(burst, b.tokens + (now - b.at) * ratePerMs);
+  b.at = now;
+  buckets.set(key, b);
+  if (b.tokens >= 1) { b.tokens -= 1; return 0; }
+  return Math.ceil((1 - b.tokens) / ratePerMs);
+}
+
+// Buckets that have refilled completely carry no state
 setInterval(() => {
   const now = Date.now();
-  for (const [addr, w] of windows.entries()) {
-    purgeOld(w, now);
-    if (w.q.length === 0 && w.sum === 0) windows.delete(addr);
+  for (const [key, b] of buckets) {
+    if (now - b.at > 10 * 60_000) buckets.delete(key);
   }
-}, Math.min(30_000, WINDOW_MS)).unref();
+}, 60_000).unref();
+
+/** Shared shape for 429/503 refusals: Retry-After in whole seconds plus { ok, code, reason }. */
+function sendThrottled(res, status, code, reason, retryAfterMs, extra = {}) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({ ok: false, code, reason, retryAfter, ...extra });
+}
 
-/* ---------------- Job Registry ---------------- */
 /**
- * jobs[jobId] = {
- *   status: 'queued'|'sent'|'mined'|'failed',
- *   createdAt, sentAt?,
- *   walletAddress, score,
- *   nonce?, txHash?, receipt?,
- *   code?, reason?
- * }
+ * The wallet a request acts for: the `sub` of its Bearer wallet session, once verified. Anything
+ * unauthenticated (including a walletAddress in the body) only draws on the IP buckets, so
+ * nobody can drain another player's wallet bucket.
+ */
+function actingWallet(req) {
+  const result = verifyToken(bearerToken(req), 'wallet');
+  return result.ok ? String(result.claims.sub).toLowerCase() : null;
+}
+
+app.use('/api', (req, res, next) => {
+  const now = Date.now();
+  const path = req.originalUrl.split('?')[0];
+  const rule = routeLimits.find(r => r.method === req.method && r.regex.test(path));
+  const wallet = actingWallet(req);
+
+  const checks = [
+    ['ip', `ip|${req.ip}`, RATE_IP_PER_MIN, RATE_IP_BURST],
+    ...(rule ? [['route', `route|${rule.route}|${req.ip}`, rule.perMin, rule.burst]] : []),
+    ...(wallet ? [['wallet', `wallet|${wallet}`, RATE_WALLET_PER_MIN, RATE_WALLET_BURST]] : [])
+  ];
+  for (const [scope, key, perMin, burst] of checks) {
+    const waitMs = takeToken(key, perMin, burst, now);
+    if (!waitMs) continue;
+    mThrottled.inc({ scope });
+    dlog(`[RATE ${req.id}] ${scope} limit ip=${req.ip}${wallet ? ` wallet=${wallet}` : ''} ${rule?.route || path}`);
+    return sendThrottled(res, 429, 'RATE_LIMITED', `Too many requests (${scope} limit); retry shortly.`, waitMs, { scope });
+  }
+  next();
+});
+
+let shuttingDown = false; // set by shutdown() (see Graceful Shutdown)
+
+/**
+ * 503 SHUTTING_DOWN while the process drains, 503 LOW_FUNDS while the funds breaker is open
+ * (unless FUNDS_BREAKER_MODE=hold), 503 QUEUE_FULL once `pending` reaches MAX_QUEUE_DEPTH;
+ * call before reserving anything. Returns the refusal code, or false.
+ */
+function rejectIfQueueFull(res, reqId) {
+  if (shuttingDown) {
+    mThrottled.inc({ scope: 'shutdown' });
+    sendThrottled(res, 503, 'SHUTTING_DOWN', 'Server is restarting; retry shortly.', SHUTDOWN_TIMEOUT_MS);
+    return 'SHUTTING_DOWN';
+  }
+  if (funds.isOpen() && FUNDS_BREAKER_MODE !== 'hold') {
+    mThrottled.inc({ scope: 'funds' });
+    sendThrottled(res, 503, 'LOW_FUNDS', 'Score submissions are paused until the game wallet is topped up; retry later.',
+      SIGNER_CHECK_MS, { breaker: funds.status() });
+    return 'LOW_FUNDS';
+  }
+  if (!(MAX_QUEUE_DEPTH > 0) || pending.length < MAX_QUEUE_DEPTH) return false;
+  mThrottled.inc({ scope: 'queue' });
+  warn(`[QUEUE ${reqId}] full (${pending.length}/${MAX_QUEUE_DEPTH}); refusing submission`);
+  sendThrottled(res, 503, 'QUEUE_FULL', 'Score queue is full; retry shortly.', BATCH_INTERVAL_MS, { queueDepth: pending.length });
+  return 'QUEUE_FULL';
+}
+
+/* ---------------- Signed Tokens ---------------- */
+// Compact `<base64url(json claims)>.<base64url(hmac-sha256)>`. The claims half stays
+// readable by the game client (WebGLUrlParams), but only this server can mint one.
+const TOKEN_SECRET = LAUNCH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!LAUNCH_TOKEN_SECRET) {
+  warn('[BOOT] WARNING: LAUNCH_TOKEN_SECRET not set; using an ephemeral secret (tokens die on restart)');
+}
+
+function hmacToken(body) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(body).digest();
+}
+
+function signToken(claims) {
+  const body = Buffer.from(JSON.stringify(claims), 'utf8').toString('base64url');
+  return `${body}.${hmacToken(body).toString('base64url')}`;
+}
+
+/**
+ * Verify signature, type and expiry. `maxAgeMs` replaces the token's own expiry with
+ * iat + maxAgeMs (a launch token opens play sessions for as long as a wallet session lasts).
+ * Returns { ok: true, claims } or { ok: false, code, reason }.
  */
-const jobs = new Map();
+function verifyToken(token, typ, { maxAgeMs = null } = {}) {
+  if (typeof token !== 'string' || !token) {
+    return { ok: false, code: 'TOKEN_MISSING', reason: 'No token supplied.' };
+  }
+  const parts = token.split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return { ok: false, code: 'TOKEN_MALFORMED', reason: 'Token is not in <claims>.<signature> form.' };
+  }
+
+  const expected = hmacToken(parts[0]);
+  const given    = Buffer.from(parts[1], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, code: 'TOKEN_TAMPERED', reason: 'Token signature does not match.' };
+  }
+
+  let claims;
+  try { claims = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')); }
+  catch { return { ok: false, code: 'TOKEN_MALFORMED', reason: 'Token claims are not valid JSON.' }; }
+
+  if (claims?.typ !== typ) {
+    return { ok: false, code: 'TOKEN_WRONG_TYPE', reason: `Expected a ${typ} token.` };
+  }
+  const exp = maxAgeMs == null ? claims.exp : claims.iat + maxAgeMs;
+  if (!Number.isFinite(exp) || Date.now() >= exp) {
+    return { ok: false, code: 'TOKEN_EXPIRED', reason: 'Token has expired.' };
+  }
+  return { ok: true, claims };
+}
+
+// Launch-token nonces already redeemed via /api/v1/session/verify (nonce -> exp)
+const usedLaunchNonces = new Map();
+setInterval(() => {
+  const now = Date.now();
+  for (const [nonce, exp] of usedLaunchNonces.entries()) {
+    if (exp <= now) usedLaunchNonces.delete(nonce);
+  }
+}, 60_000).unref();
+
+/* ---------------- Wallet Ownership ---------------- */
+// nonce -> { addrLower, message, exp }; each challenge can be answered once
+const challenges = new Map();
 setInterval(() => {
-  const cutoff = Date.now() - 15 * 60 * 1000;
-  for (const [id, j] of jobs.entries()) {
-    if ((j.createdAt || 0) < cutoff) jobs.delete(id);
+  const now = Date.now();
+  for (const [nonce, c] of challenges.entries()) {
+    if (c.exp <= now) challenges.delete(nonce);
   }
 }, 60_000).unref();
 
-/* ---------------- Submission Queue ---------------- */
+function challengeMessage(walletAddress, nonce, iat, exp) {
+  return [
+    'Survival Shooter: Revival wants you to sign in with your Monad Games ID wallet to submit scores.',
+    '',
+    `Wallet: ${walletAddress}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(iat).toISOString()}`,
+    `Expires At: ${new Date(exp).toISOString()}`
+  ].join('\n');
+}
+
+function bearerToken(req) {
+  const h = req.get('authorization') || '';
+  const m = /^Bearer\s+(\S+)$/i.exec(h);
+  return m ? m[1] : null;
+}
+
 /**
- * Each pending item:
- * {
- *   id, walletAddress, score, addrLower,
- *   res, responded: boolean,
- *   windowRef: { addrLower, score, ts } | null,
- *   reservationHeld?: boolean,
- *   skipWindow?: boolean,   // <<< privileged flag
- *   acceptedAt
- * }
+ * Checks the request's `Authorization: Bearer <wallet session>` against `walletAddress`.
+ * Returns null when allowed, otherwise { code, reason } for a 401.
  */
-const pending = [];
+function checkWalletSession(req, walletAddress) {
+  if (!REQUIRE_WALLET_SESSION) return null;
+  const result = verifyToken(bearerToken(req), 'wallet');
+  if (!result.ok) return { code: result.code, reason: result.reason };
+  if (String(result.claims.sub).toLowerCase() !== String(walletAddress).toLowerCase()) {
+    return { code: 'WALLET_MISMATCH', reason: 'Session credential belongs to a different wallet.' };
+  }
+  return null;
+}
 
-/* ---------------- Utilities ---------------- */
-function waitForReceiptWithTimeout(tx, confirmations, timeoutMs) {
-  const waitP = tx.wait(confirmations);
-  if (!timeoutMs || timeoutMs <= 0) return waitP;
-  return Promise.race([
-    waitP,
-    new Promise((_, reject) => setTimeout(() => reject(new Error('TX_WAIT_TIMEOUT')), timeoutMs)),
-  ]);
+/* ---------------- Admin Auth, Audit & Bans ---------------- */
+// Two ways in: `X-Admin-Key: <key>` from ADMIN_API_KEYS, or an ADMIN_WALLETS address signing
+// adminSigMessage() (X-Admin-Address / X-Admin-Timestamp / X-Admin-Signature). Signatures are
+// single-use and expire after ADMIN_SIG_MAX_AGE_MS.
+const sha256hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const adminKeys = new Map(); // sha256(key) -> actor name
+ADMIN_API_KEYS.split(',').map(x => x.trim()).filter(Boolean).forEach((entry, i) => {
+  const sep  = entry.indexOf(':');
+  const name = sep > 0 ? entry.slice(0, sep) : `key-${i + 1}`;
+  const key  = sep > 0 ? entry.slice(sep + 1) : entry;
+  adminKeys.set(sha256hex(key), name);
+});
+if (!adminKeys.size && !ADMIN_WALLETS.size) {
+  log('[BOOT] no ADMIN_API_KEYS or ADMIN_WALLETS configured; admin API is disabled');
 }
 
-function sendOnce(item, fn) {
-  if (!item || item.responded || item.res.headersSent) return false;
-  item.responded = true;
-  try { fn(); } catch { /* ignore */ }
-  item.res = null; // release reference
-  return true;
+// Keyed on the signed message's hash: the same request re-signed, re-cased or in high-s form is still a replay
+const usedAdminSigs = new Map(); // hashMessage(adminSigMessage(...)) -> expiresAt
+setInterval(() => {
+  const now = Date.now();
+  for (const [digest, exp] of usedAdminSigs.entries()) if (exp < now) usedAdminSigs.delete(digest);
+}, 60_000).unref();
+
+function adminSigMessage(method, path, timestamp, bodyHash) {
+  return [
+    'Survival Shooter: Revival admin request',
+    '',
+    `${method} ${path}`,
+    `Timestamp: ${timestamp}`,
+    `Body-SHA256: ${bodyHash}`
+  ].join('\n');
 }
 
-function rollbackWindow(jobId, addrLower, score) {
+/** Returns { actor, via } for an admin, otherwise { status, code, reason }. */
+function authenticateAdmin(req) {
+  const key = req.get('x-admin-key');
+  if (key) {
+    const name = adminKeys.get(sha256hex(key));
+    return name
+      ? { actor: name, via: 'api_key' }
+      : { status: 403, code: 'ADMIN_FORBIDDEN', reason: 'Unknown admin key.' };
+  }
+
+  const address   = req.get('x-admin-address');
+  const timestamp = Number(req.get('x-admin-timestamp'));
+  const signature = req.get('x-admin-signature');
+  if (!address || !signature) {
+    return { status: 401, code: 'ADMIN_AUTH_REQUIRED', reason: 'Send X-Admin-Key, or a signed request from an admin wallet.' };
+  }
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > ADMIN_SIG_MAX_AGE_MS) {
+    return { status: 401, code: 'ADMIN_SIG_EXPIRED', reason: 'X-Admin-Timestamp is missing or too far from server time.' };
+  }
+  const message = adminSigMessage(req.method, req.originalUrl, timestamp, sha256hex(req.rawBody || ''));
+  const digest  = ethers.hashMessage(message);
+  if (usedAdminSigs.has(digest)) {
+    return { status: 401, code: 'ADMIN_SIG_REPLAYED', reason: 'This signature was already used.' };
+  }
+  let recovered;
   try {
-    const w = windows.get(addrLower);
-    if (!w) return;
-    for (let i = w.q.length - 1; i >= 0; i--) {
-      const e = w.q[i];
-      if (e.jobId === jobId || (e.score === score)) {
-        w.sum -= e.score;
-        w.q.splice(i, 1);
-        break;
-      }
-    }
-  } catch { /* ignore */ }
+    recovered = ethers.verifyMessage(message, signature);
+  } catch {
+    return { status: 401, code: 'BAD_SIGNATURE', reason: 'Signature could not be verified.' };
+  }
+  if (recovered.toLowerCase() !== String(address).toLowerCase()) {
+    return { status: 401, code: 'BAD_SIGNATURE', reason: 'Signature does not match X-Admin-Address.' };
+  }
+  if (!ADMIN_WALLETS.has(recovered.toLowerCase())) {
+    return { status: 403, code: 'ADMIN_FORBIDDEN', reason: 'Wallet is not an admin.' };
+  }
+  usedAdminSigs.set(digest, Date.now() + 2 * ADMIN_SIG_MAX_AGE_MS);
+  return { actor: recovered, via: 'wallet_signature' };
 }
 
-/* ---------------- Batch Dispatcher ---------------- */
-async function processBatch() {
-  if (pending.length === 0) return;
+// Append-only: one JSON line per privileged action (including refused ones)
+const AUDIT_PATH = path.join(DATA_DIR, 'audit.jsonl');
+
+function audit(req, action, details = {}) {
+  const entry = {
+    ts: new Date().toISOString(),
+    reqId: req.id,
+    actor: req.admin?.actor ?? null,
+    via: req.admin?.via ?? null,
+    ip: req.ip,
+    action,
+    ...details
+  };
+  try {
+    fs.appendFileSync(AUDIT_PATH, JSON.stringify(entry) + '\n');
+  } catch (e) {
+    elog('[AUDIT] write failed:', e?.message || e);
+  }
+  log(`[AUDIT ${req.id}] ${entry.actor ?? '-'} ${action} ${details.target ?? ''} ${details.outcome ?? ''}`);
+}
+
+function readAuditTail(limit) {
+  if (!fs.existsSync(AUDIT_PATH)) return [];
+  const lines = fs.readFileSync(AUDIT_PATH, 'utf8').split('\n').filter(Boolean);
+  return lines.slice(-limit).reverse().map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+}
+
+function requireAdmin(req, res, next) {
+  const auth = authenticateAdmin(req);
+  if (!auth.actor) {
+    audit(req, 'auth', { outcome: 'denied', code: auth.code, path: req.originalUrl });
+    return res.status(auth.status).json({ ok: false, code: auth.code, reason: auth.reason });
+  }
+  req.admin = auth;
+  next();
+}
+
+// Banned wallets: snapshot file, rewritten on every change (the audit log keeps the history)
+const BANS_PATH = path.join(DATA_DIR, 'bans.json');
+const bans = new Map(); // addrLower -> { walletAddress, reason, by, at }
+try {
+  if (fs.existsSync(BANS_PATH)) {
+    for (const b of JSON.parse(fs.readFileSync(BANS_PATH, 'utf8'))) bans.set(b.walletAddress.toLowerCase(), b);
+  }
+} catch (e) {
+  warn('[BOOT] could not read bans:', e?.message || e);
+}
+
+function saveBans() {
+  const tmp = `${BANS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...bans.values()], null, 2));
+  fs.renameSync(tmp, BANS_PATH);
+}
+
+/** Replies 403 WALLET_BANNED and returns true when the wallet is banned. */
+function rejectIfBanned(res, walletAddress, reqId) {
+  const ban = bans.get(String(walletAddress).toLowerCase());
+  if (!ban) return false;
+  warn(`[BAN ${reqId}] refused addr=${walletAddress}`);
+  res.status(403).json({ ok: false, code: 'WALLET_BANNED', reason: ban.reason || 'This wallet is banned.' });
+  return true;
+}
+
+/**
+ * Review list: wallets the anti-cheat rules flagged (or whose session closed implausible) wait
+ * here for an admin instead of only leaving a log line. A new flag reopens a cleared entry.
+ */
+const REVIEW_PATH = path.join(DATA_DIR, 'review.json');
+const REVIEW_MAX_FLAGS = 20; // most recent flags kept per wallet
+const review = new Map(); // addrLower -> { walletAddress, status, count, firstFlaggedAt, lastFlaggedAt, flags, resolution? }
+try {
+  if (fs.existsSync(REVIEW_PATH)) {
+    for (const r of JSON.parse(fs.readFileSync(REVIEW_PATH, 'utf8'))) review.set(r.walletAddress.toLowerCase(), r);
+  }
+} catch (e) {
+  warn('[BOOT] could not read review list:', e?.message || e);
+}
+
+let reviewSaveTimer = null;
+function writeReview() {
+  clearTimeout(reviewSaveTimer);
+  reviewSaveTimer = null;
+  const tmp = `${REVIEW_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...review.values()], null, 2));
+  fs.renameSync(tmp, REVIEW_PATH);
+}
+function saveReview() {
+  if (reviewSaveTimer) return; // coalesce bursts of flags into one write
+  reviewSaveTimer = setTimeout(writeReview, 1_000);
+}
+
+function flagForReview(walletAddress, { stage, outcome, sessionId = null, jobId = null, results }) {
+  const addrLower = walletAddress.toLowerCase();
+  const at = new Date().toISOString();
+  const entry = review.get(addrLower) || { walletAddress, status: 'open', count: 0, firstFlaggedAt: at, flags: [] };
+  if (entry.status !== 'open') {
+    entry.status = 'open';
+    entry.reopenedAt = at;
+  }
+  entry.count++;
+  entry.lastFlaggedAt = at;
+  entry.flags.push({ at, stage, outcome, sessionId, jobId, rules: results.map(r => ({ rule: r.rule, outcome: r.outcome, detail: r.detail })) });
+  if (entry.flags.length > REVIEW_MAX_FLAGS) entry.flags.splice(0, entry.flags.length - REVIEW_MAX_FLAGS);
+  review.set(addrLower, entry);
+  saveReview();
+  notifyCheat(walletAddress, { stage, outcome, sessionId, jobId, results });
+}
+
+/** anticheat.flagged / anticheat.rejected webhooks; refused submissions and kills come here directly. */
+function notifyCheat(walletAddress, { stage, outcome, sessionId = null, jobId = null, results }) {
+  webhooks.emit(outcome === 'reject' ? 'anticheat.rejected' : 'anticheat.flagged', {
+    walletAddress,
+    stage,
+    outcome,
+    code: outcome === 'reject' ? 'SUSPECTED_SCORE_HACKING' : null,
+    sessionId,
+    jobId,
+    rules: results.map(r => ({ rule: r.rule, outcome: r.outcome, value: r.value ?? null, limit: r.limit ?? null, detail: r.detail }))
+  });
+}
 
-  // take the current batch
-  const batch = pending.splice(0, pending.length);
-  log(`[BATCH] processing ${batch.length} submissions`);
+function resolveReview(addrLower, status, by, note = null) {
+  const entry = review.get(addrLower);
+  if (!entry) return null;
+  entry.status = status;
+  entry.resolution = { by, at: new Date().toISOString(), note };
+  saveReview();
+  return entry;
+}
+
+/* ---------------- Game Catalogue ---------------- */
+// One file describes every character and level: what the front ends show (name, description,
+// image key), the score that unlocks it, and the gameplay numbers the anti-cheat rules need.
 
-  // get base nonce once (pending includes unmined)
-  let baseNonce;
+/** Reads and validates the catalogue. Throws with the path on a missing or malformed file. */
+function loadCatalogue(file) {
+  let cat;
   try {
-    baseNonce = await provider.getTransactionCount(wallet.address, 'pending');
-    dlog(`[BATCH] baseNonce=${baseNonce}`);
+    cat = JSON.parse(fs.readFileSync(file, 'utf8'));
   } catch (e) {
-    log('[BATCH] nonce fetch failed:', e?.shortMessage || e?.message || e);
-    // Fail everyone in this batch
-    for (const item of batch) {
-      const reason = e?.shortMessage || e?.message || 'NONCE_FETCH_FAILED';
-      const job = jobs.get(item.id) || {};
-      jobs.set(item.id, { ...job, status: 'failed', code: 'NONCE_FETCH_FAILED', reason });
-      // release any reservation they might hold
-      rollbackWindow(item.id, item.addrLower, item.score);
-      sendOnce(item, () => item.res.status(500).json({
-        ok: false, error: 'Transaction failed', code: 'NONCE_FETCH_FAILED', reason
-      }));
+    throw new Error(`Cannot read game catalogue from ${file}: ${e.message}`);
+  }
+  const problems = [];
+  for (const kind of ['characters', 'levels']) {
+    const entries = Object.entries(cat[kind] || {});
+    if (!entries.length) problems.push(`${kind} must declare at least one entry`);
+    for (const [key, item] of entries) {
+      if (typeof item.name !== 'string' || !item.name) problems.push(`${kind}.${key}.name is required`);
+      if (typeof item.imageKey !== 'string' || !item.imageKey) problems.push(`${kind}.${key}.imageKey is required`);
+      if (!Number.isInteger(item.unlockScore) || item.unlockScore < 0) problems.push(`${kind}.${key}.unlockScore must be an integer >= 0`);
     }
-    return;
   }
+  if (problems.length) throw new Error(`Invalid game catalogue: ${problems.join('; ')}`);
+  return cat;
+}
 
-  // Fee data (EIP-1559 friendly)
-  let feeData;
-  try { feeData = await provider.getFeeData(); } catch { feeData = {}; }
-  const maxFeePerGas         = feeData?.maxFeePerGas ?? feeData?.gasPrice ?? undefined;
-  const maxPriorityFeePerGas = feeData?.maxPriorityFeePerGas ?? undefined;
-
-  // Helper: ensure (or re-take) a reservation for this item right before sending.
-  // If reservation would exceed the window cap, fail the item now.
-  const ensureReservationOrDrop = (item) => {
-    // NEW: privileged jobs bypass window admission entirely
-    if (item?.skipWindow) return true;
-
-    const now = Date.now();
-    const w = getWin(item.addrLower);
-    purgeOld(w, now);
-
-    // If this item already holds a reservation entry, keep it.
-    if (item.windowRef) return true;  // presence of windowRef = already reserved at intake
-
-    // Recheck admission against current window
-    const projected = w.sum + item.score;
-    if (projected > LIMIT_PER_WINDOW) {
-      const reason = `Score cap exceeded: ${w.sum}+${item.score} in the last ${Math.round(WINDOW_MS/1000)}s (limit ${LIMIT_PER_WINDOW}).`;
-      jobs.set(item.id, {
-        ...(jobs.get(item.id) || {}),
-        status: 'failed',
-        code: 'SUSPECTED_SCORE_HACKING',
-        reason
-      });
-      sendOnce(item, () => item.res.status(403).json({
-        ok: false,
-        code: 'SUSPECTED_SCORE_HACKING',
-        reason,
-        window: { used: w.sum, incoming: item.score, limit: LIMIT_PER_WINDOW, seconds: Math.round(WINDOW_MS/1000) }
-      }));
-      return false;
-    }
-
-    // Take (or re-take) the reservation for this item
-    const entry = { ts: now, score: item.score, jobId: item.id };
-    w.q.push(entry);
-    w.sum += item.score;
-    item.windowRef = entry;
-    item.reservationHeld = true;
-    return true;
+const catalogue        = loadCatalogue(CATALOGUE_PATH);
+const UNLOCK_ALL_SCORE = Math.max(...[...Object.values(catalogue.characters), ...Object.values(catalogue.levels)].map(x => x.unlockScore));
+
+// What /api/v1/catalogue serves: everything a client needs to render the pickers, ordered by key.
+const CATALOGUE_BODY = {
+  ok: true,
+  unlockAllScore: UNLOCK_ALL_SCORE,
+  characters: Object.entries(catalogue.characters).map(([key, c]) => ({
+    key, name: c.name, description: c.description ?? '', imageKey: c.imageKey, unlockScore: c.unlockScore,
+    damagePerShot: c.damagePerShot, timeBetweenBullets: c.timeBetweenBullets
+  })),
+  levels: Object.entries(catalogue.levels).map(([key, l]) => ({
+    key, name: l.name, description: l.description ?? '', imageKey: l.imageKey, unlockScore: l.unlockScore,
+    killValues: l.killValues, maxPointsPerSec: l.maxPointsPerSec
+  }))
+};
+
+function unlockState(key, item, score) {
+  return {
+    key,
+    name: item.name,
+    unlockScore: item.unlockScore,
+    unlocked: score >= item.unlockScore,
+    remaining: Math.max(0, item.unlockScore - score)
   };
+}
 
-  // We serialize SENDs to avoid nonce gaps, but wait receipts in parallel
-  const receiptWaits = [];
+/** Whether a player with `score` may launch this character on this level (keys must exist). */
+function accessFor(score, characterKey, levelKey) {
+  const character = unlockState(characterKey, catalogue.characters[characterKey], score);
+  const level     = unlockState(levelKey, catalogue.levels[levelKey], score);
+  return { allowed: character.unlocked && level.unlocked, character, level };
+}
 
-  for (let i = 0; i < batch.length; i++) {
-    const item  = batch[i];
-    const nonce = baseNonce + i;
+/** 403 body for an accessFor() result that is not allowed. */
+function lockedReply(access, score) {
+  const locked = !access.character.unlocked ? access.character : access.level;
+  return {
+    ok: false, code: 'LOCKED',
+    reason: `${locked.name} unlocks at ${locked.unlockScore} pts (you have ${score}).`,
+    score, character: access.character, level: access.level
+  };
+}
 
-    try {
-      // IMPORTANT: Recheck/take reservation if needed. If it fails, skip sending.
-      if (!ensureReservationOrDrop(item)) continue;
-
-      // --- estimate gas (ethers v6) with nonce override
-      let gasEstimate;
-      try {
-        gasEstimate = await contract.estimateGas.updatePlayerData(
-          item.walletAddress, BigInt(item.score), 1n, { nonce }
-        );
-      } catch {
-        gasEstimate = 120_000n; // fallback
-      }
-      const gasLimit = (gasEstimate * 12n) / 10n + 5_000n; // +20% + small headroom
-
-      // --- fee overrides
-      const overrides = { nonce, gasLimit };
-      if (maxFeePerGas)         overrides.maxFeePerGas = maxFeePerGas;
-      if (maxPriorityFeePerGas) overrides.maxPriorityFeePerGas = maxPriorityFeePerGas;
-
-      // mark job as sent (pre-send)
-      const job0 = jobs.get(item.id) || {};
-      jobs.set(item.id, { ...job0, status: 'sent', sentAt: Date.now(), nonce });
-
-      // --- SEND (serialize: await this before moving to next nonce)
-      const tx = await contract.updatePlayerData(
-        item.walletAddress, BigInt(item.score), 1n, overrides
-      );
-      dlog(`[TX  ${item.id}] sent nonce=${nonce} hash=${tx.hash}`);
-
-      // record tx hash
-      const job1 = jobs.get(item.id) || {};
-      jobs.set(item.id, { ...job1, txHash: tx.hash });
-
-      // early-ack timer: 5s after SEND
-      const ackTimer = setTimeout(() => {
-        sendOnce(item, () => {
-          item.res.set('X-Job-Id', item.id);
-          item.res.status(202).json({
-            ok: true,
-            queued: true,
-            message: `Transaction is processing. Poll /api/v1/jobs/${item.id} for status.`,
-            jobId: item.id,
-            statusUrl: `/api/v1/jobs/${item.id}`,
-            nonce,
-            ackMs: RESPOND_AFTER_MS
-          });
-        });
-      }, RESPOND_AFTER_MS);
-
-      // Wait for receipt in the background (do NOT block next send)
-      const waiter = (async () => {
-        let receipt;
-        try {
-          receipt = await waitForReceiptWithTimeout(tx, CONFIRMATIONS, TX_TIMEOUT_MS);
-        } finally {
-          clearTimeout(ackTimer);
-        }
-
-        dlog(`[RCPT ${item.id}] status=${receipt.status} block=${receipt.blockNumber}`);
-
-        // job -> mined
-        const job2 = jobs.get(item.id) || {};
-        jobs.set(item.id, { ...job2, status: 'mined', receipt });
-
-        // if client still waiting, reply 200 now
-        sendOnce(item, () => item.res.json({
-          ok: true,
-          txHash: tx.hash,
-          blockNumber: receipt.blockNumber,
-          status: receipt.status,
-          gasUsed: receipt.gasUsed?.toString?.(),
-          to: receipt.to,
-          from: receipt.from,
-          nonce
-        }));
-      })().catch(err => {
-        const code   = err?.code || err?.info?.error?.code;
-        const reason = err?.shortMessage || err?.reason || err?.info?.error?.message || err?.message;
-        log(`[ERR ${item.id}]`, code || '', reason || err);
-
-        // job -> failed
-        const job = jobs.get(item.id) || {};
-        jobs.set(item.id, { ...job, status: 'failed', code, reason });
-
-        // rollback this item's reservation (we took/held it)
-        rollbackWindow(item.id, item.addrLower, item.score);
-
-        // reply error if client still waiting
-        sendOnce(item, () => {
-          const http = (reason === 'TX_WAIT_TIMEOUT') ? 504 : 500;
-          item.res.status(http).json({ ok: false, error: 'Transaction failed', code, reason });
-        });
-      });
+/* ---------------- Play Sessions ---------------- */
+// Level kill values and pace ceilings and character fire rates come from the catalogue, every
+// rule's limits from the rules file; the engine judges each legacy submission, each session kill
+// and each closed session.
+const antiCheat      = createRulesEngine({
+  ...loadRulesConfig(ANTICHEAT_RULES_PATH),
+  levels: catalogue.levels,
+  characters: catalogue.characters
+});
+const CHARACTER_KEYS = new Set(Object.keys(antiCheat.characters));
+const LEVEL_KEYS     = new Set(Object.keys(antiCheat.levels));
 
-      receiptWaits.push(waiter);
-
-    } catch (err) {
-      // SEND for this nonce failed → stop and re-queue the rest, but RELEASE their reservations now.
-      const code   = err?.code || err?.info?.error?.code;
-      const reason = err?.shortMessage || err?.reason || err?.info?.error?.message || err?.message;
-      log(`[SEND-ERR nonce=${nonce}]`, code || '', reason || err);
-
-      // mark failed + rollback window for this item
-      const job = jobs.get(item.id) || {};
-      jobs.set(item.id, { ...job, status: 'failed', code, reason });
-      rollbackWindow(item.id, item.addrLower, item.score);
-      sendOnce(item, () => item.res.status(500).json({
-        ok: false, error: 'Transaction failed', code, reason
-      }));
-
-      // Re-queue remaining items for NEXT batch **without** reservation (force re-check then)
-      for (let j = i + 1; j < batch.length; j++) {
-        const rem = batch[j];
-
-        // release their reservation if they had one
-        if (rem.reservationHeld && rem.windowRef) {
-          rollbackWindow(rem.id, rem.addrLower, rem.score);
-        }
-        rem.reservationHeld = false;
-        rem.windowRef = null;
-
-        // set status back to queued
-        const jrec = jobs.get(rem.id) || {};
-        jobs.set(rem.id, { ...jrec, status: 'queued', sentAt: undefined, nonce: undefined });
-
-        // push back to the front so next batch picks them up first
-        pending.unshift(rem);
-      }
-      break; // stop sending higher nonces this round
+/**
+ * sessions[id] = {
+ *   id, walletAddress, addrLower, character, level, gameId, launchSessionId,
+ *   status: 'open'|'ended'|'expired',
+ *   startedAt, lastEventAt, endedAt?,
+ *   points, lastSeq, rejected, flagged,
+ *   kills: Array<{ seq, score, ts, jobId }>,
+ *   verdict?: { outcome, plausible, checks: Array<{ rule, ok, outcome, detail }> }
+ * }
+ */
+const sessions = new Map();
+const openSessionByWallet = new Map(); // addrLower -> sessionId (at most one open per wallet)
+const lastSessionByWallet = new Map(); // addrLower -> sessionId of the latest one (its pace debt carries over)
+
+/** Counts and logs the non-accept results of one evaluation. */
+function noteCheatResults(tag, failed) {
+  for (const r of failed) {
+    mCheat.inc({ rule: r.rule, outcome: r.outcome });
+    warn(`[CHEAT ${tag}] ${r.outcome} rule=${r.rule} value=${r.value} limit=${r.limit}: ${r.detail}`);
+  }
+}
+
+/** Whole-session judgement, evaluated when a session closes. */
+function validateSession(session, endAt) {
+  const { outcome, results } = antiCheat.evaluate('session', { session, now: endAt });
+  return {
+    outcome,
+    plausible: outcome !== 'reject',
+    checks: results.map(r => ({ rule: r.rule, ok: r.outcome === 'accept', outcome: r.outcome, detail: r.detail }))
+  };
+}
+
+function closeSession(session, status, now = Date.now()) {
+  if (session.status !== 'open') return session.verdict;
+  session.status  = status;
+  session.endedAt = now;
+  session.verdict = validateSession(session, now);
+  if (openSessionByWallet.get(session.addrLower) === session.id) openSessionByWallet.delete(session.addrLower);
+
+  const failed = session.verdict.checks.filter(c => !c.ok);
+  if (failed.length) {
+    warn(`[CHEAT session=${session.id}] ${session.verdict.outcome} addr=${session.walletAddress} level=${session.level} points=${session.points} failed=${failed.map(c => c.rule).join(',')}`);
+    for (const c of failed) mCheat.inc({ rule: c.rule, outcome: c.outcome });
+    flagForReview(session.walletAddress, { stage: 'session', sessionId: session.id, outcome: session.verdict.outcome, results: failed });
+  } else {
+    dlog(`[SESSION ${session.id}] ${status} kills=${session.kills.length} points=${session.points}`);
+  }
+  return session.verdict;
+}
+
+/**
+ * Takes a kill whose job failed back out of its session's ledger, so points, pace and the
+ * session verdict only ever count what can still reach the chain.
+ */
+function dropFailedKill(sessionId, jobId) {
+  const session = sessions.get(sessionId);
+  const i = session ? session.kills.findIndex(k => k.jobId === jobId) : -1;
+  if (i < 0) return;
+  const [kill] = session.kills.splice(i, 1);
+  session.points -= kill.score;
+  if (session.verdict) session.verdict = validateSession(session, session.endedAt);
+  log(`[SESSION ${session.id}] kill #${kill.seq} (${kill.score} pts) dropped: job ${jobId} failed`);
+}
+
+function sessionSummary(session, { withEvents = false } = {}) {
+  const endAt = session.endedAt ?? Date.now();
+  return {
+    ok: true,
+    sessionId: session.id,
+    walletAddress: session.walletAddress,
+    character: session.character,
+    level: session.level,
+    levelName: antiCheat.levels[session.level].name,
+    gameId: session.gameId,
+    launchSessionId: session.launchSessionId,
+    status: session.status,
+    startedAt: new Date(session.startedAt).toISOString(),
+    endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+    durationMs: endAt - session.startedAt,
+    kills: session.kills.length,
+    points: session.points,
+    paceDebt: session.paceDebt,
+    rejectedEvents: session.rejected,
+    flaggedEvents: session.flagged,
+    verdict: session.verdict ?? null,
+    ...(withEvents ? { events: session.kills } : {})
+  };
+}
+
+// Close idle sessions; forget closed ones after an hour
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, s] of sessions.entries()) {
+    if (s.status === 'open' && (now - s.lastEventAt) > SESSION_IDLE_MS) closeSession(s, 'expired', now);
+    else if (s.status !== 'open' && (now - s.endedAt) > 60 * 60 * 1000) {
+      sessions.delete(id);
+      if (lastSessionByWallet.get(s.addrLower) === id) lastSessionByWallet.delete(s.addrLower);
     }
   }
+}, 60_000).unref();
+
+/* ---------------- Anti-cheat Sliding Window ---------------- */
+const scoreWindow = createScoreWindow({ windowMs: WINDOW_MS, limit: LIMIT_PER_WINDOW });
+
+/* ---------------- Job Registry ---------------- */
+// Journal at DATA_DIR/jobs.jsonl; status transitions (and tx hash changes) feed the SSE stream
+fs.mkdirSync(DATA_DIR, { recursive: true });
+const jobRegistry = createJobRegistry({
+  journalPath: path.join(DATA_DIR, 'jobs.jsonl'),
+  retentionMs: JOB_RETENTION_MS,
+  log,
+  error: elog,
+  onSettled: (rec, id) => {
+    mJobs.inc({ status: rec.status, code: rec.status === 'failed' ? String(rec.code || 'UNKNOWN') : '' });
+    if (rec.status === 'failed' && rec.sessionId) dropFailedKill(rec.sessionId, id);
+    webhooks.emit(`job.${rec.status}`, historyEntry(id, rec));
+  },
+  onTrace: (jobId, { at, event, ...fields }) => logger.debug(`job ${event}`, { jobId, ...fields })
+});
+const { jobs, events: jobEvents, set: setJob } = jobRegistry;
+
+/* ---------------- Submission History ---------------- */
+// DATA_DIR/history.jsonl: every job's status per wallet, kept for HISTORY_RETENTION_MS (past
+// the job registry's own retention) for /api/v1/players/:wallet/history
+const history = createHistoryStore({
+  journalPath: path.join(DATA_DIR, 'history.jsonl'),
+  retentionMs: HISTORY_RETENTION_MS,
+  log,
+  error: elog
+});
+jobEvents.on('job', (id, rec) => history.record(id, rec));
+
+/* ---------------- Batch Dispatcher ---------------- */
+// Queue, batching, nonce tracking and restart recovery live in dispatcher.mjs
+const dispatcher = createDispatcher({
+  provider,
+  signers,
+  jobs: jobRegistry,
+  scoreWindow,
+  log,
+  warn,
+  error: elog,
+  dlog,
+  setSignerHealth,
+  noteGasSpent,
+  hold: () => (funds.isOpen() ? 'LOW_FUNDS' : null),
+  onStuck: (signer, entry) => webhooks.emit('tx.stuck', {
+    signer: signer.address,
+    nonce: entry.nonce,
+    txHashes: [...entry.hashes],
+    jobIds: [...entry.jobIds],
+    rebroadcasts: entry.atCap,
+    maxFeePerGas: String(entry.request.maxFeePerGas ?? entry.request.gasPrice)
+  }),
+  metrics: {
+    batchSize: mBatchSize, batchDuration: mBatchDuration, receiptLatency: mReceiptLatency,
+    gasUsed: mGasUsed, txReplacements: mTxReplacements, txStuck: mTxStuck, cheat: mCheat
+  },
+  config: {
+    batchIntervalMs: BATCH_INTERVAL_MS,
+    respondAfterMs: RESPOND_AFTER_MS,
+    requestHardTimeoutMs: REQUEST_HARD_TIMEOUT,
+    txStuckMs: TX_STUCK_MS,
+    noncePollMs: NONCE_POLL_MS,
+    confirmations: CONFIRMATIONS,
+    feeBumpPercent: FEE_BUMP_PERCENT,
+    maxFeeCap: MAX_FEE_PER_GAS_GWEI > 0 ? ethers.parseUnits(String(MAX_FEE_PER_GAS_GWEI), 'gwei') : null,
+    stuckAlertAfter: TX_STUCK_ALERT_AFTER
+  }
+});
+const { pending } = dispatcher;
 
-  // optional: observe when background waits all settle
-  Promise.allSettled(receiptWaits).then(() => dlog('[BATCH] all receipt waits settled'));
+function enqueueSubmission(submission) {
+  bindJob(submission.jobId);
+  return dispatcher.enqueue(submission);
 }
 
-setInterval(processBatch, BATCH_INTERVAL_MS).unref();
+/* ---------------- Idempotency Keys ---------------- */
+/**
+ * Submissions may carry `Idempotency-Key` (e.g. `<sessionId>:<seq>`). The key is scoped to the
+ * wallet and stored on the job with a hash of the request, so it is journaled with it; a resend
+ * within IDEMPOTENCY_TTL_MS gets that job's status instead of a second job and tx.
+ */
+const IDEMPOTENCY_KEY_RE = /^[\x21-\x7e]{1,200}$/; // printable ASCII, no spaces
+
+/**
+ * Returns the job fields to store for this request's key ({} without one), or null once it has
+ * answered: 400 for a malformed key, 422 for a key reused with a different payload, or the
+ * original job's status (200 settled / 202 in progress, marked `Idempotent-Replayed`).
+ */
+function checkIdempotencyKey(req, res, walletAddress, payload) {
+  const raw = req.get('Idempotency-Key');
+  if (raw == null) return {};
+  if (!IDEMPOTENCY_KEY_RE.test(raw)) {
+    res.status(400).json({ ok: false, error: '`Idempotency-Key` must be 1-200 printable ASCII characters' });
+    return null;
+  }
+
+  const idempotencyKey = `${walletAddress.toLowerCase()}:${raw}`;
+  const requestHash    = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  const jobId = jobRegistry.byIdempotencyKey(idempotencyKey);
+  const job   = jobId ? jobs.get(jobId) : null;
+  if (!job || Date.now() - job.createdAt > IDEMPOTENCY_TTL_MS) return { idempotencyKey, requestHash };
+
+  if (job.requestHash !== requestHash) {
+    warn(`[IDEMP ${req.id}] key reused with a different payload (job=${jobId})`);
+    res.status(422).json({
+      ok: false,
+      code: 'IDEMPOTENCY_KEY_REUSED',
+      reason: 'This Idempotency-Key was already used for a different submission.',
+      jobId
+    });
+    return null;
+  }
+
+  bindJob(jobId);
+  dlog(`[IDEMP ${req.id}] replaying job=${jobId} status=${job.status}`);
+  const inProgress = job.status === 'queued' || job.status === 'sent';
+  res.set('X-Job-Id', jobId).set('Idempotent-Replayed', 'true');
+  res.status(inProgress ? 202 : 200).json({
+    ...jobView(jobId, job),
+    ...(inProgress ? {
+      queued: true,
+      statusUrl: `/api/v1/jobs/${jobId}`,
+      streamUrl: `/api/v1/jobs/stream?ids=${encodeURIComponent(jobId)}`
+    } : {}),
+    replayed: true
+  });
+  return null;
+}
 
 /* ---------------- Routes ---------------- */
+/**
+ * GET /metrics
+ * Prometheus exposition. If METRICS_TOKEN is set, requires `Authorization: Bearer <token>`.
+ */
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && bearerToken(req) !== METRICS_TOKEN) {
+    return res.status(401).json({ ok: false, error: 'UNAUTHORIZED' });
+  }
+  res.set('Content-Type', metrics.contentType);
+  res.end(await metrics.metrics());
+});
+
 app.get('/health', async (_req, res) => {
   try {
     const [net, blockNum] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
-    res.json({
-      status: 'ok',
+    res.status(shuttingDown ? 503 : 200).json({
+      status: shuttingDown ? 'draining' : funds.isOpen() ? 'low_funds' : 'ok',
+      simulated: SIMULATE,
       network: { chainId: typeof net.chainId === 'bigint' ? Number(net.chainId) : net.chainId },
       blockNumber: blockNum,
-      signer: wallet.address,
       queueDepth: pending.length,
       windowMs: WINDOW_MS,
       perMinuteLimit: LIMIT_PER_WINDOW,
       eventRange: [EVENT_MIN, EVENT_MAX],
       confirmations: CONFIRMATIONS,
-      txTimeoutMs: TX_TIMEOUT_MS,
+      txStuckMs: TX_STUCK_MS,
+      signers: signers.map(s => ({
+        address: s.address,
+        healthy: s.healthy,
+        reason: s.reason,
+        hasRole: s.hasRole,
+        balance: s.balance == null ? null : ethers.formatEther(s.balance),
+        ...funds.signerStatus(s),
+        inflightNonces: [...s.inflight.keys()].sort((a, b) => a - b),
+        stuckNonces: [...s.inflight.values()].filter(e => e.stuckSince != null).map(e => e.nonce).sort((a, b) => a - b),
+        checkedAt: s.checkedAt
+      })),
+      funds: { ...funds.status(), mode: FUNDS_BREAKER_MODE },
+      rpc: provider.status?.() ?? null,
+      webhooks: webhooks.status(),
+      indexer: indexer.enabled ? {
+        ready: indexerReady(GAME_ID),
+        lastBlock: indexer.lastBlock,
+        lagBlocks: indexer.head == null ? null : Math.max(0, indexer.head - indexer.lastBlock),
+        wallets: indexer.totals.size,
+        lastError: indexer.lastError,
+        crossCheck: indexer.crossCheck
+      } : { ready: false, reason: 'INDEXER_START_BLOCK not set' },
       batchIntervalMs: BATCH_INTERVAL_MS,
       respondAfterMs: RESPOND_AFTER_MS
     });
   } catch (e) {
-    res.json({ status: 'degraded', error: e?.message || String(e) });
+    res.json({ status: 'degraded', error: e?.message || String(e), rpc: provider.status?.() ?? null });
   }
 });
 
 /**
  * POST /api/v1/submitscore
+ * Headers: Authorization: Bearer <wallet session from /api/v1/auth/session>
+ *          Idempotency-Key: <client-chosen id per kill> (optional; resends replay the first job)
  * Body: { walletAddress: string, score: number }
  * Behavior:
+ *   - 401 unless the session credential was issued to `walletAddress`.
  *   - Validates + enforces anti-cheat (0..100 per tx, 10k per 60s per wallet).
  *   - Enqueues the submission for the next batch.
  *   - The HTTP connection stays open until:
@@ -474,6 +1333,15 @@ app.post('/api/v1/submitscore', (req, res) => {
     if (!ethers.isAddress(walletAddress)) {
       return res.status(400).json({ error: '`walletAddress` is not a valid EVM address' });
     }
+
+    // Proof of ownership: the bearer credential must be bound to this wallet
+    const authErr = checkWalletSession(req, walletAddress);
+    if (authErr) {
+      warn(`[AUTH ${reqId}] ${authErr.code} addr=${walletAddress}`);
+      return res.status(401).json({ ok: false, ...authErr });
+    }
+    if (rejectIfBanned(res, walletAddress, reqId)) return;
+
     const parsedScore =
       typeof score === 'string' ? Number(score) :
       typeof score === 'number' ? score : NaN;
@@ -481,126 +1349,128 @@ app.post('/api/v1/submitscore', (req, res) => {
       return res.status(400).json({ error: '`score` must be a non-negative integer' });
     }
 
-    // Per-event sanity (anti-cheat: 0..100)
-    if (parsedScore < EVENT_MIN || parsedScore > EVENT_MAX) {
-      log(`[CHEAT ${reqId}] per-event out of range addr=${walletAddress} score=${parsedScore} allowed=[${EVENT_MIN},${EVENT_MAX}]`);
-      return res.status(403).json({
-        ok: false,
-        code: 'SUSPECTED_SCORE_HACKING',
-        reason: `Per-event score must be between ${EVENT_MIN} and ${EVENT_MAX}.`
-      });
-    }
+    // A resend of a submission we already took: answer with that job, don't queue another
+    const idem = checkIdempotencyKey(req, res, walletAddress, { walletAddress: walletAddress.toLowerCase(), score: parsedScore });
+    if (!idem) return;
+
+    if (rejectIfQueueFull(res, reqId)) return;
 
-    // Sliding window admission
+    // Rules engine: per-event range + sliding-window sum
     const now       = Date.now();
     const addrLower = walletAddress.toLowerCase();
-    const w         = getWin(addrLower);
-    purgeOld(w, now);
-    const projected = w.sum + parsedScore;
-    if (projected > LIMIT_PER_WINDOW) {
-      log(`[CHEAT ${reqId}] minute cap exceeded addr=${walletAddress} sum=${w.sum} + ${parsedScore} > limit=${LIMIT_PER_WINDOW}`);
+    const w         = scoreWindow.purge(scoreWindow.get(addrLower), now);
+    const window = { used: w.sum, limit: LIMIT_PER_WINDOW, seconds: Math.round(WINDOW_MS/1000) };
+    const verdict = antiCheat.evaluate('submission', { score: parsedScore, now, window, eventRange: [EVENT_MIN, EVENT_MAX] });
+    noteCheatResults(`${reqId} addr=${walletAddress}`, verdict.failed);
+    if (verdict.outcome === 'reject') {
+      const first = verdict.failed.find(r => r.outcome === 'reject');
+      notifyCheat(walletAddress, { stage: 'submission', outcome: 'reject', jobId: reqId, results: verdict.failed });
+      if (first.rule === 'windowCap') {
+        res.set('Retry-After', String(Math.max(1, Math.ceil(scoreWindow.retryMs(w, parsedScore, now) / 1000))));
+      }
       return res.status(403).json({
         ok: false,
         code: 'SUSPECTED_SCORE_HACKING',
-        reason: `Score cap exceeded: ${w.sum}+${parsedScore} in the last ${Math.round(WINDOW_MS/1000)}s (limit ${LIMIT_PER_WINDOW}).`,
-        window: { used: w.sum, incoming: parsedScore, limit: LIMIT_PER_WINDOW, seconds: Math.round(WINDOW_MS/1000) }
+        reason: first.detail,
+        rule: first.rule,
+        ...(first.rule === 'windowCap' ? { window: { ...window, incoming: parsedScore } } : {})
       });
     }
-
-    // Create job
-    const jobId = reqId; // unique per request already
-    jobs.set(jobId, {
-      status: 'queued',
-      createdAt: Date.now(),
-      walletAddress,
-      score: parsedScore
-    });
+    if (verdict.outcome === 'flag') {
+      flagForReview(walletAddress, { stage: 'submission', jobId: reqId, outcome: 'flag', results: verdict.failed });
+    }
 
     // Tentatively reserve in the window (rollback on failure)
-    const entry = { ts: now, score: parsedScore, jobId }; // add jobId so rollback is precise
-    w.q.push(entry);
-    w.sum += parsedScore;
-
-    // Enqueue submission
-    const submission = {
-      id: jobId,
-      walletAddress,
-      score: parsedScore,
-      addrLower,
-      res,
-      responded: false,
-      windowRef: entry,           // this means "I ALREADY hold a slot"
-      reservationHeld: true,      // explicit marker
-      acceptedAt: now
-    };
-    pending.push(submission);
-    dlog(`[QUEUE] +1 pending=${pending.length} id=${jobId}`);
-
-    // Failsafe: If batch hasn't sent within REQUEST_HARD_TIMEOUT, send 202
-    const failsafe = setTimeout(() => {
-      sendOnce(submission, () => {
-        res.set('X-Job-Id', jobId);
-        res.status(202).json({
-          ok: true,
-          queued: true,
-          message: `Queued for next batch. Poll /api/v1/jobs/${jobId} for status.`,
-          jobId,
-          statusUrl: `/api/v1/jobs/${jobId}`,
-          approxBatchInMs: BATCH_INTERVAL_MS
-        });
-      });
-    }, REQUEST_HARD_TIMEOUT);
+    const jobId = reqId; // unique per request already
+    const entry = scoreWindow.reserve(addrLower, parsedScore, jobId, now);
 
-    // If we do eventually reply (by success/error/202-after-send), clear the failsafe:
-    const stopFailsafe = () => clearTimeout(failsafe);
-    // Hook into res finish to ensure cleanup
-    res.on('finish', stopFailsafe);
-    res.on('close',  stopFailsafe);
+    enqueueSubmission({ jobId, res, walletAddress, score: parsedScore, windowRef: entry, job: idem });
 
   } catch (err) {
     const code   = err?.code || err?.info?.error?.code;
     const reason = err?.shortMessage || err?.reason || err?.info?.error?.message || err?.message;
-    log(`[ERR ${reqId}]`, code || '', reason || err);
+    elog(`[ERR ${reqId}]`, code || '', reason || err);
     return res.status(500).json({ ok: false, error: 'INTERNAL_ERROR', code, reason });
   }
 });
 
+/**
+ * GET /api/v1/jobs/stream?ids=<id,id,...>   |   ?wallet=<0x...>   |   (no filter: admins only)
+ * Server-Sent Events instead of polling /api/v1/jobs/:id. Each `job` event carries the same
+ * JSON as /api/v1/jobs/:id and fires on queued → sent → mined/failed (and on fee-bump
+ * replacements, which change txHash). Current state is sent first.
+ *   - ids:    ends with a `done` event once every id is mined/failed (or unknown).
+ *   - wallet: stays open and follows every new job for that wallet. Needs that wallet's
+ *             session (Authorization: Bearer <wallet session>) or admin credentials.
+ *   - neither: stays open and follows every job; admin credentials (see requireAdmin) only.
+ */
+let sseClients = 0;
+app.get('/api/v1/jobs/stream', (req, res) => {
+  const ids = String(req.query.ids || '').split(',').map(x => x.trim()).filter(Boolean);
+  const walletAddress = req.query.wallet ? String(req.query.wallet) : null;
+  const all = !ids.length && !walletAddress;
+
+  if (ids.length > SSE_MAX_IDS) {
+    return res.status(400).json({ ok: false, error: `At most ${SSE_MAX_IDS} job ids per stream` });
+  }
+  if (walletAddress && !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ ok: false, error: '`wallet` is not a valid EVM address' });
+  }
+  // Job ids are unguessable, but a wallet's (or everyone's) jobs are only for their owner or an admin
+  if (all || walletAddress) {
+    const admin = req.get('x-admin-key') || req.get('x-admin-signature') ? authenticateAdmin(req) : null;
+    if (admin?.actor) {
+      req.admin = admin;
+      audit(req, 'jobs.stream', { target: walletAddress ?? 'all', outcome: 'ok' });
+    } else if (admin) {
+      audit(req, 'auth', { outcome: 'denied', code: admin.code, path: req.originalUrl });
+      return res.status(admin.status).json({ ok: false, code: admin.code, reason: admin.reason });
+    } else if (all) {
+      return res.status(401).json({ ok: false, code: 'ADMIN_AUTH_REQUIRED', reason: 'Pass `ids` or `wallet`; the unfiltered stream is for admins.' });
+    } else {
+      const authErr = checkWalletSession(req, walletAddress);
+      if (authErr) {
+        warn(`[AUTH ${req.id}] ${authErr.code} stream wallet=${walletAddress}`);
+        return res.status(401).json({ ok: false, ...authErr });
+      }
+    }
+  }
+  if (sseClients >= SSE_MAX_CLIENTS) {
+    mThrottled.inc({ scope: 'stream' });
+    return sendThrottled(res, 503, 'STREAM_CAPACITY', 'Too many open streams; poll /api/v1/jobs/:id instead.', SSE_KEEPALIVE_MS);
+  }
+
+  sseClients++;
+  req.on('close', () => { sseClients--; });
+  jobRegistry.stream(req, res, { ids, walletAddress, all, keepaliveMs: SSE_KEEPALIVE_MS });
+});
+
 // Job status
 app.get('/api/v1/jobs/:id', (req, res) => {
   const job = jobs.get(req.params.id);
   if (!job) return res.status(404).json({ ok: false, error: 'JOB_NOT_FOUND' });
+  return res.json(jobView(req.params.id, job));
+});
 
-  if (job.status === 'mined') {
-    return res.json({
-      ok: true,
-      status: job.status,
-      jobId: req.params.id,
-      txHash: job.txHash,
-      blockNumber: job.receipt?.blockNumber,
-      statusCode: job.receipt?.status,
-      gasUsed: job.receipt?.gasUsed?.toString?.(),
-      to: job.receipt?.to,
-      from: job.receipt?.from,
-      nonce: job.nonce
-    });
-  }
-
-  if (job.status === 'failed') {
-    return res.json({
-      ok: false,
-      status: job.status,
-      jobId: req.params.id,
-      code: job.code,
-      reason: job.reason
-    });
-  }
-
-  // queued | sent
-  return res.json({
+/**
+ * GET /api/v1/jobs/:id/trace   (admin)
+ * The job's lifecycle in order: accepted, window slot taken/released/refused, batch pickup,
+ * fee data, nonce, send, acks, receipt or error, re-queues. Events are kept in memory, so after
+ * a restart the trace starts at 'recovered'; `dropped` counts events cut from a long trace.
+ */
+app.get('/api/v1/jobs/:id/trace', requireAdmin, (req, res) => {
+  const id  = req.params.id;
+  const job = jobs.get(id);
+  if (!job) return res.status(404).json({ ok: false, error: 'JOB_NOT_FOUND' });
+  bindJob(id);
+  const t = jobRegistry.traceOf(id) || { events: [], dropped: 0 };
+  res.json({
     ok: true,
+    jobId: id,
     status: job.status,
-    jobId: req.params.id,
-    sentAt: job.sentAt ?? null
+    inQueue: pending.some(i => i.id === id),
+    dropped: t.dropped,
+    events: t.events.map(({ at, ...e }) => ({ at: new Date(at).toISOString(), ...e }))
   });
 });
 
@@ -610,233 +1480,511 @@ if (!_fetch) {
   const mod = await import('node-fetch'); // npm i node-fetch
   _fetch = mod.default;
 }
+if (SIMULATE) {
+  // Leaderboard pages and check-wallet answered from the simulated chain's totals
+  _fetch = createGamesIdStub(simChain, {
+    leaderboardUrl: LEADERBOARD_BASE,
+    gameId: GAME_ID,
+    users: Object.fromEntries(SIMULATE_USERS.split(',').map(x => x.trim().split('=')).filter(([w, u]) => ethers.isAddress(w) && u)),
+    autoUsernames: SIMULATE_AUTO_USERNAMES,
+    fallback: _fetch
+  }).fetch;
+}
 
-const MAX_PAGE_WALK = 50; // hard cap so we never hammer upstream
-let lbCache = new Map();
-
-/**
- * Parse the Next.js streamed HTML for the leaderboard JSON payload,
- * then normalize for a single page (scores + transactions).
- */
-function extractLeaderboardFromHtml(html, wantedGameId, reqId = '') {
-  const rePush = /self\.__next_f\.push\(\[1,"((?:\\.|[^"\\])*)"\]\)/g;
-  let match;
-  let pushes = 0;
-  let hits = 0;
-
-  while ((match = rePush.exec(html)) !== null) {
-    pushes++;
-    const captured = match[1];
-    let decoded;
-    try { decoded = JSON.parse(`"${captured}"`); } catch { continue; }
-    const colon = decoded.indexOf(':');
-    if (colon === -1) continue;
-
-    const arrJson = decoded.slice(colon + 1);
-    let arr;
-    try { arr = JSON.parse(arrJson); } catch { continue; }
-    if (!Array.isArray(arr) || arr.length < 4 || typeof arr[3] !== 'object' || arr[3] === null) continue;
-
-    const payload = arr[3];
-
-    const rootGameId = payload.gameId ?? null;
-    const scoreHasWanted = Array.isArray(payload.scoreData) && payload.scoreData.some(x => Number(x.gameId) === Number(wantedGameId));
-    const txHasWanted    = Array.isArray(payload.transactionData) && payload.transactionData.some(x => Number(x.gameId) === Number(wantedGameId));
-
-    if (Number(rootGameId) === Number(wantedGameId) || scoreHasWanted || txHasWanted) {
-      hits++;
-
-      const normScore = (payload.scoreData || [])
-        .filter(x => Number(x.gameId) === Number(wantedGameId))
-        .map(({ userId, username, walletAddress, score, gameId, gameName, rank }) => ({
-          userId, username, walletAddress, score,
-          gameId: Number(gameId), gameName, rank: Number(rank)
-        }))
-        .sort((a, b) => a.rank - b.rank);
-
-      const normTx = (payload.transactionData || [])
-        .filter(x => Number(x.gameId) === Number(wantedGameId))
-        .map(({ userId, username, walletAddress, transactionCount, gameId, gameName, rank }) => ({
-          userId, username, walletAddress, transactionCount,
-          gameId: Number(gameId), gameName, rank: Number(rank)
-        }))
-        .sort((a, b) => a.rank - b.rank);
-
-      dlog?.(`[LB ${reqId}] pushes=${pushes} matched=${hits} (gameId=${wantedGameId})`);
-      return {
-        ok: true,
-        gameId: Number(wantedGameId),
-        gameName: normScore[0]?.gameName || normTx[0]?.gameName || payload.gameName || null,
-        lastUpdated: payload.lastUpdated || null,
-        scorePagination: payload.scorePagination || null,
-        transactionPagination: payload.transactionPagination || null,
-        scoreData: normScore,
-        transactionData: normTx
-      };
-    }
-  }
-
-  dlog?.(`[LB ${reqId}] pushes scanned=${pushes}, no payload matched gameId=${wantedGameId}`);
-  return { ok: false, error: 'PAYLOAD_NOT_FOUND_FOR_GAME' };
-}
-
-/** Fetch and parse ONE page from upstream. */
-async function fetchLeaderboardPage({ baseUrl, gameId, page, reqId }) {
-  const url = new URL(baseUrl);
-  url.searchParams.set('gameId', String(gameId));
-  url.searchParams.set('page', String(page));
-
-  dlog?.(`[LB ${reqId}] fetching ${url.toString()}`);
-  const resp = await _fetch(url.toString(), {
-    method: 'GET',
-    headers: {
-      'User-Agent': 'score-middleware/1.0',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-    }
-  });
+// Scraped boards: fresh for LEADERBOARD_CACHE_MS, then served stale (while a single refresh
+// runs) until LEADERBOARD_MAX_STALE_MS. Boards the indexer serves are left to it.
+const scraper = createLeaderboardScraper({
+  fetch: _fetch,
+  baseUrl: LEADERBOARD_BASE,
+  cacheMs: LEADERBOARD_CACHE_MS,
+  maxStaleMs: LEADERBOARD_MAX_STALE_MS,
+  refreshMs: LEADERBOARD_REFRESH_MS,
+  log,
+  warn,
+  dlog,
+  metrics: { cache: mLbCache, upstream: mLbUpstream },
+  onBoard: data => { for (const row of data.scoreData || []) rememberUser(row); },
+  skipRefresh: gameId => indexerReady(gameId)
+});
 
-  const html = await resp.text();
-  if (!resp.ok || !html) {
-    throw new Error(`UPSTREAM_ERROR status=${resp.status}`);
-  }
+/* ---------------- On-chain Leaderboard Indexer ---------------- */
+/**
+ * Follows INDEXER_EVENT on the Games ID contract from INDEXER_START_BLOCK, keeping per-wallet
+ * totals for updates sent by our game addresses (the signers, plus INDEXER_GAME_ADDRESSES for
+ * retired keys). It stays INDEXER_CONFIRMATIONS behind head, and the totals are saved together
+ * with the last indexed block so a crash can't count a range twice.
+ *
+ * The chain has no usernames; those come from Games ID lookups (check-wallet, and the scraper
+ * cross-check, which also logs any wallet whose totals disagree with the site).
+ */
+const INDEX_PATH  = path.join(DATA_DIR, 'indexer.json');
+const indexIface  = new ethers.Interface([INDEXER_EVENT]);
+const indexEvent  = indexIface.fragments.find(f => f.type === 'event');
+const indexFields = new Set(indexEvent.inputs.map(i => i.name));
+
+const indexer = {
+  enabled: INDEXER_START_BLOCK > 0,
+  lastBlock: INDEXER_START_BLOCK - 1, // last fully indexed block
+  head: null,                         // latest block we may index (head - confirmations)
+  totals: new Map(),                  // addrLower -> { walletAddress, score, transactions }
+  users: new Map(),                   // addrLower -> { userId, username }
+  gameName: null,
+  lastEventAt: null,
+  lastError: null,
+  busy: false,
+  crossCheck: null                    // { at, compared, mismatches }
+};
+
+function indexGameAddresses() {
+  return new Set([...signers.map(s => s.address), ...INDEXER_GAME_ADDRESSES].map(a => a.toLowerCase()));
+}
 
-  const parsed = extractLeaderboardFromHtml(html, gameId, reqId);
-  if (!parsed.ok) {
-    throw new Error(parsed.error || 'PARSE_ERROR');
+function loadIndex() {
+  if (!fs.existsSync(INDEX_PATH)) return;
+  try {
+    const snap = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+    for (const u of snap.users || []) indexer.users.set(u.walletAddress.toLowerCase(), u);
+    indexer.gameName = snap.gameName ?? null;
+    // A different contract, event or start block invalidates the totals (usernames still hold)
+    if (snap.contract !== CONTRACT_ADDRESS.toLowerCase() || snap.topic !== indexEvent.topicHash || snap.startBlock !== INDEXER_START_BLOCK) {
+      log('[INDEX] config changed; re-indexing from', INDEXER_START_BLOCK);
+      return;
+    }
+    indexer.lastBlock   = snap.lastBlock;
+    indexer.lastEventAt = snap.lastEventAt ?? null;
+    for (const t of snap.totals || []) indexer.totals.set(t.walletAddress.toLowerCase(), t);
+  } catch (e) {
+    warn('[INDEX] could not read snapshot; re-indexing:', e?.message || e);
   }
+}
+
+function saveIndex() {
+  const tmp = `${INDEX_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({
+    contract: CONTRACT_ADDRESS.toLowerCase(),
+    topic: indexEvent.topicHash,
+    startBlock: INDEXER_START_BLOCK,
+    lastBlock: indexer.lastBlock,
+    lastEventAt: indexer.lastEventAt,
+    gameName: indexer.gameName,
+    totals: [...indexer.totals.values()],
+    users: [...indexer.users.values()]
+  }));
+  fs.renameSync(tmp, INDEX_PATH);
+}
 
-  return { parsed, url: url.toString() };
+function rememberUser({ userId, id, username, walletAddress } = {}) {
+  if (!walletAddress || !username) return;
+  indexer.users.set(String(walletAddress).toLowerCase(), { walletAddress, userId: userId ?? id ?? null, username });
 }
 
-/** Merge + de-dupe by userId+walletAddress (defensive, pages *should* be unique already). */
-function mergeResults(acc, pageData) {
-  const key = (u) => `${u.userId}::${u.walletAddress}`;
-  for (const row of pageData.scoreData || []) {
-    const k = key(row);
-    if (!acc.scoreSeen.has(k)) {
-      acc.scoreSeen.add(k);
-      acc.scoreData.push(row);
+function applyLog(entry, games) {
+  let parsed;
+  try { parsed = indexIface.parseLog(entry); } catch { return false; }
+  if (!parsed) return false;
+  const a = parsed.args;
+  if (indexFields.has('game') && !games.has(String(a.game).toLowerCase())) return false;
+
+  const walletAddress = ethers.getAddress(a.player);
+  const key = walletAddress.toLowerCase();
+  const row = indexer.totals.get(key) || { walletAddress, score: 0, transactions: 0 };
+  row.score        += Number(a.scoreAmount);
+  row.transactions += indexFields.has('transactionAmount') ? Number(a.transactionAmount) : 1;
+  indexer.totals.set(key, row);
+  return true;
+}
+
+async function indexTick() {
+  if (!indexer.enabled || indexer.busy) return;
+  indexer.busy = true;
+  try {
+    indexer.head = (await provider.getBlockNumber()) - INDEXER_CONFIRMATIONS;
+    const games = indexGameAddresses();
+
+    while (indexer.lastBlock < indexer.head) {
+      const fromBlock = indexer.lastBlock + 1;
+      const toBlock   = Math.min(indexer.head, fromBlock + INDEXER_BLOCK_CHUNK - 1);
+      const logs = await provider.getLogs({ address: CONTRACT_ADDRESS, topics: [indexEvent.topicHash], fromBlock, toBlock });
+
+      let applied = 0;
+      for (const entry of logs) if (applyLog(entry, games)) applied++;
+      indexer.lastBlock = toBlock;
+      if (applied) {
+        indexer.lastEventAt = new Date().toISOString();
+        dlog(`[INDEX] blocks ${fromBlock}-${toBlock}: ${applied} update(s)`);
+      }
+      saveIndex();
     }
+    indexer.lastError = null;
+  } catch (e) {
+    indexer.lastError = e?.shortMessage || e?.message || String(e);
+    elog('[INDEX] tick failed:', indexer.lastError);
+  } finally {
+    indexer.busy = false;
   }
-  for (const row of pageData.transactionData || []) {
-    const k = key(row);
-    if (!acc.txSeen.has(k)) {
-      acc.txSeen.add(k);
-      acc.transactionData.push(row);
+}
+
+function indexerReady(gameId) {
+  return indexer.enabled && Number(gameId) === GAME_ID && indexer.head != null &&
+    (indexer.head - indexer.lastBlock) <= INDEXER_MAX_LAG_BLOCKS;
+}
+
+/** The indexed totals in /api/v1/getleaderboard's response shape. */
+function indexerLeaderboard() {
+  const rows = [...indexer.totals.values()].filter(r => r.score > 0 || r.transactions > 0);
+  const person = (r) => {
+    const u = indexer.users.get(r.walletAddress.toLowerCase());
+    return { userId: u?.userId ?? null, username: u?.username ?? null, walletAddress: r.walletAddress };
+  };
+  const page = (n) => ({ page: 1, limit: n, total: String(n), totalPages: 1 });
+
+  const scoreData = rows.filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map((r, i) => ({ ...person(r), score: r.score, gameId: GAME_ID, gameName: indexer.gameName, rank: i + 1 }));
+  const transactionData = rows.filter(r => r.transactions > 0)
+    .sort((a, b) => b.transactions - a.transactions)
+    .map((r, i) => ({ ...person(r), transactionCount: r.transactions, gameId: GAME_ID, gameName: indexer.gameName, rank: i + 1 }));
+
+  return {
+    ok: true,
+    gameId: GAME_ID,
+    gameName: indexer.gameName,
+    lastUpdated: indexer.lastEventAt,
+    scorePagination: page(scoreData.length),
+    transactionPagination: page(transactionData.length),
+    scoreData,
+    transactionData,
+    source: {
+      base: 'indexer',
+      contract: CONTRACT_ADDRESS,
+      fromBlock: INDEXER_START_BLOCK,
+      toBlock: indexer.lastBlock,
+      fetchedAt: new Date().toISOString()
     }
+  };
+}
+
+/** Compare against the site (and learn usernames/game name from it). Logs, never corrects. */
+async function crossCheckIndex() {
+  if (!indexerReady(GAME_ID)) return;
+  try {
+    const site = await scraper.refresh(GAME_ID, 'crosscheck'); // also keeps the fallback warm
+    if (!site?.ok) throw new Error('scrape failed');
+    if (site.gameName) indexer.gameName = site.gameName;
+
+    const mismatches = [];
+    for (const row of site.scoreData || []) {
+      rememberUser(row);
+      const ours = indexer.totals.get(String(row.walletAddress).toLowerCase())?.score ?? 0;
+      if (ours !== Number(row.score)) mismatches.push({ walletAddress: row.walletAddress, indexed: ours, site: Number(row.score) });
+    }
+    indexer.crossCheck = { at: new Date().toISOString(), compared: site.scoreData?.length ?? 0, mismatches: mismatches.length };
+    saveIndex();
+    if (mismatches.length) {
+      warn(`[INDEX] cross-check: ${mismatches.length}/${indexer.crossCheck.compared} wallet(s) differ from the site, e.g.`, mismatches.slice(0, 3));
+    } else {
+      dlog(`[INDEX] cross-check: ${indexer.crossCheck.compared} wallet(s) agree`);
+    }
+  } catch (e) {
+    warn('[INDEX] cross-check failed:', e?.message || e);
   }
 }
 
-/** Walk all pages and return a single aggregated payload. */
-async function fetchAllLeaderboardPages({ baseUrl, gameId, reqId }) {
-  const pagesFetched = [];
-  const acc = {
-    scoreData: [],
-    transactionData: [],
-    scoreSeen: new Set(),
-    txSeen: new Set(),
-    gameName: null,
-    lastUpdated: null,
-    scorePagination: null,
-    transactionPagination: null
-  };
+if (indexer.enabled) {
+  loadIndex();
+  log(`[INDEX] following ${indexEvent.format()} from block ${indexer.lastBlock + 1}`);
+  indexTick();
+  setInterval(indexTick, INDEXER_POLL_MS).unref();
+  setInterval(crossCheckIndex, INDEXER_CROSSCHECK_MS).unref();
+} else {
+  log('[INDEX] INDEXER_START_BLOCK not set; leaderboard is scraped from Monad Games ID');
+}
 
-  // Page 1: discover totalPages
-  const first = await fetchLeaderboardPage({ baseUrl, gameId, page: 1, reqId });
-  pagesFetched.push(first.url);
+/**
+ * Leaderboard for a game: the indexer when it is caught up (our game only), otherwise the
+ * cached scrape (fresh, or stale while one refresh runs). `source: 'scrape'` forces the
+ * scraper. Returns { data, cached, stale }.
+ */
+async function getLeaderboard({ gameId, reqId, source }) {
+  if (source !== 'scrape' && indexerReady(gameId)) {
+    return { data: indexerLeaderboard(), cached: false, stale: false };
+  }
+  return scraper.get(gameId, reqId);
+}
 
-  acc.gameName = first.parsed.gameName || acc.gameName;
-  acc.lastUpdated = first.parsed.lastUpdated || acc.lastUpdated;
-  acc.scorePagination = first.parsed.scorePagination || acc.scorePagination;
-  acc.transactionPagination = first.parsed.transactionPagination || acc.transactionPagination;
+/* Validators for leaderboard reads. The ETag covers the body minus per-request fields; the
+   Last-Modified is when this process first saw the board's current content. */
+const boardVersions = new Map(); // `${base}:${gameId}` -> { etag, modifiedAt }
 
-  mergeResults(acc, first.parsed);
+function boardEtag(body) {
+  const rest = { ...body, cached: undefined, cacheMs: undefined, stale: undefined }; // undefined drops out of JSON
+  if (rest.source && typeof rest.source === 'object') rest.source = { ...rest.source, fetchedAt: undefined };
+  return `W/"${crypto.createHash('sha256').update(JSON.stringify(rest)).digest('base64url').slice(0, 27)}"`;
+}
 
-  const tpScore = Number(acc.scorePagination?.totalPages ?? 1);
-  const tpTx    = Number(acc.transactionPagination?.totalPages ?? 1);
-  const totalPages = Math.max(1, tpScore, tpTx);
-  dlog?.(`[LB ${reqId}] totalPages (max of score/tx) = ${totalPages}`);
+function boardModifiedAt(gameId, data) {
+  const key = `${data.source?.base}:${gameId}`;
+  const etag = boardEtag(data);
+  const seen = boardVersions.get(key);
+  if (seen?.etag === etag) return seen.modifiedAt;
 
-  // Walk the rest
-  const hardCap = Math.min(MAX_PAGE_WALK, totalPages);
-  for (let page = 2; page <= hardCap; page++) {
-    try {
-      const { parsed, url } = await fetchLeaderboardPage({ baseUrl, gameId, page, reqId });
-      pagesFetched.push(url);
-
-      // If a page returns empty arrays (common for > totalPages), stop early.
-      const empty = (!parsed.scoreData?.length) && (!parsed.transactionData?.length);
-      if (empty) {
-        dlog?.(`[LB ${reqId}] page ${page} returned no data, stopping.`);
-        break;
-      }
+  const modifiedAt = new Date(Math.floor(Date.now() / 1000) * 1000); // HTTP dates have 1s resolution
+  boardVersions.set(key, { etag, modifiedAt });
+  return modifiedAt;
+}
 
-      mergeResults(acc, parsed);
+/** res.json with validators; express turns a matching If-None-Match/If-Modified-Since into a 304. */
+function sendBoard(res, body, modifiedAt) {
+  res.set('Cache-Control', 'no-cache');
+  res.set('ETag', boardEtag(body));
+  res.set('Last-Modified', modifiedAt.toUTCString());
+  return res.json(body);
+}
 
-      // Track the latest "lastUpdated" we see
-      acc.lastUpdated = parsed.lastUpdated || acc.lastUpdated;
-    } catch (e) {
-      // If something goes wrong mid-walk, bail out but keep what we have from earlier pages.
-      log?.(`[LB ${reqId}] stopping at page due to ${e?.message || e}`);
-      break;
-    }
+/**
+ * Reads page/limit/search/around off the query. Returns null when none are given (the whole
+ * board, as before), { error } when one is malformed.
+ */
+function parseBoardQuery(q) {
+  const has = (k) => q[k] != null && q[k] !== '';
+  if (!['page', 'limit', 'search', 'around'].some(has)) return null;
+
+  const page  = has('page') ? Number(q.page) : 1;
+  const limit = has('limit') ? Number(q.limit) : Math.min(50, LEADERBOARD_MAX_LIMIT);
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a positive integer' };
+  if (!Number.isInteger(limit) || limit < 1 || limit > LEADERBOARD_MAX_LIMIT) {
+    return { error: `limit must be an integer in [1, ${LEADERBOARD_MAX_LIMIT}]` };
   }
 
-  // Final sort by rank (just to be sure)
-  acc.scoreData.sort((a, b) => a.rank - b.rank);
-  acc.transactionData.sort((a, b) => a.rank - b.rank);
+  let around = null;
+  if (has('around')) {
+    if (!ethers.isAddress(String(q.around))) return { error: 'around must be a wallet address' };
+    around = String(q.around).toLowerCase();
+  }
+  const search = has('search') ? String(q.search).trim().toLowerCase().slice(0, 64) : '';
+  return { page, limit, search, around };
+}
+
+/**
+ * Cuts one board (scoreData or transactionData) down to a page. Ranks stay board-wide;
+ * `search` keeps username prefix matches; `around` picks the page holding that wallet.
+ */
+function pageRows(rows, { page, limit, search, around }) {
+  let list = rows || [];
+  if (search) list = list.filter(r => String(r.username || '').toLowerCase().startsWith(search));
+
+  if (around) {
+    const at = list.findIndex(r => String(r.walletAddress || '').toLowerCase() === around);
+    if (at >= 0) page = Math.floor(at / limit) + 1;
+  }
 
+  const total = list.length;
   return {
-    ok: true,
-    gameId: Number(gameId),
-    gameName: acc.gameName || null,
-    lastUpdated: acc.lastUpdated || null,
-    scorePagination: acc.scorePagination || null,
-    transactionPagination: acc.transactionPagination || null,
-    scoreData: acc.scoreData,
-    transactionData: acc.transactionData,
-    source: {
-      base: baseUrl,
-      pages: pagesFetched,
-      fetchedAt: new Date().toISOString()
-    }
+    rows: list.slice((page - 1) * limit, page * limit),
+    pagination: { page, limit, total: String(total), totalPages: Math.max(1, Math.ceil(total / limit)) }
   };
 }
 
+function paginateBoard(data, query) {
+  const score = pageRows(data.scoreData, query);
+  const tx    = pageRows(data.transactionData, query);
+  return {
+    ...data,
+    scorePagination: score.pagination,
+    transactionPagination: tx.pagination,
+    scoreData: score.rows,
+    transactionData: tx.rows,
+    ...(query.search ? { search: query.search } : {}),
+    ...(query.around ? { around: query.around } : {})
+  };
+}
+
+/** One wallet's rows on the board (case-insensitive), or null where it has none. */
+function findPlayer(data, walletLower) {
+  const match = r => String(r.walletAddress || '').toLowerCase() === walletLower;
+  return {
+    scoreRow: (data.scoreData || []).find(match) || null,
+    txRow: (data.transactionData || []).find(match) || null
+  };
+}
+
+/**
+ * GET /api/v1/getleaderboard?gameId=64[&page=1&limit=50][&search=prefix][&around=0x..][&source=scrape]
+ * Served from the on-chain indexer when it's caught up; otherwise scraped from Monad Games ID.
+ * Without page/limit/search/around the whole board is returned.
+ */
 app.get('/api/v1/getleaderboard', async (req, res) => {
   const reqId = req.id;
-  const gameId = Number(req.query.gameId || 64);
+  const gameId = Number(req.query.gameId || GAME_ID);
+  const query = parseBoardQuery(req.query);
+  if (query?.error) return res.status(400).json({ ok: false, error: query.error });
 
   try {
-    const cached = lbCache.get(gameId);
-    if (cached && (Date.now() - cached.ts) < LEADERBOARD_CACHE_MS) {
-      dlog?.(`[LB ${reqId}] cache hit for gameId=${gameId}`);
-      return res.json({ ...cached.data, cached: true, cacheMs: LEADERBOARD_CACHE_MS });
-    }
-
-    // Walk all pages and aggregate
-    const result = await fetchAllLeaderboardPages({
-      baseUrl: LEADERBOARD_BASE,
-      gameId,
-      reqId
-    });
+    const { data, cached, stale } = await getLeaderboard({ gameId, reqId, source: req.query.source });
 
-    if (!result.ok) {
-      log?.(`[LB ${reqId}] aggregate failed`);
+    if (!data.ok) {
+      warn(`[LB ${reqId}] aggregate failed`);
       return res.status(500).json({ ok: false, error: 'AGGREGATE_FAILED' });
     }
 
-    lbCache.set(gameId, { ts: Date.now(), data: result });
-    return res.json(result);
+    const body = query ? paginateBoard(data, query) : data;
+    return sendBoard(res, cached ? { ...body, cached: true, stale, cacheMs: LEADERBOARD_CACHE_MS } : body, boardModifiedAt(gameId, data));
 
   } catch (e) {
     const reason = e?.message || String(e);
-    log?.(`[ERR ${reqId}] leaderboard error: ${reason}`);
+    elog(`[ERR ${reqId}] leaderboard error: ${reason}`);
     return res.status(500).json({ ok: false, error: 'INTERNAL_ERROR', reason });
   }
 });
 
-/* ---------------- Unlock-all helpers ---------------- */
+/**
+ * GET /api/v1/players/:wallet?gameId=64
+ * One player's standing: { walletAddress, username, userId, score, rank, transactionCount, transactionRank }.
+ * Wallets not on the board come back with found:false and zeros, which is what clients gate on.
+ */
+app.get('/api/v1/players/:wallet', async (req, res) => {
+  const reqId = req.id;
+  const gameId = Number(req.query.gameId || GAME_ID);
+  const wallet = String(req.params.wallet || '');
+  if (!ethers.isAddress(wallet)) return res.status(400).json({ ok: false, error: 'wallet must be an address' });
+
+  try {
+    const { data } = await getLeaderboard({ gameId, reqId, source: req.query.source });
+    if (!data.ok) return res.status(500).json({ ok: false, error: 'AGGREGATE_FAILED' });
+
+    const { scoreRow, txRow } = findPlayer(data, wallet.toLowerCase());
+    const known = indexer.users.get(wallet.toLowerCase());
+    const row = scoreRow || txRow;
+    return sendBoard(res, {
+      ok: true,
+      found: !!row,
+      gameId,
+      gameName: data.gameName ?? null,
+      walletAddress: row?.walletAddress || ethers.getAddress(wallet),
+      username: row?.username ?? known?.username ?? null,
+      userId: row?.userId ?? known?.userId ?? null,
+      score: scoreRow ? Number(scoreRow.score) : 0,
+      rank: scoreRow ? Number(scoreRow.rank) : null,
+      transactionCount: txRow ? Number(txRow.transactionCount) : 0,
+      transactionRank: txRow ? Number(txRow.rank) : null,
+      lastUpdated: data.lastUpdated ?? null,
+      source: data.source?.base ?? null
+    }, boardModifiedAt(gameId, data));
+  } catch (e) {
+    const reason = e?.message || String(e);
+    elog(`[ERR ${reqId}] player lookup error: ${reason}`);
+    return res.status(500).json({ ok: false, error: 'INTERNAL_ERROR', reason });
+  }
+});
+
+/**
+ * GET /api/v1/players/:wallet/history?from=&to=&status=&order=desc&page=1&limit=50[&format=csv]
+ * Every submission for the wallet, including ones still queued or in flight: score, status,
+ * txHash, blockNumber, failure code/reason and where it came from (session + level, admin
+ * action, or /submitscore). `from`/`to` filter on submission time (ISO or epoch ms; `to` is
+ * exclusive). CSV (format=csv or Accept: text/csv) defaults to one page of HISTORY_MAX_LIMIT rows.
+ */
+app.get('/api/v1/players/:wallet/history', (req, res) => {
+  const wallet = String(req.params.wallet || '');
+  if (!ethers.isAddress(wallet)) return res.status(400).json({ ok: false, error: 'wallet must be an address' });
+
+  const q = req.query;
+  const csv = q.format ? String(q.format) === 'csv' : req.accepts(['application/json', 'text/csv']) === 'text/csv';
+  if (q.format && !['json', 'csv'].includes(String(q.format))) return res.status(400).json({ ok: false, error: 'format must be json or csv' });
+
+  const from = parseTimeParam(q.from);
+  const to   = parseTimeParam(q.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ ok: false, error: 'invalid time', reason: 'from/to must be ISO dates or epoch milliseconds within the Date range' });
+  }
+  const status = q.status ? String(q.status) : null;
+  if (status && !HISTORY_STATUSES.includes(status)) {
+    return res.status(400).json({ ok: false, error: `status must be one of ${HISTORY_STATUSES.join(', ')}` });
+  }
+  const order = q.order ? String(q.order) : 'desc';
+  if (!['asc', 'desc'].includes(order)) return res.status(400).json({ ok: false, error: 'order must be asc or desc' });
+
+  const page  = q.page ? Number(q.page) : 1;
+  const limit = q.limit ? Number(q.limit) : (csv ? HISTORY_MAX_LIMIT : Math.min(50, HISTORY_MAX_LIMIT));
+  if (!Number.isInteger(page) || page < 1) return res.status(400).json({ ok: false, error: 'page must be a positive integer' });
+  if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+    return res.status(400).json({ ok: false, error: `limit must be an integer in [1, ${HISTORY_MAX_LIMIT}]` });
+  }
+
+  const rows  = history.query(wallet, { from, to, status, order });
+  const total = rows.length;
+  const pageRows = rows.slice((page - 1) * limit, page * limit);
+  const walletAddress = ethers.getAddress(wallet);
+  res.set('Cache-Control', 'no-store');
+
+  if (csv) {
+    res.set('X-Total-Count', String(total));
+    res.set('Content-Disposition', `attachment; filename="history-${walletAddress}.csv"`);
+    return res.type('text/csv; charset=utf-8').send(historyCsv(pageRows));
+  }
+
+  const iso = t => (t == null ? null : new Date(t).toISOString());
+  res.json({
+    ok: true,
+    walletAddress,
+    filters: { from: iso(from), to: iso(to), status, order },
+    pagination: { page, limit, total, totalPages: Math.max(1, Math.ceil(total / limit)) },
+    entries: pageRows.map(({ walletAddress: _w, ...e }) => ({
+      ...e, createdAt: iso(e.createdAt), sentAt: iso(e.sentAt), settledAt: iso(e.settledAt)
+    }))
+  });
+});
+
+/**
+ * GET /api/v1/catalogue
+ * Characters and levels with names, descriptions, image keys and unlock scores. Both front ends
+ * render their pickers from this.
+ */
+app.get('/api/v1/catalogue', (_req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(CATALOGUE_BODY);
+});
+
+/**
+ * GET /api/v1/access/check?wallet=0x..&character=0&level=0[&gameId=64]
+ * Whether the wallet's current score unlocks that character and level:
+ * { allowed, banned, score, character: { key, name, unlockScore, unlocked, remaining }, level: {...} }.
+ * /api/v1/session/launch enforces the same answer.
+ */
+app.get('/api/v1/access/check', async (req, res) => {
+  const reqId = req.id;
+  const gameId = Number(req.query.gameId || GAME_ID);
+  const wallet = String(req.query.wallet || '');
+  const characterStr = String(req.query.character ?? '').trim();
+  const levelStr     = String(req.query.level ?? '').trim();
+  if (!ethers.isAddress(wallet)) return res.status(400).json({ ok: false, error: 'wallet must be an address' });
+  if (!CHARACTER_KEYS.has(characterStr)) return res.status(400).json({ ok: false, error: '`character` is not a known character' });
+  if (!LEVEL_KEYS.has(levelStr)) return res.status(400).json({ ok: false, error: '`level` is not a known level' });
+  if (!Number.isFinite(gameId) || gameId <= 0) return res.status(400).json({ ok: false, error: '`gameId` must be a positive number' });
+
+  try {
+    const { score, gameName } = await getCurrentScoreForWallet(gameId, wallet.toLowerCase(), reqId);
+    const banned = bans.has(wallet.toLowerCase());
+    const access = accessFor(score, characterStr, levelStr);
+    res.set('Cache-Control', 'no-store');
+    return res.json({
+      ok: true,
+      gameId,
+      gameName,
+      walletAddress: ethers.getAddress(wallet),
+      score,
+      banned,
+      ...access,
+      allowed: access.allowed && !banned
+    });
+  } catch (e) {
+    const reason = e?.message || String(e);
+    elog(`[ERR ${reqId}] access check`, reason);
+    return res.status(502).json({ ok: false, code: 'LEADERBOARD_UNAVAILABLE', reason });
+  }
+});
+
+/* ---------------- Monad Games ID helpers ---------------- */
 
 /** Check wallet has username via upstream API. */
 async function checkWalletHasUsername(walletAddress) {
@@ -849,6 +1997,7 @@ async function checkWalletHasUsername(walletAddress) {
       return { ok: false, reason: `CHECK_WALLET_HTTP_${r.status}`, raw: j };
     }
     const has = !!j?.hasUsername;
+    if (has && j.user) rememberUser(j.user);
     return { ok: true, hasUsername: has, payload: j };
   } catch (e) {
     return { ok: false, reason: e?.message || 'CHECK_WALLET_ERROR' };
@@ -857,162 +2006,839 @@ async function checkWalletHasUsername(walletAddress) {
 
 /**
  * Returns the current score for a wallet (case-insensitive) for a given gameId.
- * Uses cache if fresh; otherwise walks pages via fetchAllLeaderboardPages.
+ * Reads the indexer when it's caught up; otherwise the (cached) scrape.
  */
 async function getCurrentScoreForWallet(gameId, walletLower, reqId = '') {
-  // Try cache first
-  const cached = lbCache.get(gameId);
-  let data;
-  if (cached && (Date.now() - cached.ts) < LEADERBOARD_CACHE_MS) {
-    data = cached.data;
-  } else {
-    data = await fetchAllLeaderboardPages({
-      baseUrl: LEADERBOARD_BASE,
-      gameId,
-      reqId
-    });
-    if (data?.ok) lbCache.set(gameId, { ts: Date.now(), data });
-  }
-
+  const { data } = await getLeaderboard({ gameId, reqId });
   if (!data?.ok) throw new Error('LEADERBOARD_UNAVAILABLE');
 
-  const row = (data.scoreData || []).find(
-    r => String(r.walletAddress || '').toLowerCase() === walletLower
-  );
+  const row = findPlayer(data, walletLower).scoreRow;
   return { score: row?.score ? Number(row.score) : 0, gameName: data.gameName ?? null };
 }
 
+/* ---------------- Admin API ---------------- */
+// Everything under /api/v1/admin goes through requireAdmin and is written to the audit log.
+// The contract only ever adds to a player's totals, so "adjusting" a score means granting the
+// difference up to a target; it can't go down.
+
+function parseAdminWallet(req, res) {
+  const { walletAddress } = req.body ?? {};
+  if (typeof walletAddress !== 'string' || !ethers.isAddress(walletAddress)) {
+    res.status(400).json({ ok: false, error: '`walletAddress` is not a valid EVM address' });
+    return null;
+  }
+  return ethers.getAddress(walletAddress);
+}
+
+/** Queue a window-exempt grant on behalf of an admin; replies like /api/v1/submitscore. */
+function enqueueAdminGrant(req, res, { action, walletAddress, score, note, ackBody = {} }) {
+  const refused = rejectIfQueueFull(res, req.id);
+  if (refused) {
+    audit(req, action, { target: walletAddress, outcome: 'denied', code: refused, score });
+    return;
+  }
+  const jobId = req.id;
+  enqueueSubmission({
+    jobId,
+    res,
+    walletAddress,
+    score,
+    skipWindow: true, // privileged: no per-event or sliding-window limits
+    job: { admin: req.admin.actor, action, note: note || null },
+    ackHeaders: { 'X-Delta': String(score) },
+    ackBody: { message: `${action} queued. Poll /api/v1/jobs/${jobId} for status.`, delta: score, ...ackBody }
+  });
+  audit(req, action, { target: walletAddress, outcome: 'queued', jobId, score, note: note || null, ...ackBody });
+}
+
+/**
+ * Pull a queued job out of `pending` before it is sent. Releases its window slot, fails the job
+ * as CANCELLED and answers its client if it's still waiting. Returns false once it has left the queue.
+ */
+function cancelQueuedJob(id, reason) {
+  const item = dispatcher.dequeue(id);
+  if (!item) return false;
+
+  // keep the session ledger honest: a cancelled kill no longer counts toward the session
+  const job = jobs.get(id);
+  const session = job?.sessionId ? sessions.get(job.sessionId) : null;
+  const kill = session?.kills.find(k => k.jobId === id);
+  if (kill && !kill.cancelled) {
+    kill.cancelled = true;
+    session.points -= kill.score;
+  }
+
+  setJob(id, { status: 'failed', code: 'CANCELLED', reason });
+  sendOnce(item, () => item.res.status(409).json({ ok: false, code: 'JOB_CANCELLED', reason }));
+  return true;
+}
+
 /**
- * POST /api/v1/s3cr3tUnlockAll
- * Body: { walletAddress: string, gameId?: number }
+ * POST /api/v1/admin/scores/grant
+ * Body: { walletAddress, score, note? }   — adds `score` (1..ADMIN_MAX_GRANT) to the player.
+ */
+app.post('/api/v1/admin/scores/grant', requireAdmin, (req, res) => {
+  const walletAddress = parseAdminWallet(req, res);
+  if (!walletAddress) return;
+  const { score, note } = req.body ?? {};
+  const parsed = Number(score);
+  if (!Number.isInteger(parsed) || parsed <= 0 || parsed > ADMIN_MAX_GRANT) {
+    audit(req, 'grant', { target: walletAddress, outcome: 'rejected', code: 'BAD_SCORE', score });
+    return res.status(400).json({ ok: false, error: `\`score\` must be an integer in 1..${ADMIN_MAX_GRANT}` });
+  }
+  enqueueAdminGrant(req, res, { action: 'grant', walletAddress, score: parsed, note });
+});
+
+/**
+ * POST /api/v1/admin/scores/adjust
+ * Body: { walletAddress, targetScore, gameId?, note? }
+ * Grants the difference between the player's leaderboard score and `targetScore`.
+ * 409 CANNOT_DECREASE when the player is already at or above the target.
+ */
+app.post('/api/v1/admin/scores/adjust', requireAdmin, async (req, res) => {
+  const walletAddress = parseAdminWallet(req, res);
+  if (!walletAddress) return;
+  const { targetScore, gameId: gameIdRaw, note } = req.body ?? {};
+  const target = Number(targetScore);
+  const gameId = Number(gameIdRaw ?? GAME_ID);
+  if (!Number.isInteger(target) || target <= 0) {
+    return res.status(400).json({ ok: false, error: '`targetScore` must be a positive integer' });
+  }
+
+  try {
+    const { score: currentScore } = await getCurrentScoreForWallet(gameId, walletAddress.toLowerCase(), req.id);
+    const delta = target - currentScore;
+    if (delta <= 0) {
+      audit(req, 'adjust', { target: walletAddress, outcome: 'rejected', code: 'CANNOT_DECREASE', currentScore, targetScore: target });
+      return res.status(409).json({
+        ok: false, code: 'CANNOT_DECREASE',
+        reason: 'Scores on-chain only accumulate; the player is already at or above the target.',
+        currentScore, targetScore: target
+      });
+    }
+    if (delta > ADMIN_MAX_GRANT) {
+      audit(req, 'adjust', { target: walletAddress, outcome: 'rejected', code: 'GRANT_TOO_LARGE', currentScore, targetScore: target });
+      return res.status(400).json({ ok: false, code: 'GRANT_TOO_LARGE', reason: `Delta ${delta} exceeds ADMIN_MAX_GRANT (${ADMIN_MAX_GRANT}).` });
+    }
+    enqueueAdminGrant(req, res, { action: 'adjust', walletAddress, score: delta, note, ackBody: { currentScore, targetScore: target, gameId } });
+  } catch (err) {
+    const reason = err?.message || String(err);
+    elog(`[ERR ${req.id}] admin adjust`, reason);
+    return res.status(502).json({ ok: false, code: 'LEADERBOARD_UNAVAILABLE', reason });
+  }
+});
+
+/**
+ * POST /api/v1/admin/unlock
+ * Body: { walletAddress, gameId?, note? }
+ * Tops the player up to the catalogue's highest unlock score so every level and character
+ * opens (testing and showcase accounts). The wallet must have a Monad Games ID username.
+ */
+app.post('/api/v1/admin/unlock', requireAdmin, async (req, res) => {
+  const walletAddress = parseAdminWallet(req, res);
+  if (!walletAddress) return;
+  const { gameId: gameIdRaw, note } = req.body ?? {};
+  const gameId = Number(gameIdRaw ?? GAME_ID);
+  if (!Number.isFinite(gameId) || gameId <= 0) {
+    return res.status(400).json({ ok: false, error: '`gameId` must be a positive number' });
+  }
+
+  try {
+    const chk = await checkWalletHasUsername(walletAddress);
+    if (!chk.ok) {
+      return res.status(502).json({ ok: false, code: 'CHECK_WALLET_ERROR', reason: chk.reason });
+    }
+    if (!chk.hasUsername) {
+      audit(req, 'unlock', { target: walletAddress, outcome: 'rejected', code: 'ACCOUNT_NOT_SET' });
+      return res.status(403).json({ ok: false, code: 'ACCOUNT_NOT_SET', reason: 'Wallet has no username set in Monad Games ID.' });
+    }
+
+    const { score: currentScore, gameName } = await getCurrentScoreForWallet(gameId, walletAddress.toLowerCase(), req.id);
+    if (currentScore >= UNLOCK_ALL_SCORE) {
+      audit(req, 'unlock', { target: walletAddress, outcome: 'rejected', code: 'ALREADY_MAXED', currentScore });
+      return res.status(409).json({
+        ok: false, code: 'ALREADY_MAXED', reason: `Player already at or above ${UNLOCK_ALL_SCORE}.`,
+        currentScore, gameId, gameName
+      });
+    }
+    enqueueAdminGrant(req, res, {
+      action: 'unlock', walletAddress, score: UNLOCK_ALL_SCORE - currentScore, note,
+      ackBody: { target: UNLOCK_ALL_SCORE, currentScore, gameId }
+    });
+  } catch (err) {
+    const reason = err?.message || String(err);
+    elog(`[ERR ${req.id}] admin unlock`, reason);
+    return res.status(502).json({ ok: false, code: 'LEADERBOARD_UNAVAILABLE', reason });
+  }
+});
+
+/** GET /api/v1/admin/bans */
+app.get('/api/v1/admin/bans', requireAdmin, (_req, res) => {
+  res.json({ ok: true, bans: [...bans.values()] });
+});
+
+/**
+ * POST /api/v1/admin/bans
+ * Body: { walletAddress, reason?, cancelQueued? = true }
+ * Blocks submissions, play sessions and launches for the wallet; closes its open session and,
+ * unless told otherwise, cancels its queued jobs.
+ */
+app.post('/api/v1/admin/bans', requireAdmin, (req, res) => {
+  const walletAddress = parseAdminWallet(req, res);
+  if (!walletAddress) return;
+  const { reason, cancelQueued = true } = req.body ?? {};
+  const addrLower = walletAddress.toLowerCase();
+
+  const ban = { walletAddress, reason: typeof reason === 'string' ? reason.slice(0, 500) : null, by: req.admin.actor, at: new Date().toISOString() };
+  bans.set(addrLower, ban);
+  saveBans();
+
+  const openId = openSessionByWallet.get(addrLower);
+  if (openId && sessions.has(openId)) closeSession(sessions.get(openId), 'banned');
+  resolveReview(addrLower, 'banned', req.admin.actor, ban.reason);
+
+  const cancelled = [];
+  if (cancelQueued) {
+    for (const item of pending.filter(i => i.addrLower === addrLower)) {
+      if (cancelQueuedJob(item.id, 'wallet banned')) cancelled.push(item.id);
+    }
+  }
+
+  audit(req, 'ban', { target: walletAddress, outcome: 'ok', reason: ban.reason, cancelled });
+  res.status(201).json({ ok: true, ban, cancelledJobs: cancelled });
+});
+
+/** DELETE /api/v1/admin/bans/:wallet */
+app.delete('/api/v1/admin/bans/:wallet', requireAdmin, (req, res) => {
+  const addrLower = String(req.params.wallet).toLowerCase();
+  const ban = bans.get(addrLower);
+  if (!ban) {
+    audit(req, 'unban', { target: req.params.wallet, outcome: 'rejected', code: 'NOT_BANNED' });
+    return res.status(404).json({ ok: false, error: 'NOT_BANNED' });
+  }
+  bans.delete(addrLower);
+  saveBans();
+  audit(req, 'unban', { target: ban.walletAddress, outcome: 'ok' });
+  res.json({ ok: true, unbanned: ban.walletAddress });
+});
+
+/**
+ * GET /api/v1/admin/review?status=open|cleared|banned|all
+ * Wallets flagged by the anti-cheat rules, most recently flagged first.
+ */
+app.get('/api/v1/admin/review', requireAdmin, (req, res) => {
+  const status = String(req.query.status || 'open');
+  const entries = [...review.values()]
+    .filter(r => status === 'all' || r.status === status)
+    .sort((a, b) => String(b.lastFlaggedAt).localeCompare(String(a.lastFlaggedAt)));
+  res.json({ ok: true, status, count: entries.length, entries });
+});
+
+/**
+ * POST /api/v1/admin/review/:wallet/clear
+ * Body: { note? }. Marks a flagged wallet as reviewed and fine; to act on it, ban it instead.
+ */
+app.post('/api/v1/admin/review/:wallet/clear', requireAdmin, (req, res) => {
+  const addrLower = String(req.params.wallet).toLowerCase();
+  const note = typeof req.body?.note === 'string' ? req.body.note.slice(0, 500) : null;
+  const entry = resolveReview(addrLower, 'cleared', req.admin.actor, note);
+  if (!entry) {
+    audit(req, 'review.clear', { target: req.params.wallet, outcome: 'rejected', code: 'NOT_IN_REVIEW' });
+    return res.status(404).json({ ok: false, error: 'NOT_IN_REVIEW' });
+  }
+  audit(req, 'review.clear', { target: entry.walletAddress, outcome: 'ok', note });
+  res.json({ ok: true, entry });
+});
+
+/**
+ * GET /api/v1/admin/jobs?status=&wallet=&limit=
+ * Full job records (internal fields included), newest first.
+ */
+app.get('/api/v1/admin/jobs', requireAdmin, (req, res) => {
+  const status = req.query.status ? String(req.query.status) : null;
+  const wallet = req.query.wallet ? String(req.query.wallet).toLowerCase() : null;
+  const limit  = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+
+  const out = [];
+  for (const [id, job] of [...jobs.entries()].reverse()) {
+    if (status && job.status !== status) continue;
+    if (wallet && String(job.walletAddress || '').toLowerCase() !== wallet) continue;
+    out.push({ jobId: id, ...job });
+    if (out.length >= limit) break;
+  }
+  res.json({ ok: true, queueDepth: pending.length, jobs: out });
+});
+
+/** GET /api/v1/admin/jobs/:id */
+app.get('/api/v1/admin/jobs/:id', requireAdmin, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'JOB_NOT_FOUND' });
+  res.json({ ok: true, jobId: req.params.id, inQueue: pending.some(i => i.id === req.params.id), ...job });
+});
+
+/**
+ * POST /api/v1/admin/jobs/:id/cancel
+ * Body: { reason? }   — only while the job is still queued; 409 once it has been sent.
+ */
+app.post('/api/v1/admin/jobs/:id/cancel', requireAdmin, (req, res) => {
+  const id  = req.params.id;
+  const job = jobs.get(id);
+  if (!job) return res.status(404).json({ ok: false, error: 'JOB_NOT_FOUND' });
+
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : 'cancelled by admin';
+  if (!cancelQueuedJob(id, reason)) {
+    audit(req, 'cancel_job', { target: id, outcome: 'rejected', code: 'JOB_NOT_CANCELLABLE', status: job.status });
+    return res.status(409).json({ ok: false, code: 'JOB_NOT_CANCELLABLE', reason: `Job is ${job.status}; only queued jobs can be cancelled.` });
+  }
+  audit(req, 'cancel_job', { target: id, outcome: 'ok', walletAddress: job.walletAddress, score: job.score, reason });
+  res.json({ ok: true, jobId: id, status: 'failed', code: 'CANCELLED' });
+});
+
+/** GET /api/v1/admin/audit?limit= — most recent entries first. */
+app.get('/api/v1/admin/audit', requireAdmin, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  res.json({ ok: true, entries: readAuditTail(limit) });
+});
+
+/**
+ * GET /api/v1/admin/webhooks/deliveries?status=pending|delivered|failed&hook=&event=&limit=
+ * The delivery log, newest first (payloads left out; see the single-delivery route).
+ */
+app.get('/api/v1/admin/webhooks/deliveries', requireAdmin, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const deliveries = webhooks.list({
+    status: req.query.status ? String(req.query.status) : null,
+    hook: req.query.hook ? String(req.query.hook) : null,
+    event: req.query.event ? String(req.query.event) : null,
+    limit
+  });
+  res.json({ ok: true, ...webhooks.status(), deliveries });
+});
+
+/** GET /api/v1/admin/webhooks/deliveries/:id — one delivery with the payload it sends. */
+app.get('/api/v1/admin/webhooks/deliveries/:id', requireAdmin, (req, res) => {
+  const d = webhooks.get(req.params.id);
+  if (!d) return res.status(404).json({ ok: false, error: 'DELIVERY_NOT_FOUND' });
+  const { body, ...rest } = d;
+  res.json({ ok: true, ...rest, payload: JSON.parse(body) });
+});
+
+/**
+ * POST /api/v1/admin/webhooks/deliveries/:id/redeliver
+ * Sends a delivered or failed delivery again (same event id and payload); 409 while it is pending.
+ */
+app.post('/api/v1/admin/webhooks/deliveries/:id/redeliver', requireAdmin, (req, res) => {
+  const id = req.params.id;
+  const d  = webhooks.get(id);
+  if (!d) return res.status(404).json({ ok: false, error: 'DELIVERY_NOT_FOUND' });
+  if (!webhooks.redeliver(id)) {
+    audit(req, 'webhook.redeliver', { target: id, outcome: 'rejected', code: 'DELIVERY_PENDING' });
+    return res.status(409).json({ ok: false, code: 'DELIVERY_PENDING', reason: 'Delivery is still being retried.' });
+  }
+  audit(req, 'webhook.redeliver', { target: id, outcome: 'ok', hook: d.hook, event: d.event });
+  res.json({ ok: true, id, status: 'pending' });
+});
+
+/* ---------------- Game Launch Tokens ---------------- */
+
+/**
+ * POST /api/v1/session/launch
+ * Headers: Authorization: Bearer <wallet session from /api/v1/auth/session>
+ * Body: { walletAddress, username, character, level, gameId? }
  *
  * Behavior:
- *   - Requires the wallet to have a username (via /api/check-wallet).
- *   - Reads current score from leaderboard and computes delta to reach 1200.
- *   - If already >= 1200, rejects.
- *   - Enqueues a privileged job that BYPASSES per-event limits and sliding-window.
- *   - Uses the same early-ack behavior as /submitscore.
+ *   - 401 unless the caller proved ownership of `walletAddress`.
+ *   - Confirms wallet <-> username against Monad Games ID (/api/check-wallet).
+ *   - 403 LOCKED unless the player's score unlocks both the character and the level.
+ *   - Returns a signed, single-use launch token carrying a fresh game session id.
  */
-app.post('/api/v1/s3cr3tUnlockAll', async (req, res) => {
+app.post('/api/v1/session/launch', async (req, res) => {
   const reqId = req.id;
   try {
-    const { walletAddress, gameId: gameIdRaw } = req.body ?? {};
-    const gameId = Number(gameIdRaw ?? req.query.gameId ?? 64);
+    const { walletAddress, username, character, level, gameId: gameIdRaw } = req.body ?? {};
+    const gameId       = Number(gameIdRaw ?? GAME_ID);
+    const characterStr = String(character ?? '').trim();
+    const levelStr     = String(level ?? '').trim();
 
     // Validate inputs
-    if (typeof walletAddress !== 'string') {
-      return res.status(400).json({ ok: false, error: '`walletAddress` must be a string' });
-    }
-    if (!ethers.isAddress(walletAddress)) {
+    if (typeof walletAddress !== 'string' || !ethers.isAddress(walletAddress)) {
       return res.status(400).json({ ok: false, error: '`walletAddress` is not a valid EVM address' });
     }
+    if (typeof username !== 'string' || !username.trim()) {
+      return res.status(400).json({ ok: false, error: '`username` must be a non-empty string' });
+    }
+    if (!CHARACTER_KEYS.has(characterStr)) {
+      return res.status(400).json({ ok: false, error: '`character` is not a known character' });
+    }
+    if (!LEVEL_KEYS.has(levelStr)) {
+      return res.status(400).json({ ok: false, error: '`level` is not a known level' });
+    }
     if (!Number.isFinite(gameId) || gameId <= 0) {
       return res.status(400).json({ ok: false, error: '`gameId` must be a positive number' });
     }
 
-    // Require the account to be "set" (has a username)
+    const authErr = checkWalletSession(req, walletAddress);
+    if (authErr) {
+      warn(`[AUTH ${reqId}] ${authErr.code} addr=${walletAddress}`);
+      return res.status(401).json({ ok: false, ...authErr });
+    }
+    if (rejectIfBanned(res, walletAddress, reqId)) return;
+
+    // Wallet must own that username upstream
     const chk = await checkWalletHasUsername(walletAddress);
     if (!chk.ok) {
       return res.status(502).json({ ok: false, code: 'CHECK_WALLET_ERROR', reason: chk.reason });
     }
-    if (!chk.hasUsername) {
-      return res.status(403).json({
-        ok: false,
-        code: 'ACCOUNT_NOT_SET',
-        reason: 'Wallet has no username set in Monad Games ID.'
-      });
+    const upstreamUser = chk.payload?.user;
+    if (!chk.hasUsername || !upstreamUser) {
+      return res.status(403).json({ ok: false, code: 'ACCOUNT_NOT_SET', reason: 'Wallet has no username set in Monad Games ID.' });
+    }
+    if (String(upstreamUser.walletAddress || '').toLowerCase() !== walletAddress.toLowerCase() ||
+        String(upstreamUser.username || '').toLowerCase() !== username.trim().toLowerCase()) {
+      return res.status(403).json({ ok: false, code: 'ACCOUNT_MISMATCH', reason: 'Wallet and username do not match Monad Games ID.' });
     }
 
-    // If already 1200 or more, reject; otherwise compute delta
-    const addrLower = walletAddress.toLowerCase();
-    const { score: currentScore, gameName } = await getCurrentScoreForWallet(gameId, addrLower, reqId);
-    const TARGET = 1200;
-
-    if (currentScore >= TARGET) {
-      return res.status(409).json({
-        ok: false,
-        code: 'ALREADY_MAXED',
-        reason: `Player already at or above ${TARGET}.`,
-        currentScore,
-        gameId,
-        gameName
-      });
+    let score;
+    try {
+      ({ score } = await getCurrentScoreForWallet(gameId, walletAddress.toLowerCase(), reqId));
+    } catch (e) {
+      return res.status(502).json({ ok: false, code: 'LEADERBOARD_UNAVAILABLE', reason: e?.message || String(e) });
+    }
+    const access = accessFor(score, characterStr, levelStr);
+    if (!access.allowed) {
+      log(`[LAUNCH ${reqId}] locked addr=${walletAddress} char=${characterStr} level=${levelStr} score=${score}`);
+      return res.status(403).json(lockedReply(access, score));
     }
 
-    const delta = TARGET - currentScore; // how much we need to reach 1200
-    if (delta <= 0) {
-      return res.status(409).json({
-        ok: false,
-        code: 'NO_DELTA',
-        reason: 'Nothing to do.',
-        currentScore,
-        gameId,
-        gameName
-      });
+    const now    = Date.now();
+    const claims = {
+      typ: 'launch',
+      v: 1,
+      sid: crypto.randomUUID(),       // game/session id for this play-through
+      nonce: crypto.randomBytes(16).toString('hex'),
+      gameId,
+      walletAddress: ethers.getAddress(walletAddress),
+      username: upstreamUser.username,
+      character: characterStr,
+      level: levelStr,
+      iat: now,
+      exp: now + LAUNCH_TOKEN_TTL_MS
+    };
+    const token = signToken(claims);
+    dlog(`[LAUNCH ${reqId}] issued sid=${claims.sid} addr=${claims.walletAddress} char=${characterStr} level=${levelStr}`);
+
+    return res.json({
+      ok: true,
+      token,
+      sessionId: claims.sid,
+      expiresAt: new Date(claims.exp).toISOString()
+    });
+  } catch (err) {
+    const reason = err?.message || String(err);
+    elog(`[ERR ${reqId}] session/launch`, reason);
+    return res.status(500).json({ ok: false, error: 'INTERNAL_ERROR', reason });
+  }
+});
+
+/**
+ * POST /api/v1/session/verify
+ * Body: { token }
+ *
+ * Redeems a launch token exactly once. Expired, tampered or replayed tokens get 401/409.
+ */
+app.post('/api/v1/session/verify', (req, res) => {
+  const { token } = req.body ?? {};
+  const result = verifyToken(token, 'launch');
+  if (!result.ok) {
+    warn(`[LAUNCH ${req.id}] rejected code=${result.code}`);
+    return res.status(401).json({ ok: false, code: result.code, reason: result.reason });
+  }
+
+  const { claims } = result;
+  if (usedLaunchNonces.has(claims.nonce)) {
+    log(`[LAUNCH ${req.id}] replay sid=${claims.sid}`);
+    return res.status(409).json({ ok: false, code: 'TOKEN_REPLAYED', reason: 'Launch token was already used.' });
+  }
+  usedLaunchNonces.set(claims.nonce, claims.exp);
+
+  return res.json({
+    ok: true,
+    sessionId: claims.sid,
+    gameId: claims.gameId,
+    walletAddress: claims.walletAddress,
+    username: claims.username,
+    character: claims.character,
+    level: claims.level,
+    expiresAt: new Date(claims.exp).toISOString()
+  });
+});
+
+/* ---------------- Wallet Ownership Routes ---------------- */
+
+/**
+ * POST /api/v1/auth/challenge
+ * Body: { walletAddress }
+ * Returns a one-time message for the player's embedded wallet to sign (EIP-191 personal_sign).
+ */
+app.post('/api/v1/auth/challenge', (req, res) => {
+  const { walletAddress } = req.body ?? {};
+  if (typeof walletAddress !== 'string' || !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ ok: false, error: '`walletAddress` is not a valid EVM address' });
+  }
+
+  const addr    = ethers.getAddress(walletAddress);
+  const nonce   = crypto.randomBytes(16).toString('hex');
+  const iat     = Date.now();
+  const exp     = iat + AUTH_CHALLENGE_TTL_MS;
+  const message = challengeMessage(addr, nonce, iat, exp);
+  challenges.set(nonce, { addrLower: addr.toLowerCase(), message, exp });
+  dlog(`[AUTH ${req.id}] challenge addr=${addr} nonce=${nonce}`);
+
+  return res.json({ ok: true, nonce, message, expiresAt: new Date(exp).toISOString() });
+});
+
+/**
+ * POST /api/v1/auth/session
+ * Body: { walletAddress, nonce, signature }
+ * Exchanges a signed challenge for a short-lived session credential bound to that wallet.
+ * Send it as `Authorization: Bearer <sessionToken>` on score submissions.
+ */
+app.post('/api/v1/auth/session', (req, res) => {
+  const { walletAddress, nonce, signature } = req.body ?? {};
+  if (typeof walletAddress !== 'string' || !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ ok: false, error: '`walletAddress` is not a valid EVM address' });
+  }
+  if (typeof nonce !== 'string' || typeof signature !== 'string') {
+    return res.status(400).json({ ok: false, error: '`nonce` and `signature` must be strings' });
+  }
+
+  const ch = challenges.get(nonce);
+  challenges.delete(nonce); // single use, even on failure
+  if (!ch || ch.exp <= Date.now()) {
+    return res.status(401).json({ ok: false, code: 'CHALLENGE_EXPIRED', reason: 'Unknown or expired challenge; request a new one.' });
+  }
+  if (ch.addrLower !== walletAddress.toLowerCase()) {
+    return res.status(401).json({ ok: false, code: 'WALLET_MISMATCH', reason: 'Challenge was issued to a different wallet.' });
+  }
+
+  let signer;
+  try { signer = ethers.verifyMessage(ch.message, signature); }
+  catch { signer = null; }
+  if (!signer || signer.toLowerCase() !== ch.addrLower) {
+    warn(`[AUTH ${req.id}] bad signature addr=${walletAddress}`);
+    return res.status(401).json({ ok: false, code: 'BAD_SIGNATURE', reason: 'Signature does not match the wallet.' });
+  }
+
+  const iat = Date.now();
+  const claims = {
+    typ: 'wallet',
+    v: 1,
+    sub: ethers.getAddress(walletAddress),
+    jti: crypto.randomUUID(),
+    iat,
+    exp: iat + WALLET_SESSION_TTL_MS
+  };
+  log(`[AUTH ${req.id}] session issued addr=${claims.sub} jti=${claims.jti}`);
+
+  return res.json({
+    ok: true,
+    sessionToken: signToken(claims),
+    walletAddress: claims.sub,
+    expiresAt: new Date(claims.exp).toISOString()
+  });
+});
+
+/* ---------------- Play Session Routes ---------------- */
+
+/**
+ * POST /api/v1/sessions
+ * Headers: Authorization: Bearer <wallet session>
+ * Body: { walletAddress, launchToken }
+ * Opens a play session (closing any session this wallet left open). Character, level and game
+ * come from the launch token (/api/v1/session/launch), which must be this wallet's and stays
+ * good for sessions as long as a wallet session would (WALLET_SESSION_TTL_MS after issue).
+ * 403 LOCKED, like launch, if the character or level is not unlocked for the wallet's score.
+ */
+app.post('/api/v1/sessions', async (req, res) => {
+  const reqId = req.id;
+  const { walletAddress, launchToken } = req.body ?? {};
+
+  if (typeof walletAddress !== 'string' || !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ ok: false, error: '`walletAddress` is not a valid EVM address' });
+  }
+  const authErr = checkWalletSession(req, walletAddress);
+  if (authErr) {
+    warn(`[AUTH ${reqId}] ${authErr.code} addr=${walletAddress}`);
+    return res.status(401).json({ ok: false, ...authErr });
+  }
+  if (rejectIfBanned(res, walletAddress, reqId)) return;
+
+  const launch = verifyToken(launchToken, 'launch', { maxAgeMs: WALLET_SESSION_TTL_MS });
+  if (!launch.ok) {
+    warn(`[SESSION ${reqId}] launch token ${launch.code} addr=${walletAddress}`);
+    return res.status(401).json({ ok: false, code: launch.code, reason: launch.reason });
+  }
+  const { claims } = launch;
+  if (String(claims.walletAddress).toLowerCase() !== walletAddress.toLowerCase()) {
+    warn(`[SESSION ${reqId}] launch token for ${claims.walletAddress} presented by ${walletAddress}`);
+    return res.status(403).json({ ok: false, code: 'LAUNCH_WALLET_MISMATCH', reason: 'Launch token was issued to a different wallet.' });
+  }
+  const characterStr = String(claims.character);
+  const levelStr     = String(claims.level);
+  if (!CHARACTER_KEYS.has(characterStr) || !LEVEL_KEYS.has(levelStr)) {
+    return res.status(409).json({ ok: false, code: 'LAUNCH_STALE', reason: 'Character or level no longer exists; launch again.' });
+  }
+
+  // The token was unlock-checked when issued; check again against today's catalogue and score,
+  // trusting the issue-time check only while the leaderboard can't be read.
+  try {
+    const { score } = await getCurrentScoreForWallet(claims.gameId, walletAddress.toLowerCase(), reqId);
+    const access = accessFor(score, characterStr, levelStr);
+    if (!access.allowed) {
+      log(`[SESSION ${reqId}] locked addr=${walletAddress} char=${characterStr} level=${levelStr} score=${score}`);
+      return res.status(403).json(lockedReply(access, score));
     }
+  } catch (e) {
+    warn(`[SESSION ${reqId}] unlock re-check skipped (${e?.message || e}); using launch token claims`);
+  }
 
-    // Create a privileged job that skips anti-cheat/window checks entirely
-    const jobId = reqId; // unique per request already
-    jobs.set(jobId, {
-      status: 'queued',
-      createdAt: Date.now(),
-      walletAddress,
-      score: delta,
-      unlockAll: true,
-      note: 'privileged delta to reach 1200'
+  const addrLower = walletAddress.toLowerCase();
+  const prevId    = openSessionByWallet.get(addrLower);
+  if (prevId && sessions.has(prevId)) closeSession(sessions.get(prevId), 'ended');
+
+  const now  = Date.now();
+  const prev = sessions.get(lastSessionByWallet.get(addrLower));
+  const session = {
+    id: reqId,
+    walletAddress: ethers.getAddress(walletAddress),
+    addrLower,
+    character: characterStr,
+    level: levelStr,
+    gameId: claims.gameId,
+    launchSessionId: claims.sid,
+    status: 'open',
+    startedAt: now,
+    lastEventAt: now,
+    points: 0,
+    paceDebt: prev ? paceDebt(prev, antiCheat.levels[prev.level], now) : 0,
+    lastSeq: 0,
+    rejected: 0,
+    flagged: 0,
+    kills: []
+  };
+  sessions.set(session.id, session);
+  openSessionByWallet.set(addrLower, session.id);
+  lastSessionByWallet.set(addrLower, session.id);
+  log(`[SESSION ${session.id}] start addr=${session.walletAddress} char=${characterStr} level=${levelStr} launch=${claims.sid} paceDebt=${session.paceDebt}`);
+
+  const rules = antiCheat.levels[levelStr];
+  return res.status(201).json({
+    ...sessionSummary(session),
+    killValues: rules.killValues,
+    maxPointsPerSec: rules.maxPointsPerSec
+  });
+});
+
+/**
+ * POST /api/v1/sessions/:id/events
+ * Headers: Authorization: Bearer <wallet session>
+ *          Idempotency-Key: <sessionId>:<seq> (optional; resends replay the first job)
+ * Body: { type: 'kill', score: number, seq?: number }
+ *
+ * Records one kill in the session ledger and queues it on-chain. The kill value must be one the
+ * level pays out, the session's running total (plus any pace debt it inherited) must stay within
+ * its level pace, and the kill counts against the per-minute window like any submission. A kill
+ * whose job fails is taken back out of the ledger. Replies exactly like /api/v1/submitscore.
+ */
+app.post('/api/v1/sessions/:id/events', (req, res) => {
+  const reqId   = req.id;
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ ok: false, error: 'SESSION_NOT_FOUND' });
+
+  const authErr = checkWalletSession(req, session.walletAddress);
+  if (authErr) {
+    warn(`[AUTH ${reqId}] ${authErr.code} session=${session.id}`);
+    return res.status(401).json({ ok: false, ...authErr });
+  }
+  if (rejectIfBanned(res, session.walletAddress, reqId)) return;
+
+  const { type = 'kill', score, seq } = req.body ?? {};
+  // Checked before the session state: a resend after the session closed still gets its job
+  const idem = checkIdempotencyKey(req, res, session.walletAddress, { sessionId: session.id, type, score: Number(score), seq: seq ?? null });
+  if (!idem) return;
+
+  if (session.status !== 'open') {
+    return res.status(409).json({ ok: false, code: 'SESSION_CLOSED', reason: `Session is ${session.status}.` });
+  }
+
+  if (type !== 'kill') {
+    return res.status(400).json({ ok: false, error: '`type` must be "kill"' });
+  }
+  const parsedScore =
+    typeof score === 'string' ? Number(score) :
+    typeof score === 'number' ? score : NaN;
+  if (!Number.isInteger(parsedScore) || parsedScore < 0) {
+    return res.status(400).json({ ok: false, error: '`score` must be a non-negative integer' });
+  }
+  const parsedSeq = seq == null ? session.lastSeq + 1 : Number(seq);
+  if (!Number.isInteger(parsedSeq) || parsedSeq <= 0) {
+    return res.status(400).json({ ok: false, error: '`seq` must be a positive integer' });
+  }
+  if (parsedSeq <= session.lastSeq) {
+    return res.status(409).json({ ok: false, code: 'DUPLICATE_EVENT', reason: `Kill #${parsedSeq} was already recorded.` });
+  }
+
+  if (rejectIfQueueFull(res, reqId)) return;
+
+  // Sessions share the wallet's per-minute window with plain submissions
+  const now     = Date.now();
+  const w       = scoreWindow.purge(scoreWindow.get(session.addrLower), now);
+  const window  = { used: w.sum, limit: LIMIT_PER_WINDOW, seconds: Math.round(WINDOW_MS/1000) };
+  const verdict = antiCheat.evaluate('event', { session, score: parsedScore, now, window });
+  noteCheatResults(`${reqId} session=${session.id}`, verdict.failed);
+  if (verdict.outcome === 'reject') {
+    // A full window is throttling, not cheating: it doesn't count toward the session's rejections
+    const rejected = verdict.failed.filter(r => r.outcome === 'reject');
+    const first    = rejected.find(r => r.rule !== 'windowCap') || rejected[0];
+    if (first.rule !== 'windowCap') session.rejected++;
+    notifyCheat(session.walletAddress, { stage: 'event', outcome: 'reject', sessionId: session.id, jobId: reqId, results: verdict.failed });
+    if (first.rule === 'windowCap') {
+      res.set('Retry-After', String(Math.max(1, Math.ceil(scoreWindow.retryMs(w, parsedScore, now) / 1000))));
+    }
+    return res.status(403).json({
+      ok: false,
+      code: 'SUSPECTED_SCORE_HACKING',
+      reason: first.detail,
+      rule: first.rule,
+      ...(first.rule === 'windowCap'
+        ? { window: { ...window, incoming: parsedScore } }
+        : { session: { points: session.points, incoming: parsedScore, value: first.value, limit: first.limit } })
     });
+  }
+  if (verdict.outcome === 'flag') {
+    session.flagged++;
+    flagForReview(session.walletAddress, { stage: 'event', sessionId: session.id, jobId: reqId, outcome: 'flag', results: verdict.failed });
+  }
 
-    const submission = {
-      id: jobId,
-      walletAddress,
-      score: delta,
-      addrLower,
-      res,
-      responded: false,
-      // IMPORTANT: no windowRef, no reservationHeld → won't consume the sliding window
-      windowRef: null,
-      reservationHeld: false,
-      skipWindow: true,     // <<< this toggles the bypass in processBatch()
-      acceptedAt: Date.now()
-    };
-    pending.push(submission);
-    dlog?.(`[QUEUE] +1 (unlockAll) pending=${pending.length} id=${jobId} delta=${delta}`);
-
-    // Failsafe: if batch hasn’t sent yet, 202 after REQUEST_HARD_TIMEOUT
-    const failsafe = setTimeout(() => {
-      sendOnce(submission, () => {
-        res.set('X-Job-Id', jobId);
-        res.set('X-Delta', String(delta));
-        res.status(202).json({
-          ok: true,
-          queued: true,
-          message: `Unlock queued. Poll /api/v1/jobs/${jobId} for status.`,
-          jobId,
-          statusUrl: `/api/v1/jobs/${jobId}`,
-          delta,
-          target: TARGET,
-          currentScore,
-          gameId,
-          approxBatchInMs: BATCH_INTERVAL_MS
-        });
-      });
-    }, REQUEST_HARD_TIMEOUT);
+  // Ledger first, then the chain
+  const jobId = reqId;
+  session.kills.push({ seq: parsedSeq, score: parsedScore, ts: now, jobId });
+  session.points     += parsedScore;
+  session.lastSeq     = parsedSeq;
+  session.lastEventAt = now;
+
+  enqueueSubmission({
+    jobId,
+    res,
+    walletAddress: session.walletAddress,
+    score: parsedScore,
+    windowRef: scoreWindow.reserve(session.addrLower, parsedScore, jobId, now),
+    job: { sessionId: session.id, level: session.level, seq: parsedSeq, ...idem },
+    ackBody: { sessionId: session.id, seq: parsedSeq }
+  });
+});
 
-    const stopFailsafe = () => clearTimeout(failsafe);
-    res.on('finish', stopFailsafe);
-    res.on('close',  stopFailsafe);
+/**
+ * POST /api/v1/sessions/:id/end
+ * Headers: Authorization: Bearer <wallet session>
+ * Closes the session and returns its plausibility verdict. Repeating it is harmless.
+ */
+app.post('/api/v1/sessions/:id/end', (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ ok: false, error: 'SESSION_NOT_FOUND' });
+
+  const authErr = checkWalletSession(req, session.walletAddress);
+  if (authErr) {
+    warn(`[AUTH ${req.id}] ${authErr.code} session=${session.id}`);
+    return res.status(401).json({ ok: false, ...authErr });
+  }
 
-  } catch (err) {
-    const code   = err?.code || err?.info?.error?.code;
-    const reason = err?.shortMessage || err?.reason || err?.info?.error?.message || err?.message;
-    log(`[ERR ${reqId}] s3cr3tUnlockAll`, code || '', reason || err);
-    return res.status(500).json({ ok: false, error: 'INTERNAL_ERROR', code, reason });
+  closeSession(session, 'ended');
+  log(`[SESSION ${session.id}] end kills=${session.kills.length} points=${session.points} plausible=${session.verdict.plausible}`);
+  return res.json(sessionSummary(session));
+});
+
+/**
+ * GET /api/v1/sessions/:id
+ * Headers: Authorization: Bearer <wallet session>
+ * Session summary + kill ledger, for the wallet that owns it.
+ */
+app.get('/api/v1/sessions/:id', (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ ok: false, error: 'SESSION_NOT_FOUND' });
+
+  const authErr = checkWalletSession(req, session.walletAddress);
+  if (authErr) {
+    warn(`[AUTH ${req.id}] ${authErr.code} session=${session.id}`);
+    return res.status(401).json({ ok: false, ...authErr });
   }
+  res.set('Cache-Control', 'no-store');
+  return res.json(sessionSummary(session, { withEvents: true }));
 });
 
 /* ---------------- Start Server ---------------- */
-app.listen(PORT, () => {
-  log(`[score-middleware] Listening on http://localhost:${PORT} (${NODE_ENV}) debug=${DEBUG}`);
-  log(`[anti-cheat] window=${Math.round(WINDOW_MS/1000)}s limit=${LIMIT_PER_WINDOW}/window event=[${EVENT_MIN},${EVENT_MAX}]`);
+// Nothing above runs on a timer until here: restore the journal, then start the loops
+scoreWindow.start();
+jobRegistry.start();
+provider.start?.();
+webhooks.load();
+webhooks.start();
+dispatcher.recover();
+history.load();
+for (const [id, job] of jobs) history.record(id, job); // jobs journaled before history.jsonl existed
+history.start();
+dispatcher.start();
+scraper.start();
+
+const server = app.listen(PORT, () => {
+  log(`[score-middleware] Listening on http://localhost:${PORT} (${NODE_ENV}) log=${LOG_LEVEL}/${LOG_FORMAT}`);
+  log(`[catalogue] characters=${CATALOGUE_BODY.characters.map(c => c.name).join(',')} levels=${CATALOGUE_BODY.levels.map(l => l.name).join(',')} unlockAll=${UNLOCK_ALL_SCORE}`);
+  log(`[anti-cheat] window=${Math.round(WINDOW_MS/1000)}s limit=${LIMIT_PER_WINDOW}/window event=[${EVENT_MIN},${EVENT_MAX}] rules=${antiCheat.rules.join(',')}`);
   log(`[batch] interval=${BATCH_INTERVAL_MS}ms respondAfter=${RESPOND_AFTER_MS}ms`);
+  if (!SIMULATE) log(`[rpc] endpoints=${provider.endpoints.map(e => e.label).join(',')} quorum=${RPC_QUORUM} timeout=${RPC_TIMEOUT_MS}ms`);
 });
+
+/* ---------------- Graceful Shutdown ---------------- */
+/**
+ * SIGTERM/SIGINT: new submissions get 503 SHUTTING_DOWN (and /health 503) while the dispatcher
+ * drains: one last batch, up to SHUTDOWN_SETTLE_MS for in-flight txs to mine, then every client
+ * still waiting gets 202 + jobId. Unfinished jobs stay in the journal for the next boot; the
+ * journal, review list and index are flushed before exit. A second signal exits at once.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    warn(`[SHUTDOWN] ${signal} again; exiting now`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  log(`[SHUTDOWN] ${signal}: draining (queued=${pending.length})`);
+  setTimeout(() => {
+    warn(`[SHUTDOWN] still draining after ${SHUTDOWN_TIMEOUT_MS}ms; exiting`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  let code = 0;
+  try {
+    scraper.stop();
+    scoreWindow.stop();
+    jobRegistry.stop();
+    history.stop();
+    webhooks.stop();
+    const { answered, queued, inflight } = await dispatcher.drain({ settleMs: SHUTDOWN_SETTLE_MS });
+    log(`[SHUTDOWN] answered=${answered} left queued=${queued} left in flight=${inflight} (resumed on next boot)`);
+    jobRegistry.compact();
+    if (reviewSaveTimer) writeReview();
+    if (indexer.enabled) saveIndex();
+  } catch (e) {
+    code = 1;
+    elog('[SHUTDOWN] drain failed:', e?.message || e);
+  }
+  simChain?.stop();
+  provider.stop?.();
+  server.close();
+  server.closeAllConnections(); // SSE streams and keep-alive sockets
+  log('[SHUTDOWN] bye');
+  process.exit(code);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT',  () => shutdown('SIGINT'));
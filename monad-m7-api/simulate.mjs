@@ -0,0 +1,362 @@
+// simulate.mjs
+// Offline stand-ins for SIMULATE=true. createSimulatedChain keeps an in-memory chain with the game
+// contract (updatePlayerData, GAME_ROLE, hasRole and its PlayerDataUpdated event); SimulatedProvider
+// lets ethers talk to it as if it were a JSON-RPC node. createGamesIdStub answers the Monad Games ID
+// leaderboard page and check-wallet API from the same totals, so the whole stack runs without network.
+import { ethers } from 'ethers';
+
+export const SIM_CHAIN_ID = 10143; // Monad testnet, so clients see the chain they expect
+export const SIM_CONTRACT_ADDRESS = '0x00000000000000000000000000000000000a11ce';
+
+const GAME_ROLE = ethers.id('GAME_ROLE');
+const GAS_USED  = 60_000n;
+const GWEI      = 1_000_000_000n;
+
+const gameIface = new ethers.Interface([
+  'function updatePlayerData(address player, uint256 scoreAmount, uint256 transactionAmount)',
+  'function GAME_ROLE() view returns (bytes32)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'event PlayerDataUpdated(address indexed game, address indexed player, uint256 indexed scoreAmount, uint256 transactionAmount)'
+]);
+
+const hex = n => ethers.toQuantity(BigInt(n));
+
+function rpcError(code, message, data) {
+  return Object.assign(new Error(message), { code, data });
+}
+
+/**
+ * In-memory chain with one game contract. A block is produced every `blockMs`; it includes every
+ * pending tx that has waited `mineDelayMs`, in nonce order per sender. Failure injection (0..1):
+ *   failRate   - eth_sendRawTransaction answers an RPC error
+ *   dropRate   - the tx is accepted, then silently never mined (exercises re-broadcast)
+ *   revertRate - the tx is mined with status 0 and no state change
+ * Senders without GAME_ROLE revert too. Every address starts with `balanceWei`.
+ */
+export function createSimulatedChain({
+  contractAddress = SIM_CONTRACT_ADDRESS,
+  roleHolders = [],
+  blockMs = 1_000,
+  mineDelayMs = 2_000,
+  failRate = 0,
+  dropRate = 0,
+  revertRate = 0,
+  balanceWei = ethers.parseEther('10'),
+  baseFeeWei = 50n * GWEI,
+  priorityFeeWei = 2n * GWEI,
+  random = Math.random,
+  now = Date.now
+} = {}) {
+  const contractLower = contractAddress.toLowerCase();
+  const roles    = new Set(roleHolders.map(a => a.toLowerCase()));
+  const nonces   = new Map();  // addrLower -> next mined nonce
+  const balances = new Map();  // addrLower -> wei
+  const pool     = new Map();  // hash -> { tx, receivedAt }
+  const mined    = new Map();  // hash -> { tx, blockNumber, status, logs, gasPrice }
+  const logs     = [];
+  const players  = new Map();  // playerLower -> { walletAddress, score, transactions, updatedAt }
+  const blocks   = [{ number: 0, hash: ethers.id('sim-block-0'), timestamp: Math.floor(now() / 1000) }];
+
+  const nonceOf   = a => nonces.get(a.toLowerCase()) ?? 0;
+  const balanceOf = a => balances.get(a.toLowerCase()) ?? balanceWei;
+  const head      = () => blocks[blocks.length - 1];
+
+  function pendingNonce(addr) {
+    let next = nonceOf(addr);
+    const mine = [...pool.values()].filter(p => p.tx.from.toLowerCase() === addr.toLowerCase()).map(p => p.tx.nonce);
+    while (mine.includes(next)) next++;
+    return next;
+  }
+
+  function effectiveGasPrice(tx) {
+    if (tx.maxFeePerGas == null) return tx.gasPrice ?? baseFeeWei;
+    const tip = tx.maxPriorityFeePerGas ?? 0n;
+    return tx.maxFeePerGas < baseFeeWei + tip ? tx.maxFeePerGas : baseFeeWei + tip;
+  }
+
+  function execute(tx, block, index) {
+    const from = tx.from.toLowerCase();
+    let status = 1;
+    const txLogs = [];
+    if (String(tx.to || '').toLowerCase() === contractLower) {
+      let call = null;
+      try { call = gameIface.parseTransaction({ data: tx.data }); } catch { /* unknown selector */ }
+      if (call?.name !== 'updatePlayerData' || !roles.has(from) || random() < revertRate) {
+        status = 0;
+      } else {
+        const [player, scoreAmount, transactionAmount] = call.args;
+        const key = player.toLowerCase();
+        const row = players.get(key) || { walletAddress: ethers.getAddress(player), score: 0n, transactions: 0n, updatedAt: null };
+        row.score += scoreAmount;
+        row.transactions += transactionAmount;
+        row.updatedAt = new Date(block.timestamp * 1000).toISOString();
+        players.set(key, row);
+        const event = gameIface.encodeEventLog('PlayerDataUpdated', [tx.from, player, scoreAmount, transactionAmount]);
+        txLogs.push({
+          address: contractAddress, topics: event.topics, data: event.data,
+          blockNumber: hex(block.number), blockHash: block.hash, transactionHash: tx.hash,
+          transactionIndex: hex(index), logIndex: hex(logs.length + txLogs.length), removed: false
+        });
+      }
+    }
+    const gasPrice = effectiveGasPrice(tx);
+    balances.set(from, balanceOf(from) - GAS_USED * gasPrice);
+    nonces.set(from, tx.nonce + 1);
+    logs.push(...txLogs);
+    mined.set(tx.hash, { tx, blockNumber: block.number, blockHash: block.hash, index, status, logs: txLogs, gasPrice });
+  }
+
+  /** Produces one block with every pending tx that is due (nonce order per sender). */
+  function mineBlock() {
+    const block = { number: head().number + 1, hash: ethers.id(`sim-block-${head().number + 1}`), timestamp: Math.floor(now() / 1000) };
+    blocks.push(block);
+    const due = [...pool.entries()]
+      .filter(([, p]) => now() - p.receivedAt >= mineDelayMs)
+      .sort(([, a], [, b]) => a.tx.nonce - b.tx.nonce);
+    let index = 0;
+    for (let progressed = true; progressed;) {
+      progressed = false;
+      for (const [hash, p] of due) {
+        if (!pool.has(hash) || p.tx.nonce !== nonceOf(p.tx.from)) continue;
+        pool.delete(hash);
+        execute(p.tx, block, index++);
+        progressed = true;
+      }
+    }
+    // Anything left behind a mined nonce can never be mined now
+    for (const [hash, p] of pool) if (p.tx.nonce < nonceOf(p.tx.from)) pool.delete(hash);
+    return block.number;
+  }
+
+  function sendRawTransaction(raw) {
+    const tx = ethers.Transaction.from(raw);
+    if (random() < failRate) throw rpcError(-32000, 'simulated RPC failure');
+    if (tx.nonce < nonceOf(tx.from)) throw rpcError(-32000, 'nonce too low');
+    const price = tx.maxFeePerGas ?? tx.gasPrice ?? 0n;
+    if (tx.gasLimit * price > balanceOf(tx.from)) throw rpcError(-32000, 'insufficient funds for gas * price + value');
+
+    for (const [hash, p] of pool) {
+      if (p.tx.from !== tx.from || p.tx.nonce !== tx.nonce) continue;
+      if (hash === tx.hash) return tx.hash;
+      const prevPrice = p.tx.maxFeePerGas ?? p.tx.gasPrice ?? 0n;
+      if (price * 100n < prevPrice * 110n) throw rpcError(-32000, 'replacement transaction underpriced');
+      pool.delete(hash);
+    }
+    if (random() >= dropRate) pool.set(tx.hash, { tx, receivedAt: now() });
+    return tx.hash;
+  }
+
+  function call({ to, data, from }) {
+    if (String(to || '').toLowerCase() !== contractLower) return '0x';
+    const parsed = gameIface.parseTransaction({ data });
+    if (parsed?.name === 'GAME_ROLE') return gameIface.encodeFunctionResult('GAME_ROLE', [GAME_ROLE]);
+    if (parsed?.name === 'hasRole') {
+      const [role, account] = parsed.args;
+      return gameIface.encodeFunctionResult('hasRole', [role === GAME_ROLE && roles.has(account.toLowerCase())]);
+    }
+    if (parsed?.name === 'updatePlayerData' && from && !roles.has(from.toLowerCase())) {
+      throw rpcError(3, 'execution reverted: AccessControl: account is missing role', '0x');
+    }
+    return '0x';
+  }
+
+  function blockTag(tag) {
+    if (tag == null || tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized') return head().number;
+    if (tag === 'earliest') return 0;
+    return Number(tag);
+  }
+
+  function formatTx(tx, m) {
+    return {
+      hash: tx.hash, nonce: hex(tx.nonce), from: tx.from, to: tx.to, input: tx.data, value: hex(tx.value),
+      gas: hex(tx.gasLimit), type: hex(tx.type), chainId: hex(tx.chainId), accessList: [],
+      ...(tx.maxFeePerGas != null
+        ? { maxFeePerGas: hex(tx.maxFeePerGas), maxPriorityFeePerGas: hex(tx.maxPriorityFeePerGas ?? 0n) }
+        : { gasPrice: hex(tx.gasPrice) }),
+      r: tx.signature.r, s: tx.signature.s, v: hex(tx.signature.v), yParity: hex(tx.signature.yParity),
+      blockNumber: m ? hex(m.blockNumber) : null, blockHash: m?.blockHash ?? null, transactionIndex: m ? hex(m.index) : null
+    };
+  }
+
+  function formatBlock(b) {
+    return {
+      number: hex(b.number), hash: b.hash, parentHash: b.number ? blocks[b.number - 1].hash : ethers.ZeroHash,
+      timestamp: hex(b.timestamp), nonce: '0x0000000000000000', difficulty: '0x0', gasLimit: hex(30_000_000),
+      gasUsed: '0x0', miner: ethers.ZeroAddress, extraData: '0x', baseFeePerGas: hex(baseFeeWei), transactions: []
+    };
+  }
+
+  function getLogs({ address, topics = [], fromBlock, toBlock }) {
+    const from = blockTag(fromBlock ?? 'earliest');
+    const to   = blockTag(toBlock);
+    const want = topics[0] == null ? null : [].concat(topics[0]);
+    const addrs = address == null ? null : [].concat(address).map(a => a.toLowerCase());
+    return logs.filter(l => {
+      const n = Number(l.blockNumber);
+      return n >= from && n <= to &&
+        (!addrs || addrs.includes(l.address.toLowerCase())) &&
+        (!want || want.includes(l.topics[0]));
+    });
+  }
+
+  /** Answers one JSON-RPC call; throws { code, message } like a node would. */
+  function rpc(method, params = []) {
+    switch (method) {
+      case 'eth_chainId':              return hex(SIM_CHAIN_ID);
+      case 'net_version':              return String(SIM_CHAIN_ID);
+      case 'eth_blockNumber':          return hex(head().number);
+      case 'eth_gasPrice':             return hex(baseFeeWei + priorityFeeWei);
+      case 'eth_maxPriorityFeePerGas': return hex(priorityFeeWei);
+      case 'eth_getBalance':           return hex(balanceOf(params[0]));
+      case 'eth_getTransactionCount':  return hex(params[1] === 'pending' ? pendingNonce(params[0]) : nonceOf(params[0]));
+      case 'eth_getCode':              return String(params[0]).toLowerCase() === contractLower ? '0x00' : '0x';
+      case 'eth_call':                 return call(params[0]);
+      case 'eth_estimateGas':          call(params[0]); return hex(GAS_USED);
+      case 'eth_sendRawTransaction':   return sendRawTransaction(params[0]);
+      case 'eth_getLogs':              return getLogs(params[0] || {});
+      case 'eth_getBlockByNumber': {
+        const b = blocks[blockTag(params[0])];
+        return b ? formatBlock(b) : null;
+      }
+      case 'eth_getTransactionByHash': {
+        const m = mined.get(params[0]);
+        const p = pool.get(params[0]);
+        return m ? formatTx(m.tx, m) : p ? formatTx(p.tx, null) : null;
+      }
+      case 'eth_getTransactionReceipt': {
+        const m = mined.get(params[0]);
+        if (!m) return null;
+        return {
+          transactionHash: m.tx.hash, blockHash: m.blockHash, blockNumber: hex(m.blockNumber),
+          transactionIndex: hex(m.index), from: m.tx.from, to: m.tx.to, contractAddress: null,
+          cumulativeGasUsed: hex(GAS_USED), gasUsed: hex(GAS_USED), effectiveGasPrice: hex(m.gasPrice),
+          logs: m.logs, logsBloom: '0x' + '00'.repeat(256), status: hex(m.status), type: hex(m.tx.type)
+        };
+      }
+      default:
+        throw rpcError(-32601, `the method ${method} does not exist/is not available`);
+    }
+  }
+
+  let timer = null;
+  return {
+    contractAddress,
+    rpc,
+    mineBlock,
+    /** Starts producing blocks every `blockMs` (the timer doesn't keep the process alive). */
+    start() {
+      timer ??= setInterval(mineBlock, blockMs);
+      timer.unref?.();
+      return this;
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    grantRole: addr => roles.add(addr.toLowerCase()),
+    revokeRole: addr => roles.delete(addr.toLowerCase()),
+    setBalance: (addr, wei) => balances.set(addr.toLowerCase(), BigInt(wei)),
+    /** Totals per player, highest score first: [{ walletAddress, score, transactions, updatedAt }]. */
+    players: () => [...players.values()].sort((a, b) => (b.score > a.score ? 1 : b.score < a.score ? -1 : 0)),
+    get blockNumber() { return head().number; },
+    get pendingCount() { return pool.size; }
+  };
+}
+
+/**
+ * An ethers provider whose JSON-RPC transport is a simulated chain instead of HTTP. Tests pass
+ * `cacheTimeout: -1` so repeated reads see the chain as it is now, not ethers' 250ms cache.
+ */
+export class SimulatedProvider extends ethers.JsonRpcApiProvider {
+  constructor(chain, { pollingInterval = 500, cacheTimeout = 250 } = {}) {
+    const network = new ethers.Network('monad-simulated', SIM_CHAIN_ID);
+    super(network, { staticNetwork: network, pollingInterval, cacheTimeout, batchMaxCount: 1 });
+    this.chain = chain;
+  }
+
+  async _send(payload) {
+    return [].concat(payload).map(({ id, method, params }) => {
+      try {
+        return { id, result: this.chain.rpc(method, params) };
+      } catch (e) {
+        return { id, error: { code: e.code ?? -32603, message: e.message, data: e.data } };
+      }
+    });
+  }
+}
+
+/**
+ * A fetch() that serves the Monad Games ID leaderboard page (same Next.js flight payload the
+ * scraper parses) and /api/check-wallet from the chain's totals. Usernames come from `users`
+ * (wallet -> username); with `autoUsernames` every other wallet gets `player_<address prefix>`.
+ * Any other URL goes to `fallback`.
+ */
+export function createGamesIdStub(chain, {
+  leaderboardUrl,
+  gameId,
+  gameName = 'Survival Shooter (simulated)',
+  users = {},
+  autoUsernames = true,
+  pageSize = 10,
+  fallback = globalThis.fetch
+}) {
+  const registry = new Map();   // addrLower -> { id, username, walletAddress }
+  const register = (walletAddress, username) => {
+    const key = walletAddress.toLowerCase();
+    if (!registry.has(key)) registry.set(key, { id: registry.size + 1, username, walletAddress: ethers.getAddress(walletAddress) });
+    return registry.get(key);
+  };
+  for (const [wallet, username] of Object.entries(users)) register(wallet, username);
+
+  const userFor = walletAddress =>
+    registry.get(walletAddress.toLowerCase()) ||
+    (autoUsernames ? register(walletAddress, `player_${walletAddress.slice(2, 8).toLowerCase()}`) : null);
+
+  const board = new URL(leaderboardUrl);
+
+  function leaderboardPage(url) {
+    const page = Math.max(1, Number(url.searchParams.get('page') || 1));
+    const wanted = Number(url.searchParams.get('gameId') || gameId);
+    const rows = chain.players()
+      .map(p => ({ ...p, user: userFor(p.walletAddress) }))
+      .filter(p => p.user);
+    const row = p => ({ userId: p.user.id, username: p.user.username, walletAddress: p.walletAddress, gameId: wanted, gameName });
+    const paginate = list => ({
+      data: list.slice((page - 1) * pageSize, page * pageSize),
+      pagination: { page, limit: pageSize, total: String(list.length), totalPages: Math.max(1, Math.ceil(list.length / pageSize)) }
+    });
+    const scores = paginate(rows.map((p, i) => ({ ...row(p), score: Number(p.score), rank: i + 1 })));
+    const txs = paginate([...rows]
+      .sort((a, b) => (b.transactions > a.transactions ? 1 : b.transactions < a.transactions ? -1 : 0))
+      .map((p, i) => ({ ...row(p), transactionCount: Number(p.transactions), rank: i + 1 })));
+
+    const payload = wanted === gameId ? {
+      gameId, gameName,
+      lastUpdated: rows.reduce((last, p) => (p.updatedAt > (last ?? '') ? p.updatedAt : last), null),
+      scoreData: scores.data, scorePagination: scores.pagination,
+      transactionData: txs.data, transactionPagination: txs.pagination
+    } : { gameId: wanted, scoreData: [], transactionData: [] };
+    const flight = '5:' + JSON.stringify(['$', 'div', null, payload]);
+    return new Response(`<html><body><script>self.__next_f.push([1,${JSON.stringify(flight)}])</script></body></html>`, {
+      status: 200, headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+  }
+
+  function checkWallet(url) {
+    const wallet = url.searchParams.get('wallet') || '';
+    if (!ethers.isAddress(wallet)) {
+      return Response.json({ error: 'Invalid wallet address' }, { status: 400 });
+    }
+    const user = userFor(wallet);
+    return Response.json(user ? { hasUsername: true, user } : { hasUsername: false });
+  }
+
+  async function fetch(input, init) {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    if (url.pathname.endsWith('/api/check-wallet')) return checkWallet(url);
+    if (url.origin === board.origin && url.pathname === board.pathname) return leaderboardPage(url);
+    return fallback(input, init);
+  }
+
+  return { fetch, register };
+}
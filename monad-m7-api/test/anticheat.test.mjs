@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRulesEngine, paceDebt } from '../anticheat.mjs';
+
+const LEVEL = { name: 'Test Yard', killValues: [10], maxPointsPerSec: 2 };
+
+test('a new session inherits the pace debt of the last one instead of a fresh burst', () => {
+  const engine = createRulesEngine({ levels: { 0: LEVEL }, rules: { sessionPace: { reject: 1, burstPoints: 50 } } });
+  const t0 = 1_000_000;
+  const first = { startedAt: t0, points: 50, kills: [] }; // spent the whole burst at once
+  assert.equal(engine.evaluate('event', { session: { ...first, level: '0' }, score: 10, now: t0 }).outcome, 'reject');
+
+  // reopening a second later leaves 50 - 2 pts still owed
+  const debt = paceDebt(first, LEVEL, t0 + 1_000);
+  assert.equal(debt, 48);
+  const second = { startedAt: t0 + 1_000, points: 0, paceDebt: debt, level: '0', kills: [] };
+  const verdict = engine.evaluate('event', { session: second, score: 10, now: t0 + 1_000 });
+  assert.equal(verdict.outcome, 'reject');
+  assert.match(verdict.failed[0].detail, /48 carried from the previous session/);
+
+  // after a rest at pace the debt is paid off
+  assert.equal(paceDebt(first, LEVEL, t0 + 25_000), 0);
+});
+
+test('session kills are held to the per-minute window through the engine, like submissions', () => {
+  const engine = createRulesEngine({ levels: { 0: LEVEL }, rules: { windowCap: { reject: 1 }, killValue: { reject: 1 } } });
+  const session = { startedAt: 0, points: 0, level: '0', kills: [] };
+  const window  = { used: 995, limit: 1000, seconds: 60 };
+
+  const full = engine.evaluate('event', { session, score: 10, now: 1_000, window });
+  assert.equal(full.outcome, 'reject');
+  assert.deepEqual(full.failed.map(r => [r.rule, r.value, r.limit]), [['windowCap', 1005, 1000]]);
+  assert.match(full.failed[0].detail, /995\+10 in the last 60s \(limit 1000\)/);
+
+  assert.equal(engine.evaluate('event', { session, score: 10, now: 1_000, window: { ...window, used: 990 } }).outcome, 'accept');
+  assert.deepEqual(engine.evaluate('event', { session, score: 10, now: 1_000 }).results.map(r => r.rule), ['killValue']);
+});
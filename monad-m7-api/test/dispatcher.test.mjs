@@ -0,0 +1,300 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobRegistry } from '../jobs.mjs';
+import { createScoreWindow } from '../scorewindow.mjs';
+import { createDispatcher } from '../dispatcher.mjs';
+import { createHarness, waitFor, DEFAULT_CONFIG, WALLETS } from './harness.mjs';
+
+const [A, B, C] = WALLETS;
+
+test('answers 200 with the receipt when the tx mines before the early ack', async (t) => {
+  const h = createHarness();
+  t.after(h.cleanup);
+
+  const { jobId, res } = h.submit(A, 40);
+  await h.dispatcher.processBatch();
+  assert.equal(h.jobs.get(jobId).status, 'sent');
+
+  await h.mine();
+  await waitFor(() => h.jobs.get(jobId).status === 'mined', { what: 'mined' });
+  await waitFor(() => res.writes === 1, { what: 'reply' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.txHash, h.jobs.get(jobId).txHash);
+
+  // the early-ack timer was cleared with the receipt: nothing else goes out
+  h.clock.advance(DEFAULT_CONFIG.requestHardTimeoutMs);
+  assert.equal(res.writes, 1);
+  assert.equal(h.chain.players()[0].score, 40n);
+});
+
+test('acks 202 after respondAfterMs and still records the mined tx', async (t) => {
+  const h = createHarness();
+  t.after(h.cleanup);
+
+  const { jobId, res } = h.submit(A, 25);
+  await h.dispatcher.processBatch();
+
+  h.clock.advance(DEFAULT_CONFIG.respondAfterMs);
+  assert.equal(res.writes, 1);
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.jobId, jobId);
+  assert.equal(res.body.txHash, h.jobs.get(jobId).txHash);
+  assert.equal(res.headers['X-Job-Id'], jobId);
+
+  await h.mine();
+  await waitFor(() => h.jobs.get(jobId).status === 'mined', { what: 'mined' });
+  assert.equal(res.writes, 1);
+});
+
+test('the failsafe answers 202 once when the batch never reaches the job', async (t) => {
+  const h = createHarness();
+  t.after(h.cleanup);
+  h.signer.healthy = false; // no lane: the queue is held
+
+  const { jobId, res } = h.submit(A, 10);
+  await h.dispatcher.processBatch();
+  assert.equal(h.dispatcher.pending.length, 1);
+
+  h.clock.advance(DEFAULT_CONFIG.requestHardTimeoutMs);
+  assert.equal(res.writes, 1);
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.queued, true);
+  assert.equal(res.body.approxBatchInMs, DEFAULT_CONFIG.batchIntervalMs);
+
+  // signer back: the job is sent and mined, the client is not answered a second time
+  h.signer.healthy = true;
+  await h.dispatcher.processBatch();
+  h.clock.advance(DEFAULT_CONFIG.respondAfterMs);
+  await h.mine();
+  await waitFor(() => h.jobs.get(jobId).status === 'mined', { what: 'mined' });
+  assert.equal(res.writes, 1);
+});
+
+test('merges a wallet\'s queued jobs into one tx', async (t) => {
+  const h = createHarness();
+  t.after(h.cleanup);
+
+  const a = h.submit(A, 10);
+  const b = h.submit(A, 15);
+  await h.dispatcher.processBatch();
+  await h.mine();
+  await waitFor(() => a.res.writes === 1 && b.res.writes === 1, { what: 'replies' });
+
+  assert.equal(a.res.body.txHash, b.res.body.txHash);
+  assert.equal(a.res.body.mergedJobs, 2);
+  assert.deepEqual(h.chain.players().map(p => [p.score, p.transactions]), [[25n, 2n]]);
+});
+
+test('SEND-ERR fails that tx and re-queues the rest without their window slots', async (t) => {
+  let failures = 1;
+  const h = createHarness({ chain: { failRate: 0.5, random: () => (failures-- > 0 ? 0 : 0.99) } });
+  t.after(h.cleanup);
+
+  const a = h.submit(A, 30);
+  const b = h.submit(B, 20);
+  const c = h.submit(C, 10);
+  await h.dispatcher.processBatch();
+
+  // A's send failed: failed, answered 500, slot given back
+  assert.equal(h.jobs.get(a.jobId).status, 'failed');
+  assert.equal(a.res.statusCode, 500);
+  assert.equal(h.scoreWindow.get(A.toLowerCase()).sum, 0);
+
+  // B and C were never sent: back at the head of the queue, queued, holding no slot
+  assert.deepEqual(h.dispatcher.pending.map(i => i.id), [b.jobId, c.jobId]);
+  for (const { jobId, res } of [b, c]) {
+    assert.equal(h.jobs.get(jobId).status, 'queued');
+    assert.equal(h.jobs.get(jobId).nonce, undefined);
+    assert.equal(res.writes, 0);
+  }
+  assert.equal(h.scoreWindow.get(B.toLowerCase()).sum, 0);
+  assert.equal(h.scoreWindow.get(C.toLowerCase()).sum, 0);
+
+  // next batch re-takes their slots and reuses the nonce the failed send never consumed
+  await h.dispatcher.processBatch();
+  assert.equal(h.scoreWindow.get(B.toLowerCase()).sum, 20);
+  assert.equal(h.scoreWindow.get(C.toLowerCase()).sum, 10);
+  assert.deepEqual([h.jobs.get(b.jobId).nonce, h.jobs.get(c.jobId).nonce], [0, 1]);
+
+  await h.mine();
+  await waitFor(() => b.res.writes === 1 && c.res.writes === 1, { what: 'replies' });
+  assert.equal(b.res.statusCode, 200);
+  assert.equal(c.res.statusCode, 200);
+  assert.equal(a.res.writes, 1);
+});
+
+test('a tx stuck at the fee cap stays tracked and re-sent, alerting once after stuckAlertAfter', async (t) => {
+  let drop = true;
+  const stuck = [];
+  const h = createHarness({
+    chain: { dropRate: 0.5, random: () => (drop ? 0 : 0.99) },
+    config: { maxFeeCap: 1n, stuckAlertAfter: 2 },
+    dispatcher: { onStuck: (signer, entry) => stuck.push(entry.nonce) }
+  });
+  t.after(h.cleanup);
+
+  const { jobId, res } = h.submit(A, 30);
+  await h.dispatcher.processBatch();
+  for (let i = 0; i < 4; i++) {
+    h.clock.advance(DEFAULT_CONFIG.txStuckMs);
+    await h.dispatcher.checkInflight(h.signer);
+  }
+  assert.deepEqual(stuck, [0]); // once, at the second re-send at the cap
+  assert.equal(h.signer.inflight.size, 1);
+  assert.equal(h.signer.inflight.get(0).atCap, 4);
+  assert.equal(h.jobs.get(jobId).status, 'sent');
+  assert.equal(res.statusCode, 202);
+  assert.equal(h.scoreWindow.get(A.toLowerCase()).sum, 30); // the slot is held while the tx may still mine
+
+  // a later re-send gets through and mines: the job settles normally
+  drop = false;
+  h.clock.advance(DEFAULT_CONFIG.txStuckMs);
+  await h.dispatcher.checkInflight(h.signer);
+  await h.mine();
+  await waitFor(() => h.jobs.get(jobId).status === 'mined', { what: 'mined' });
+  assert.equal(h.signer.inflight.size, 0);
+});
+
+test('each job\'s trace records its lifecycle in order', async (t) => {
+  let failures = 1;
+  const h = createHarness({ chain: { failRate: 0.5, random: () => (failures-- > 0 ? 0 : 0.99) } });
+  t.after(h.cleanup);
+
+  const a = h.submit(A, 30);
+  const b = h.submit(B, 20);
+  await h.dispatcher.processBatch(); // A's send fails, B is re-queued
+  await h.dispatcher.processBatch();
+  await h.mine();
+  await waitFor(() => h.jobs.get(b.jobId).status === 'mined', { what: 'mined' });
+
+  const events = id => h.jobs.traceOf(id).events.map(e => e.event);
+  assert.deepEqual(events(a.jobId), [
+    'accepted', 'window.reserved', 'batch.picked', 'fees', 'nonce', 'error', 'window.released'
+  ]);
+  assert.deepEqual(events(b.jobId), [
+    'accepted', 'window.reserved', 'batch.picked', 'fees', 'window.released', 'requeued',
+    'batch.picked', 'fees', 'window.reserved', 'nonce', 'sent', 'receipt'
+  ]);
+
+  const trace = h.jobs.traceOf(b.jobId).events;
+  assert.equal(trace.find(e => e.event === 'sent').txHash, h.jobs.get(b.jobId).txHash);
+  assert.equal(trace.find(e => e.event === 'nonce').nonce, 0);
+  assert.equal(h.jobs.traceOf(a.jobId).events.find(e => e.event === 'error').stage, 'send');
+});
+
+test('an unfunded signer is benched and its jobs re-queued, not failed', async (t) => {
+  const h = createHarness();
+  t.after(h.cleanup);
+  h.chain.setBalance(h.signer.address, 0n);
+
+  const a = h.submit(A, 30);
+  const b = h.submit(B, 20);
+  await h.dispatcher.processBatch();
+
+  assert.deepEqual(h.benched, ['LOW_BALANCE']);
+  assert.deepEqual(h.dispatcher.pending.map(i => i.id), [a.jobId, b.jobId]);
+  assert.equal(h.jobs.get(a.jobId).status, 'queued');
+  assert.equal(a.res.writes + b.res.writes, 0);
+  assert.equal(h.scoreWindow.get(A.toLowerCase()).sum, 0);
+});
+
+test('a job the window no longer admits at send time is rejected 403', async (t) => {
+  const h = createHarness({ windowLimit: 50 });
+  t.after(h.cleanup);
+  h.chain.setBalance(h.signer.address, 0n);
+
+  const a = h.submit(A, 30);
+  await h.dispatcher.processBatch(); // benched: A re-queued without its slot
+  h.scoreWindow.reserve(A.toLowerCase(), 40, 'other-job'); // window filled meanwhile
+  h.signer.healthy = true;
+  h.chain.setBalance(h.signer.address, 10n ** 18n);
+
+  await h.dispatcher.processBatch();
+  assert.equal(h.jobs.get(a.jobId).status, 'failed');
+  assert.equal(h.jobs.get(a.jobId).code, 'SUSPECTED_SCORE_HACKING');
+  assert.equal(a.res.statusCode, 403);
+  assert.equal(h.dispatcher.pending.length, 0);
+});
+
+test('while hold() names a reason nothing is sent and the queue is kept', async (t) => {
+  let held = 'LOW_FUNDS';
+  const h = createHarness({ dispatcher: { hold: () => held } });
+  t.after(h.cleanup);
+
+  const a = h.submit(A, 10);
+  await h.dispatcher.processBatch();
+  assert.deepEqual(h.dispatcher.pending.map(i => i.id), [a.jobId]);
+  assert.equal(h.jobs.get(a.jobId).status, 'queued');
+  assert.equal(h.scoreWindow.get(A.toLowerCase()).sum, 10); // slot kept, no rollback churn
+
+  held = null;
+  await h.dispatcher.processBatch();
+  await h.mine();
+  await waitFor(() => h.jobs.get(a.jobId).status === 'mined', { what: 'mined' });
+});
+
+test('dequeue takes a queued job out and gives its slot back', async (t) => {
+  const h = createHarness();
+  t.after(h.cleanup);
+
+  const a = h.submit(A, 30);
+  const b = h.submit(A, 30);
+  assert.equal(h.dispatcher.dequeue(a.jobId).id, a.jobId);
+  assert.deepEqual(h.scoreWindow.get(A.toLowerCase()).q.map(e => e.jobId), [b.jobId]);
+  assert.equal(h.dispatcher.dequeue(a.jobId), null);
+});
+
+test('recover() re-queues journaled jobs and settles ones mined before the restart', async (t) => {
+  const h = createHarness();
+  t.after(h.cleanup);
+
+  const mined = h.submit(A, 10);
+  await h.dispatcher.processBatch();
+  await h.mine();
+  await waitFor(() => h.jobs.get(mined.jobId).status === 'mined', { what: 'mined' });
+  const queued = h.submit(B, 5);
+
+  // "restart": a fresh registry, window and dispatcher over the same journal and chain
+  const jobs = createJobRegistry({ journalPath: h.jobs.journalPath, retentionMs: 86_400_000, clock: h.clock });
+  const scoreWindow = createScoreWindow({ windowMs: 60_000, limit: 1_000, clock: h.clock });
+  const dispatcher = createDispatcher({
+    provider: h.provider, signers: [h.signer], jobs, scoreWindow, clock: h.clock, config: DEFAULT_CONFIG
+  });
+  await dispatcher.recover();
+
+  assert.equal(jobs.get(mined.jobId).status, 'mined');
+  assert.deepEqual(dispatcher.pending.map(i => i.id), [queued.jobId]);
+  assert.equal(scoreWindow.get(A.toLowerCase()).sum, 10);
+  assert.equal(scoreWindow.get(B.toLowerCase()).sum, 5);
+});
+
+test('drain() sends the queue and answers clients still waiting with 202', async (t) => {
+  const h = createHarness();
+  t.after(h.cleanup);
+  h.dispatcher.start();
+
+  const { jobId, res } = h.submit(A, 10);
+  const summary = await h.dispatcher.drain({ settleMs: 0 });
+
+  assert.deepEqual(summary, { answered: 1, queued: 0, inflight: 1 });
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.jobId, jobId);
+  assert.equal(h.jobs.get(jobId).status, 'sent'); // journaled for recover() on the next boot
+});
+
+test('drain() lets in-flight txs mine within settleMs', async (t) => {
+  const h = createHarness();
+  t.after(h.cleanup);
+
+  const { jobId, res } = h.submit(A, 10);
+  const draining = h.dispatcher.drain({ settleMs: 10_000 });
+  await waitFor(() => h.signer.inflight.size === 1, { what: 'send' });
+
+  h.chain.mineBlock();
+  h.clock.advance(DEFAULT_CONFIG.noncePollMs);
+  assert.deepEqual(await draining, { answered: 0, queued: 0, inflight: 0 });
+  assert.equal(h.jobs.get(jobId).status, 'mined');
+  assert.equal(res.statusCode, 200);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFundsMonitor } from '../funds.mjs';
+import { createFakeClock } from './harness.mjs';
+
+const E = 10n ** 18n; // 1 MON in wei
+
+function pool(...balances) {
+  return balances.map((balance, i) => ({ address: `0x${i}`, balance, hasRole: true, reason: null }));
+}
+
+test('burn rate covers the window (or the time since start) and gives a runway', () => {
+  const clock = createFakeClock(0);
+  const [s] = pool(10n * E);
+  const funds = createFundsMonitor({ signers: [s], minBalanceWei: E, burnWindowMs: 60 * 60_000, clock });
+
+  clock.advance(30 * 60_000);
+  funds.noteSpend(s, E / 2n);
+  assert.equal(funds.burnPerHour(s), E); // 0.5 MON in the first half hour
+  assert.deepEqual(funds.signerStatus(s), { burnPerHour: '1.0', runwayMs: 10 * 60 * 60_000 });
+
+  clock.advance(61 * 60_000); // the spend left the window
+  assert.equal(funds.burnPerHour(s), 0n);
+  assert.equal(funds.signerStatus(s).runwayMs, null);
+});
+
+test('opens when no role-holding signer is funded and closes after a top-up', () => {
+  const clock = createFakeClock(0);
+  const signers = pool(2n * E, 3n * E);
+  signers.push({ address: '0xnorole', balance: 50n * E, hasRole: false, reason: 'MISSING_GAME_ROLE' });
+  const changes = [];
+  const funds = createFundsMonitor({ signers, minBalanceWei: E, clock, onChange: st => changes.push([st.breaker, st.reason]) });
+
+  assert.equal(funds.evaluate(), false);
+  signers[0].balance = E / 2n;
+  signers[1].reason = 'LOW_BALANCE'; // a send was refused for funds
+  assert.equal(funds.evaluate(), true);
+  assert.equal(funds.status().openedAt, 0);
+  assert.equal(funds.evaluate(), true); // no repeat notification
+
+  signers[0].balance = 5n * E;
+  assert.equal(funds.evaluate(), false);
+  assert.deepEqual(changes, [['open', 'NO_FUNDED_SIGNER'], ['closed', null]]);
+});
+
+test('opens when the pool total drops below the breaker threshold', () => {
+  const signers = pool(2n * E, 2n * E);
+  const funds = createFundsMonitor({ signers, minBalanceWei: E, breakerBalanceWei: 5n * E, clock: createFakeClock(0) });
+  assert.equal(funds.evaluate(), true);
+  assert.equal(funds.status().reason, 'POOL_BELOW_THRESHOLD');
+  assert.equal(funds.status().totalBalance, '4.0');
+
+  // until every balance is known only "nobody funded" can open it
+  signers[1].balance = null;
+  assert.equal(funds.evaluate(), false);
+});
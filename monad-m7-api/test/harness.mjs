@@ -0,0 +1,149 @@
+// test/harness.mjs
+// Shared fixtures: a hand-driven clock, a stand-in for express's `res`, and a dispatcher wired to
+// a simulated chain. ethers still drains its request queue on real timers, so tests wait with
+// `waitFor` rather than faking global time.
+import { EventEmitter } from 'node:events';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+import { ethers } from 'ethers';
+import { createSimulatedChain, SimulatedProvider } from '../simulate.mjs';
+import { createScoreWindow } from '../scorewindow.mjs';
+import { createJobRegistry } from '../jobs.mjs';
+import { createDispatcher } from '../dispatcher.mjs';
+
+/** Clock whose timers only fire from advance(). */
+export function createFakeClock(start = 1_700_000_000_000) {
+  let now = start;
+  let seq = 0;
+  const timers = new Map(); // id -> { at, fn, every }
+
+  const add = (fn, ms, every) => { const id = ++seq; timers.set(id, { at: now + ms, fn, every }); return id; };
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => add(fn, ms, 0),
+    setInterval: (fn, ms) => add(fn, ms, ms),
+    clearTimeout: id => timers.delete(id),
+    clearInterval: id => timers.delete(id),
+    get pending() { return timers.size; },
+    /** Moves time forward, firing due timers in order. */
+    advance(ms) {
+      const until = now + ms;
+      for (;;) {
+        const due = [...timers.entries()].filter(([, t]) => t.at <= until).sort(([, a], [, b]) => a.at - b.at)[0];
+        if (!due) break;
+        const [id, t] = due;
+        now = t.at;
+        if (t.every) t.at += t.every; else timers.delete(id);
+        t.fn();
+      }
+      now = until;
+    }
+  };
+}
+
+/** Records what a route handler would have sent. */
+export function fakeRes() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    writes: 0,
+    headersSent: false,
+    set(k, v) { res.headers[k] = v; return res; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) {
+      res.writes++;
+      res.body = body;
+      res.headersSent = true;
+      res.emit('finish');
+      return res;
+    }
+  });
+  return res;
+}
+
+export async function waitFor(check, { timeoutMs = 2_000, what = 'condition' } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    if (await check()) return;
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 5));
+  }
+}
+
+export const DEFAULT_CONFIG = {
+  batchIntervalMs: 1_000,
+  respondAfterMs: 5_000,
+  requestHardTimeoutMs: 8_000,
+  txStuckMs: 30_000,
+  noncePollMs: 1_000,
+  confirmations: 1,
+  feeBumpPercent: 15
+};
+
+const ABI = ['function updatePlayerData(address player, uint256 scoreAmount, uint256 transactionAmount)'];
+
+/**
+ * One signer, a simulated chain that mines on demand (chain.mineBlock()), a throwaway journal,
+ * and a dispatcher with nothing started. `chain` options go to createSimulatedChain.
+ */
+export function createHarness({ chain: chainOpts = {}, config = {}, dispatcher: dispatcherOpts = {}, windowLimit = 1_000, windowMs = 60_000 } = {}) {
+  const clock = createFakeClock();
+  const wallet0 = ethers.Wallet.createRandom();
+  const chain = createSimulatedChain({ roleHolders: [wallet0.address], mineDelayMs: 0, now: clock.now, ...chainOpts });
+  const provider = new SimulatedProvider(chain, { cacheTimeout: -1 });
+  const wallet = wallet0.connect(provider);
+  const signer = {
+    index: 0,
+    address: wallet.address,
+    wallet,
+    contract: new ethers.Contract(chain.contractAddress, ABI, wallet),
+    inflight: new Map(),
+    checkBusy: false,
+    healthy: true
+  };
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm7-test-'));
+  const jobs = createJobRegistry({ journalPath: path.join(dir, 'jobs.jsonl'), retentionMs: 86_400_000, clock });
+  const scoreWindow = createScoreWindow({ windowMs, limit: windowLimit, clock });
+  const benched = [];
+  const dispatcher = createDispatcher({
+    provider,
+    signers: [signer],
+    jobs,
+    scoreWindow,
+    clock,
+    setSignerHealth: (s, reason) => { s.healthy = !reason; benched.push(reason); },
+    config: { ...DEFAULT_CONFIG, ...config },
+    ...dispatcherOpts
+  });
+
+  let seq = 0;
+  /** What the submitscore route does: reserve a window slot, then enqueue. */
+  function submit(walletAddress, score) {
+    const jobId = `job-${++seq}`;
+    const res = fakeRes();
+    const windowRef = scoreWindow.reserve(walletAddress.toLowerCase(), score, jobId, clock.now());
+    dispatcher.enqueue({ jobId, res, walletAddress, score, windowRef });
+    return { jobId, res };
+  }
+
+  /** Mines what's in the pool and lets the nonce manager settle it. */
+  async function mine() {
+    chain.mineBlock();
+    await dispatcher.checkInflight(signer);
+  }
+
+  return {
+    clock, chain, provider, signer, jobs, scoreWindow, dispatcher, benched, submit, mine,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+export const WALLETS = [
+  '0x1111111111111111111111111111111111111111',
+  '0x2222222222222222222222222222222222222222',
+  '0x3333333333333333333333333333333333333333'
+];
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createHistoryStore, historyCsv, parseTimeParam } from '../history.mjs';
+import { createJobRegistry } from '../jobs.mjs';
+import { createFakeClock, WALLETS } from './harness.mjs';
+
+const [A, B] = WALLETS;
+
+function store(t, clock, opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm7-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const journalPath = path.join(dir, 'history.jsonl');
+  return { journalPath, history: createHistoryStore({ journalPath, clock, ...opts }) };
+}
+
+test('follows a job\'s status changes and keeps the last one across a reload', (t) => {
+  const clock = createFakeClock();
+  const { journalPath, history } = store(t, clock);
+  const dir = path.dirname(journalPath);
+  const jobs = createJobRegistry({ journalPath: path.join(dir, 'jobs.jsonl'), retentionMs: 60_000, clock });
+  jobs.events.on('job', (id, rec) => history.record(id, rec));
+
+  jobs.set('j1', { status: 'queued', createdAt: clock.now(), walletAddress: A, score: 10, sessionId: 's1', level: 2, seq: 4 });
+  jobs.set('j1', { status: 'sent', sentAt: clock.now(), txHash: '0xaa' });
+  clock.advance(3_000);
+  jobs.set('j1', { status: 'mined', receipt: { blockNumber: 9, status: 1 } });
+
+  const reloaded = createHistoryStore({ journalPath, clock });
+  reloaded.load();
+  assert.deepEqual(reloaded.query(A), [{
+    jobId: 'j1', walletAddress: A, score: 10, status: 'mined', txHash: '0xaa', blockNumber: 9,
+    code: null, reason: null, source: 'session', action: null, sessionId: 's1', level: 2, seq: 4,
+    mergedJobs: null, createdAt: clock.now() - 3_000, sentAt: clock.now() - 3_000, settledAt: clock.now()
+  }]);
+  assert.equal(fs.readFileSync(journalPath, 'utf8').trim().split('\n').length, 1); // compacted on load
+
+  // the job registry forgetting the job does not touch its history
+  clock.advance(120_000);
+  jobs.purgeExpired();
+  assert.equal(jobs.get('j1'), undefined);
+  assert.equal(history.query(A.toUpperCase().replace('0X', '0x')).length, 1);
+});
+
+test('filters by time range and status, newest first unless asked otherwise', (t) => {
+  const clock = createFakeClock(0);
+  const { history } = store(t, clock);
+  for (let i = 0; i < 5; i++) {
+    history.record(`a${i}`, { walletAddress: A, score: i, status: i === 3 ? 'failed' : 'mined', code: 'X', createdAt: i * 1_000 });
+  }
+  history.record('b0', { walletAddress: B, score: 99, status: 'queued', createdAt: 2_500 });
+
+  assert.deepEqual(history.query(A).map(e => e.jobId), ['a4', 'a3', 'a2', 'a1', 'a0']);
+  assert.deepEqual(history.query(A, { from: 1_000, to: 3_000, order: 'asc' }).map(e => e.jobId), ['a1', 'a2']);
+  assert.deepEqual(history.query(A, { status: 'failed' }).map(e => [e.jobId, e.code]), [['a3', 'X']]);
+  assert.equal(history.query(A, { status: 'mined' })[0].code, null); // codes only on failures
+  assert.deepEqual(history.query(B).map(e => e.jobId), ['b0']);
+});
+
+test('rows past retention are dropped by the purge and on load', (t) => {
+  const clock = createFakeClock(100_000);
+  const { journalPath, history } = store(t, clock, { retentionMs: 50_000 });
+  history.record('old', { walletAddress: A, score: 1, status: 'mined', createdAt: 10_000 });
+  history.record('new', { walletAddress: A, score: 2, status: 'mined', createdAt: 90_000 });
+
+  const reloaded = createHistoryStore({ journalPath, clock, retentionMs: 50_000 });
+  reloaded.load();
+  assert.deepEqual(reloaded.query(A).map(e => e.jobId), ['new']);
+
+  assert.equal(history.purgeExpired(), 1);
+  assert.equal(history.size, 1);
+});
+
+test('CSV has a header row, ISO times and quoted cells where needed', () => {
+  const csv = historyCsv([{
+    jobId: 'j1', score: 5, status: 'failed', txHash: null, blockNumber: null, code: 'CANCELLED',
+    reason: 'duplicate, "manual" fix', source: 'admin', action: 'grant', sessionId: null, level: null,
+    seq: null, createdAt: 0, settledAt: 1_000
+  }]);
+  assert.equal(csv,
+    'createdAt,jobId,score,status,txHash,blockNumber,code,reason,source,action,sessionId,level,seq,settledAt\r\n' +
+    '1970-01-01T00:00:00.000Z,j1,5,failed,,,CANCELLED,"duplicate, ""manual"" fix",admin,grant,,,,1970-01-01T00:00:01.000Z\r\n');
+});
+
+test('time filters accept ISO and epoch ms, and refuse what a Date cannot hold', () => {
+  assert.equal(parseTimeParam(undefined), null);
+  assert.equal(parseTimeParam('1000'), 1_000);
+  assert.equal(parseTimeParam('1970-01-01T00:00:02Z'), 2_000);
+  assert.ok(Number.isNaN(parseTimeParam('yesterday')));
+  assert.ok(Number.isNaN(parseTimeParam('99999999999999999999'))); // new Date(n).toISOString() would throw
+  assert.ok(Number.isNaN(parseTimeParam(String(8.64e15 + 1))));
+});
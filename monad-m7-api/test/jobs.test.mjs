@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createJobRegistry } from '../jobs.mjs';
+import { createFakeClock } from './harness.mjs';
+
+function registry(t, clock = createFakeClock(), journalPath) {
+  if (!journalPath) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm7-jobs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    journalPath = path.join(dir, 'jobs.jsonl');
+  }
+  return createJobRegistry({ journalPath, retentionMs: 60_000, clock });
+}
+
+test('the last journal line per job wins on reload', (t) => {
+  const clock = createFakeClock();
+  const a = registry(t, clock);
+  a.set('j1', { status: 'queued', createdAt: clock.now() });
+  a.set('j1', { status: 'mined', txHash: '0xabc' });
+  fs.appendFileSync(a.journalPath, '{"id":"j2","sta'); // torn tail
+
+  const b = registry(t, clock, a.journalPath);
+  b.load();
+  assert.deepEqual(b.get('j1'), { status: 'mined', createdAt: clock.now(), txHash: '0xabc' });
+  assert.equal(b.jobs.size, 1);
+});
+
+test('idempotency keys resolve to their job across a reload until it is purged', (t) => {
+  const clock = createFakeClock();
+  const a = registry(t, clock);
+  a.set('j1', { status: 'queued', createdAt: clock.now(), idempotencyKey: '0xaa:k1', requestHash: 'h' });
+  assert.equal(a.byIdempotencyKey('0xaa:k1'), 'j1');
+
+  const b = registry(t, clock, a.journalPath);
+  b.load();
+  assert.equal(b.byIdempotencyKey('0xaa:k1'), 'j1');
+
+  b.set('j1', { status: 'mined' });
+  clock.advance(61_000);
+  assert.equal(b.purgeExpired(), 1);
+  assert.equal(b.byIdempotencyKey('0xaa:k1'), undefined);
+});
+
+test('settling fires onSettled once and publishes status changes', (t) => {
+  const settled = [];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm7-jobs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const reg = createJobRegistry({
+    journalPath: path.join(dir, 'jobs.jsonl'), retentionMs: 60_000, clock: createFakeClock(),
+    onSettled: rec => settled.push(rec.status)
+  });
+  const seen = [];
+  reg.events.on('job', (id, rec) => seen.push(`${id}:${rec.status}`));
+
+  reg.set('j1', { status: 'queued' });
+  reg.set('j1', { status: 'sent' });
+  reg.set('j1', { feeBumps: 1 });
+  reg.set('j1', { status: 'failed', code: 'X' });
+  reg.set('j1', { reason: 'late detail' });
+
+  assert.deepEqual(seen, ['j1:queued', 'j1:sent', 'j1:failed']);
+  assert.deepEqual(settled, ['failed']);
+});
+
+/** An open SSE response: collects the `event:` names written to it. */
+function sseRes() {
+  const res = {
+    headers: {}, chunks: [], writableEnded: false,
+    status() { return res; },
+    set(h) { Object.assign(res.headers, h); return res; },
+    flushHeaders() {},
+    write(chunk) { res.chunks.push(chunk); },
+    end() { res.writableEnded = true; },
+    events: () => res.chunks.map(c => /^event: (\w+)/.exec(c)?.[1]).filter(Boolean)
+  };
+  return res;
+}
+
+test('a wallet stream follows that wallet\'s jobs and drops its listener when the client leaves', (t) => {
+  const clock = createFakeClock();
+  const r = registry(t, clock);
+  r.set('j1', { status: 'queued', walletAddress: '0xAbC', createdAt: clock.now() });
+  const req = new EventEmitter();
+  const res = sseRes();
+
+  r.stream(req, res, { walletAddress: '0xabc', keepaliveMs: 1_000 });
+  assert.equal(res.headers['Content-Type'], 'text/event-stream');
+  assert.equal(r.events.listenerCount('job'), 1);
+  r.set('j1', { status: 'sent', txHash: '0x1' });
+  r.set('j2', { status: 'queued', walletAddress: '0xdef', createdAt: clock.now() }); // someone else's
+  clock.advance(1_000);
+  assert.deepEqual(res.events(), ['job', 'job']);
+  assert.equal(res.chunks.at(-1), ': ping\n\n');
+
+  req.emit('close');
+  assert.equal(r.events.listenerCount('job'), 0);
+  assert.equal(clock.pending, 0); // keepalive cleared
+  r.set('j1', { status: 'mined' });
+  assert.equal(res.events().length, 2);
+});
+
+test('an ids stream ends with done once every id is settled or unknown', (t) => {
+  const clock = createFakeClock();
+  const r = registry(t, clock);
+  r.set('j1', { status: 'sent', walletAddress: '0xabc', createdAt: clock.now() });
+  const res = sseRes();
+  r.stream(new EventEmitter(), res, { ids: ['j1', 'nope'] });
+  r.set('j1', { status: 'failed', code: 'NONCE_CONSUMED' });
+  assert.deepEqual(res.events(), ['job', 'job', 'job', 'done']);
+  assert.equal(res.writableEnded, true);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGamesIdStub } from '../simulate.mjs';
+import { createLeaderboardScraper, extractLeaderboardFromHtml } from '../leaderboard.mjs';
+import { createFakeClock, WALLETS } from './harness.mjs';
+
+const BASE = 'https://monad-games-id-site.vercel.app/leaderboard';
+
+// Three players served two per page, through the same stub SIMULATE mode uses
+function upstream() {
+  const players = WALLETS.map((walletAddress, i) => ({
+    walletAddress, score: BigInt(300 - i * 100), transactions: BigInt(i + 1), updatedAt: '2026-01-01T00:00:00.000Z'
+  }));
+  const chain = { players: () => [...players].sort((a, b) => Number(b.score - a.score)) };
+  const stub = createGamesIdStub(chain, { leaderboardUrl: BASE, gameId: 64, pageSize: 2 });
+  const calls = [];
+  let gate = null;
+  return {
+    players,
+    calls,
+    /** Holds every upstream response until the returned release() is called. */
+    hold() { let release; gate = new Promise(r => { release = r; }); return () => { gate = null; release(); }; },
+    fetch: async (url, init) => {
+      calls.push(url);
+      if (gate) await gate;
+      return stub.fetch(url, init);
+    }
+  };
+}
+
+function scraper(up, clock, opts = {}) {
+  return createLeaderboardScraper({
+    fetch: up.fetch, baseUrl: BASE, cacheMs: 10_000, maxStaleMs: 60_000, clock, ...opts
+  });
+}
+
+test('extractLeaderboardFromHtml reads the flight payload for the wanted game only', async () => {
+  const up = upstream();
+  const html = await (await up.fetch(`${BASE}?gameId=64&page=1`)).text();
+
+  const board = extractLeaderboardFromHtml(html, 64);
+  assert.equal(board.ok, true);
+  assert.deepEqual(board.scoreData.map(r => [r.rank, r.score]), [[1, 300], [2, 200]]);
+  assert.equal(board.scorePagination.totalPages, 2);
+
+  assert.deepEqual(extractLeaderboardFromHtml(html, 65), { ok: false, error: 'PAYLOAD_NOT_FOUND_FOR_GAME' });
+  assert.equal(extractLeaderboardFromHtml('<html></html>', 64).ok, false);
+});
+
+test('walks every page into one board', async () => {
+  const up = upstream();
+  const boards = [];
+  const lb = scraper(up, createFakeClock(), { onBoard: data => boards.push(data) });
+
+  const { data, cached } = await lb.get(64, 't');
+  assert.equal(cached, false);
+  assert.deepEqual(data.scoreData.map(r => r.walletAddress), WALLETS);
+  assert.deepEqual(data.transactionData.map(r => r.transactionCount), [3, 2, 1]);
+  assert.equal(data.source.pages.length, 2);
+  assert.equal(boards.length, 1);
+});
+
+test('concurrent readers share one page walk', async () => {
+  const up = upstream();
+  const lb = scraper(up, createFakeClock());
+
+  const release = up.hold();
+  const reads = [lb.get(64, 'a'), lb.get(64, 'b'), lb.refresh(64, 'c')];
+  release();
+  const [a, b, c] = await Promise.all(reads);
+
+  assert.equal(up.calls.length, 2); // page 1 + page 2, once
+  assert.equal(a.data, b.data);
+  assert.equal(a.data, c);
+});
+
+test('serves the stale board while a single refresh runs, then waits once it is too old', async () => {
+  const up = upstream();
+  const clock = createFakeClock();
+  const lb = scraper(up, clock);
+  const first = (await lb.get(64, 'warm')).data;
+
+  clock.advance(5_000);
+  assert.deepEqual(await lb.get(64, 'fresh'), { data: first, cached: true, stale: false });
+  assert.equal(up.calls.length, 2);
+
+  // stale: answered from cache at once; one background walk for any number of readers
+  clock.advance(10_000);
+  up.players[2].score = 500n;
+  const release = up.hold();
+  const stale1 = await lb.get(64, 's1');
+  const stale2 = await lb.get(64, 's2');
+  assert.equal(stale1.stale, true);
+  assert.equal(stale2.data, first);
+  assert.equal(up.calls.length, 3);
+  release();
+  await lb.refresh(64, 'join');
+  assert.equal((await lb.get(64, 'after')).data.scoreData[0].score, 500);
+
+  // past maxStaleMs the reader waits for the walk instead
+  clock.advance(70_000);
+  const res = await lb.get(64, 'expired');
+  assert.equal(res.cached, false);
+  assert.equal(up.calls.length, 6);
+});
+
+test('the refresher only walks boards someone is reading', async () => {
+  const up = upstream();
+  const clock = createFakeClock();
+  const lb = scraper(up, clock, { maxStaleMs: 20_000, refreshMs: 6_000 }).start();
+  await lb.get(64, 'warm');
+
+  clock.advance(12_000); // stale and read 12s ago: refreshed
+  await lb.refresh(64, 'join');
+  assert.equal(up.calls.length, 4);
+
+  clock.advance(30_000); // stale again, but nobody has read it for over maxStaleMs: left alone
+  assert.equal(up.calls.length, 4);
+  lb.stop();
+  assert.equal(clock.pending, 0);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, redactUrl } from '../logger.mjs';
+import { createFakeClock } from './harness.mjs';
+
+function capture(opts = {}) {
+  const lines = [];
+  const logger = createLogger({ clock: createFakeClock(0), write: line => lines.push(line), ...opts });
+  return { logger, lines, records: () => lines.map(l => JSON.parse(l)) };
+}
+
+test('writes one JSON object per line and drops levels below the threshold', () => {
+  const { logger, records } = capture({ level: 'info', base: { service: 'api' } });
+  logger.debug('hidden');
+  logger.info('request', { reqId: 'r1', status: 200 });
+  logger.error('boom', { err: Object.assign(new Error('nope'), { code: 'E_X' }) });
+
+  assert.deepEqual(records(), [
+    { time: '1970-01-01T00:00:00.000Z', level: 'info', msg: 'request', service: 'api', reqId: 'r1', status: 200 },
+    { time: '1970-01-01T00:00:00.000Z', level: 'error', msg: 'boom', service: 'api', err: { message: 'nope', code: 'E_X' } }
+  ]);
+});
+
+test('merges the context into every line; explicit fields win', () => {
+  let ctx = { reqId: 'r1', jobId: 'r1' };
+  const { logger, records } = capture({ context: () => ctx });
+  logger.info('a');
+  logger.info('b', { jobId: 'other' });
+  ctx = null;
+  logger.info('c');
+  assert.deepEqual(records().map(({ reqId, jobId }) => [reqId, jobId]), [['r1', 'r1'], ['r1', 'other'], [undefined, undefined]]);
+});
+
+test('redacts credential-looking fields at any depth and in query strings', () => {
+  const { logger, records } = capture();
+  logger.info('x', {
+    headers: { authorization: 'Bearer abc', 'x-admin-key': 'k', 'user-agent': 'ua' },
+    body: { walletAddress: '0x1', launchToken: 't', nested: [{ privateKey: '0x2', score: 5 }] },
+    signature: '0xsig'
+  });
+  const [rec] = records();
+  assert.deepEqual(rec.headers, { authorization: '[REDACTED]', 'x-admin-key': '[REDACTED]', 'user-agent': 'ua' });
+  assert.deepEqual(rec.body, { walletAddress: '0x1', launchToken: '[REDACTED]', nested: [{ privateKey: '[REDACTED]', score: 5 }] });
+  assert.equal(rec.signature, '[REDACTED]');
+
+  assert.equal(redactUrl('/play?token=abc&gameId=64'), '/play?token=%5BREDACTED%5D&gameId=64');
+  assert.equal(redactUrl('/api/v1/jobs/1'), '/api/v1/jobs/1');
+});
+
+test('console-style calls keep the message and split out the [TAG]', () => {
+  const { logger, records } = capture({ level: 'debug' });
+  logger.console('warn')('[NONCE 0:3] re-broadcast failed:', 'replacement underpriced');
+  logger.console('debug')('[INDEX] mismatches', [{ walletAddress: '0x1' }]);
+  assert.deepEqual(records().map(r => [r.level, r.tag, r.msg]), [
+    ['warn', 'NONCE', '[NONCE 0:3] re-broadcast failed: replacement underpriced'],
+    ['debug', 'INDEX', '[INDEX] mismatches']
+  ]);
+  assert.deepEqual(records()[1].data, [{ walletAddress: '0x1' }]);
+});
+
+test('text format prints the message with its fields', () => {
+  const { logger, lines } = capture({ format: 'text' });
+  logger.warn('queue full', { depth: 3, tag: 'QUEUE' });
+  assert.equal(lines[0], '1970-01-01T00:00:00.000Z WARN queue full depth=3');
+});
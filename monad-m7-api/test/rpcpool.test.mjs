@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { RpcPool, endpointLabel } from '../rpcpool.mjs';
+import { createFakeClock } from './harness.mjs';
+
+const A = 'https://a.example/v2/secretkey';
+const B = 'https://b.example';
+const C = 'https://c.example/rpc?apikey=x';
+
+/**
+ * fetch stand-in: `nodes[url](payload)` returns a JSON-RPC result, `{ error }`, `{ http: 503 }`,
+ * or throws (a connection error). Every call is logged in `calls` as [url, method].
+ */
+function fakeFetch(nodes, clock, latency = {}) {
+  const calls = [];
+  const fetch = async (url, { body }) => {
+    const payload = JSON.parse(body);
+    calls.push([url, payload.method]);
+    clock.advance(latency[url] ?? 10);
+    const out = nodes[url](payload);
+    if (out?.http) return { ok: false, status: out.http, json: async () => ({}) };
+    const reply = out?.error ? { jsonrpc: '2.0', id: payload.id, error: out.error } : { jsonrpc: '2.0', id: payload.id, result: out };
+    return { ok: true, status: 200, json: async () => reply };
+  };
+  return { fetch, calls };
+}
+
+const rpc = (method, ...params) => ({ jsonrpc: '2.0', id: 7, method, params });
+const down = () => { throw new Error('connect ECONNREFUSED'); };
+
+test('fails over on transport errors, cools a failing endpoint down and brings it back', async () => {
+  const clock = createFakeClock();
+  let aUp = false;
+  const { fetch, calls } = fakeFetch({
+    [A]: p => (aUp ? '0x2a' : down(p)),
+    [B]: () => '0x2a'
+  }, clock);
+  const pool = new RpcPool([A, B], { fetch, clock, quorum: 1, cooldownMs: 30_000 });
+
+  for (let i = 0; i < 3; i++) assert.equal((await pool.callOne(rpc('eth_gasPrice'))).result, '0x2a');
+  assert.deepEqual(calls.map(c => c[0]), [A, B, B, B]); // one error is enough to rank A below B
+  let [a, b] = pool.status().endpoints;
+  assert.equal(b.primary, true);
+  assert.equal(a.errorRate, 0.2);
+
+  await pool.probe();
+  await pool.probe();
+  [a, b] = pool.status().endpoints;
+  assert.equal(a.state, 'cooldown');
+  assert.equal(a.consecutiveFailures, 3);
+  assert.equal(a.lastError, 'connect ECONNREFUSED');
+
+  // the probe still reaches cooling endpoints, so A returns once it answers
+  aUp = true;
+  await pool.probe();
+  [a, b] = pool.status().endpoints;
+  assert.equal(a.state, 'ok');
+  assert.equal(a.consecutiveFailures, 0);
+});
+
+test('JSON-RPC errors are answers: no failover, no penalty', async () => {
+  const clock = createFakeClock();
+  const { fetch, calls } = fakeFetch({
+    [A]: () => ({ error: { code: 3, message: 'execution reverted' } }),
+    [B]: () => '0x'
+  }, clock);
+  const pool = new RpcPool([A, B], { fetch, clock });
+  const body = await pool.callOne(rpc('eth_call', {}, 'latest'));
+  assert.equal(body.error.message, 'execution reverted');
+  assert.deepEqual(calls, [[A, 'eth_call']]);
+  assert.equal(pool.status().endpoints[0].failures, 0);
+});
+
+test('a rate-limited endpoint is treated as down, and a rebroadcast it already took counts as sent', async () => {
+  const clock = createFakeClock();
+  const raw = '0x02f8';
+  const { fetch } = fakeFetch({
+    [A]: () => ({ error: { code: -32005, message: 'limit exceeded' } }),
+    [B]: () => ({ error: { code: -32000, message: 'already known' } })
+  }, clock);
+  const pool = new RpcPool([A, B], { fetch, clock });
+  assert.deepEqual(await pool.callOne(rpc('eth_sendRawTransaction', raw)), { result: ethers.keccak256(raw) });
+  assert.match(pool.status().endpoints[0].lastError, /rate limited/);
+});
+
+test('nonce and block reads take the safe side when endpoints disagree', async () => {
+  const clock = createFakeClock();
+  const { fetch, calls } = fakeFetch({
+    [A]: p => (p.method === 'eth_blockNumber' ? '0x64' : '0x5'),
+    [B]: p => (p.method === 'eth_blockNumber' ? '0x62' : '0x7'),
+    [C]: () => '0x0'
+  }, clock);
+  const pool = new RpcPool([A, B, C], { fetch, clock });
+  assert.equal(pool.quorum, 2);
+  pool.endpoints[2].latencyMs = 500; // C is the slow one
+
+  assert.equal((await pool.callQuorum(rpc('eth_getTransactionCount', '0xabc', 'pending'))).result, '0x7');
+  assert.equal((await pool.callQuorum(rpc('eth_getTransactionCount', '0xabc', 'latest'))).result, '0x5');
+  assert.equal((await pool.callQuorum(rpc('eth_blockNumber'))).result, '0x62');
+  assert.ok(calls.every(([url]) => url !== C)); // only the two best are asked
+
+  const s = pool.status();
+  assert.equal(s.disagreements, 3);
+  assert.deepEqual(s.endpoints.map(e => [e.blockNumber, e.lagBlocks]), [[100, 0], [98, 2], [null, null]]);
+});
+
+test('probe leaves out an endpoint on another chain; labels hide keys', async () => {
+  const clock = createFakeClock();
+  const { fetch } = fakeFetch({
+    [A]: p => (p.method === 'eth_chainId' ? '0x279f' : '0x10'),
+    [B]: p => (p.method === 'eth_chainId' ? '0x279f' : '0x10'),
+    [C]: p => (p.method === 'eth_chainId' ? '0x1' : '0x10')
+  }, clock);
+  const pool = new RpcPool([A, B, C], { fetch, clock });
+  await pool.probe();
+  assert.deepEqual(pool.status().endpoints.map(e => [e.endpoint, e.state, e.chainId]), [
+    ['https://a.example/…', 'ok', 10143],
+    ['https://b.example', 'ok', 10143],
+    ['https://c.example/…', 'wrong_chain', 1]
+  ]);
+  assert.ok(!pool.ranked().some(e => e.url === C));
+  assert.equal(endpointLabel('not a url'), 'invalid-url');
+});
+
+test('serves ethers calls, and rejects with NETWORK_ERROR when every endpoint is down', async () => {
+  const clock = createFakeClock();
+  let up = true;
+  const { fetch } = fakeFetch({ [A]: p => (up ? '0x3' : down(p)), [B]: p => (up ? '0x3' : down(p)) }, clock);
+  const network = new ethers.Network('test', 10143);
+  const pool = new RpcPool([A, B], { fetch, clock, network, cacheTimeout: -1 });
+
+  assert.equal(await pool.getTransactionCount('0x' + '11'.repeat(20), 'pending'), 3);
+  up = false;
+  await assert.rejects(pool.send('eth_gasPrice', []), e => e.code === 'NETWORK_ERROR' && /all RPC endpoints failed/.test(e.message));
+  pool.destroy();
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScoreWindow } from '../scorewindow.mjs';
+import { createFakeClock } from './harness.mjs';
+
+const addr = '0xaaaa';
+
+test('rollback gives back the slot of that job, not another with the same score', () => {
+  const win = createScoreWindow({ windowMs: 60_000, limit: 100 });
+  win.reserve(addr, 20, 'job-1', 1_000);
+  win.reserve(addr, 20, 'job-2', 2_000);
+  win.reserve(addr, 5, 'job-3', 3_000);
+
+  assert.equal(win.rollback('job-1', addr, 20), true);
+  assert.deepEqual(win.get(addr).q.map(e => e.jobId), ['job-2', 'job-3']);
+  assert.equal(win.get(addr).sum, 25);
+
+  // a job that holds no slot releases nothing, even when a same-score slot exists
+  assert.equal(win.rollback('job-9', addr, 20), false);
+  assert.equal(win.get(addr).sum, 25);
+});
+
+test('rollback matches slots without a jobId on score', () => {
+  const win = createScoreWindow({ windowMs: 60_000, limit: 100 });
+  win.get(addr).q.push({ ts: 1_000, score: 7 });
+  win.get(addr).sum = 7;
+  assert.equal(win.rollback('old-job', addr, 7), true);
+  assert.equal(win.get(addr).sum, 0);
+});
+
+test('slots expire after windowMs and restored slots stay in time order', () => {
+  const clock = createFakeClock(0);
+  const win = createScoreWindow({ windowMs: 10_000, limit: 100, clock });
+  win.reserve(addr, 10, 'late', 5_000);
+  win.reserve(addr, 30, 'early', 1_000);
+  assert.deepEqual(win.get(addr).q.map(e => e.jobId), ['early', 'late']);
+
+  clock.advance(12_000);
+  win.purge(win.get(addr));
+  assert.deepEqual(win.get(addr).q.map(e => e.jobId), ['late']);
+  assert.equal(win.get(addr).sum, 10);
+});
+
+test('retryMs is the wait until the incoming points fit', () => {
+  const win = createScoreWindow({ windowMs: 10_000, limit: 50 });
+  win.reserve(addr, 30, 'a', 1_000);
+  win.reserve(addr, 20, 'b', 4_000);
+  const w = win.get(addr);
+  assert.equal(win.retryMs(w, 25, 6_000), 5_000);  // 'a' leaves at 11s
+  assert.equal(win.retryMs(w, 45, 6_000), 8_000);  // needs 'b' gone too (14s)
+  assert.equal(win.retryMs(w, 60, 6_000), 10_000); // never fits
+});
+
+test('start() sweeps empty windows on the clock it was given', () => {
+  const clock = createFakeClock(0);
+  const win = createScoreWindow({ windowMs: 10_000, limit: 50, clock });
+  win.reserve(addr, 5, 'a');
+  win.start();
+  clock.advance(20_000);
+  assert.equal(win.windows.has(addr), false);
+  win.stop();
+  assert.equal(clock.pending, 0);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createWebhookDispatcher, loadWebhooksConfig, signPayload } from '../webhooks.mjs';
+import { createFakeClock, waitFor } from './harness.mjs';
+
+const HOOKS = [
+  { name: 'analytics', url: 'https://analytics.example/in', events: ['job.*'], secret: 's3cret' },
+  { name: 'modbot', url: 'https://modbot.example/hook', events: ['anticheat.rejected', 'anticheat.flagged'], secret: null }
+];
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm7-webhooks-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/** fetch stand-in answering each call with the next status in `statuses` (the last one repeats). */
+function receiver(statuses = [200]) {
+  const calls = [];
+  const fetch = async (url, { headers, body }) => {
+    calls.push({ url, headers, body });
+    const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    return { ok: status < 300, status, headers: new Headers() };
+  };
+  return { fetch, calls };
+}
+
+test('sends each event to the hooks that want it, signed when the hook has a secret', async (t) => {
+  const clock = createFakeClock();
+  const { fetch, calls } = receiver();
+  const hooks = createWebhookDispatcher({ hooks: HOOKS, journalPath: path.join(tmpDir(t), 'webhooks.jsonl'), fetch, clock });
+
+  assert.equal(hooks.emit('job.mined', { jobId: 'j1', score: 5 }), 1);
+  assert.equal(hooks.emit('funds.breaker.open', {}), 0);
+  await waitFor(() => hooks.status().delivered === 1, { what: 'delivery' });
+
+  const [{ url, headers, body }] = calls;
+  assert.equal(url, 'https://analytics.example/in');
+  assert.equal(headers['x-webhook-event'], 'job.mined');
+  assert.equal(headers['x-webhook-signature'], signPayload('s3cret', headers['x-webhook-timestamp'], body));
+  const payload = JSON.parse(body);
+  assert.equal(payload.id, headers['x-webhook-id']);
+  assert.deepEqual(payload.data, { jobId: 'j1', score: 5 });
+
+  hooks.emit('anticheat.rejected', { walletAddress: '0xabc' });
+  await waitFor(() => calls.length === 2, { what: 'second delivery' });
+  assert.equal(calls[1].headers['x-webhook-signature'], undefined);
+});
+
+test('retries with doubling backoff, gives up after maxAttempts, and treats other 4xx as final', async (t) => {
+  const clock = createFakeClock();
+  const { fetch, calls } = receiver([503]);
+  const hooks = createWebhookDispatcher({
+    hooks: HOOKS, journalPath: path.join(tmpDir(t), 'webhooks.jsonl'), fetch, clock, maxAttempts: 3, backoffMs: 1_000
+  }).start();
+  t.after(() => hooks.stop());
+
+  hooks.emit('job.failed', { jobId: 'j2' });
+  await waitFor(() => calls.length === 1, { what: 'first attempt' });
+  const [d] = hooks.list();
+  assert.equal(d.nextAttemptAt, clock.now() + 1_000);
+
+  clock.advance(1_000);
+  await waitFor(() => calls.length === 2, { what: 'second attempt' });
+  assert.equal(hooks.get(d.id).nextAttemptAt, clock.now() + 2_000);
+  clock.advance(1_999);
+  assert.equal(calls.length, 2);
+  clock.advance(1);
+  await waitFor(() => hooks.get(d.id).status === 'failed', { what: 'give up' });
+  assert.deepEqual([hooks.get(d.id).attempts, hooks.get(d.id).lastError], [3, 'HTTP 503']);
+
+  const gone = receiver([410]);
+  const once = createWebhookDispatcher({ hooks: HOOKS, journalPath: path.join(tmpDir(t), 'w.jsonl'), fetch: gone.fetch, clock });
+  once.emit('job.failed', { jobId: 'j3' });
+  await waitFor(() => once.status().failed === 1, { what: 'final 410' });
+  assert.equal(gone.calls.length, 1);
+});
+
+test('the delivery log survives a restart: pending ones resume, failed ones can be sent again', async (t) => {
+  const clock = createFakeClock();
+  const journalPath = path.join(tmpDir(t), 'webhooks.jsonl');
+  const down = receiver([500]);
+  const first = createWebhookDispatcher({ hooks: HOOKS, journalPath, fetch: down.fetch, clock, maxAttempts: 5 });
+  first.emit('job.mined', { jobId: 'j4' });
+  first.emit('anticheat.flagged', { walletAddress: '0xdef' });
+  await waitFor(() => down.calls.length === 2, { what: 'failed attempts' });
+
+  const up = receiver([200]);
+  const second = createWebhookDispatcher({ hooks: HOOKS, journalPath, fetch: up.fetch, clock, maxAttempts: 1 });
+  second.load();
+  assert.deepEqual(second.status(), {
+    hooks: [{ name: 'analytics', events: ['job.*'], signed: true }, { name: 'modbot', events: ['anticheat.rejected', 'anticheat.flagged'], signed: false }],
+    pending: 2, delivered: 0, failed: 0
+  });
+  clock.advance(5_000);
+  second.pump();
+  await waitFor(() => second.status().delivered === 2, { what: 'resumed deliveries' });
+  assert.equal(JSON.parse(up.calls[0].body).data.jobId, 'j4'); // the journaled payload, byte for byte
+
+  const [latest] = second.list({ hook: 'modbot' });
+  assert.equal(second.redeliver('nope'), null);
+  assert.equal(second.redeliver(latest.id).status, 'pending');
+  await waitFor(() => up.calls.length === 3, { what: 'redelivery' });
+});
+
+test('config problems are reported with the file path', (t) => {
+  const file = path.join(tmpDir(t), 'webhooks.json');
+  fs.writeFileSync(file, JSON.stringify({ hooks: [
+    { name: 'a', url: 'ftp://x', events: ['job.minted'] },
+    { name: 'a', url: 'https://x.example', events: ['*'] }
+  ] }));
+  assert.throws(() => loadWebhooksConfig(file),
+    /hooks\[0\]\.url must be an http\(s\) URL; hooks\[0\]\.events: "job\.minted" matches no event; hooks\[1\]\.name "a" is used twice/);
+  assert.throws(() => loadWebhooksConfig(file + '.missing'), /Cannot read webhooks from .*missing/);
+});
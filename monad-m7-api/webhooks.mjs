@@ -0,0 +1,263 @@
+// webhooks.mjs
+// Outbound webhooks. A hook has a name, a URL, the events it wants ('job.failed', 'anticheat.*',
+// '*') and an optional secret. Each event becomes one delivery per matching hook, POSTed as
+// { id, event, at, data } and signed with X-Webhook-Signature: sha256=HMAC(secret, "<ts>.<body>"),
+// where <ts> is the X-Webhook-Timestamp header. Network errors, timeouts and 408/429/5xx answers
+// are retried with doubling backoff up to maxAttempts; any other answer is final. Deliveries are
+// journaled (last line per delivery wins, like jobs.jsonl), so pending ones resume after a restart
+// and the log can be read back.
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { systemClock } from './clock.mjs';
+
+export const WEBHOOK_EVENTS = [
+  'job.mined', 'job.failed', 'tx.stuck',
+  'anticheat.flagged', 'anticheat.rejected',
+  'funds.breaker.open', 'funds.breaker.closed'
+];
+
+/** Whether `event` is wanted by a hook subscribed to `patterns` ('*' or a 'prefix.*' match too). */
+export function eventMatches(patterns, event) {
+  return patterns.some(p => p === '*' || p === event || (p.endsWith('.*') && event.startsWith(p.slice(0, -1))));
+}
+
+/** Signature header value for `body` sent at `timestamp` (unix seconds). */
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** Reads and validates { hooks: [{ name, url, events, secret? }] }. Throws with the path on problems. */
+export function loadWebhooksConfig(file) {
+  let cfg;
+  try {
+    cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read webhooks from ${file}: ${e.message}`);
+  }
+  const hooks = Array.isArray(cfg?.hooks) ? cfg.hooks : null;
+  const problems = hooks ? [] : ['hooks must be an array'];
+  const names = new Set();
+  for (const [i, h] of (hooks || []).entries()) {
+    const at = `hooks[${i}]`;
+    if (typeof h.name !== 'string' || !h.name) problems.push(`${at}.name is required`);
+    else if (names.has(h.name)) problems.push(`${at}.name "${h.name}" is used twice`);
+    names.add(h.name);
+    if (!/^https?:\/\//.test(String(h.url || ''))) problems.push(`${at}.url must be an http(s) URL`);
+    if (!Array.isArray(h.events) || !h.events.length) problems.push(`${at}.events must list at least one event`);
+    for (const ev of h.events || []) {
+      if (!WEBHOOK_EVENTS.some(known => eventMatches([ev], known))) problems.push(`${at}.events: "${ev}" matches no event`);
+    }
+    if (h.secret != null && typeof h.secret !== 'string') problems.push(`${at}.secret must be a string`);
+  }
+  if (problems.length) throw new Error(`Invalid webhooks config: ${problems.join('; ')}`);
+  return hooks.map(({ name, url, events, secret = null }) => ({ name, url, events, secret }));
+}
+
+const RETRYABLE = status => status === 408 || status === 429 || status >= 500;
+
+/**
+ * emit(event, data) queues a delivery to every hook subscribed to `event` and sends it right
+ * away (at most `concurrency` at once). Retries wait backoffMs, 2x, 4x, ... capped at
+ * maxBackoffMs, or longer when the receiver sends Retry-After. Settled deliveries older than
+ * `retentionMs` leave the log; `onDelivery(rec)` fires when one is delivered or given up on.
+ */
+export function createWebhookDispatcher({
+  hooks = [],
+  journalPath,
+  maxAttempts = 8,
+  backoffMs = 5_000,
+  maxBackoffMs = 10 * 60_000,
+  timeoutMs = 5_000,
+  concurrency = 4,
+  retentionMs = 7 * 24 * 60 * 60_000,
+  fetch = globalThis.fetch,
+  clock = systemClock,
+  log = () => {},
+  warn = log,
+  error = warn,
+  onDelivery = () => {}
+}) {
+  const byName = new Map(hooks.map(h => [h.name, h]));
+  const deliveries = new Map(); // id -> { id, hook, event, eventId, status, attempts, ..., body }
+  const inflight = new Set();
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  let journalLines = 0;
+  let ticker = null;
+  let purger = null;
+
+  function journal(rec) {
+    try {
+      fs.appendFileSync(journalPath, JSON.stringify(rec) + '\n');
+      if (++journalLines > 2 * deliveries.size + 1000) compact();
+    } catch (e) {
+      error('[WEBHOOK] journal write failed:', e?.message || e);
+    }
+  }
+
+  function compact() {
+    const tmp  = `${journalPath}.tmp`;
+    const body = [...deliveries.values()].map(d => JSON.stringify(d) + '\n').join('');
+    fs.writeFileSync(tmp, body);
+    fs.renameSync(tmp, journalPath);
+    journalLines = deliveries.size;
+  }
+
+  const expired = (d, now) => d.status !== 'pending' && d.createdAt < now - retentionMs;
+
+  function load() {
+    if (!fs.existsSync(journalPath)) return;
+    let bad = 0;
+    for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const d = JSON.parse(line);
+        deliveries.set(d.id, d);
+      } catch {
+        bad++; // torn tail after a crash
+      }
+    }
+    const now = clock.now();
+    let resumed = 0;
+    for (const d of [...deliveries.values()]) {
+      if (expired(d, now)) deliveries.delete(d.id);
+      else if (d.status === 'pending') resumed++;
+    }
+    if (bad) log(`[WEBHOOK] skipped ${bad} unreadable journal line(s)`);
+    if (resumed) log(`[WEBHOOK] resuming ${resumed} pending deliveries`);
+    compact();
+  }
+
+  function settle(d, status, why) {
+    d.status = status;
+    d.nextAttemptAt = null;
+    if (status === 'delivered') d.deliveredAt = clock.now();
+    else warn(`[WEBHOOK ${d.hook}] giving up on ${d.event} ${d.id} after ${d.attempts} attempt(s): ${why}`);
+    onDelivery(d);
+  }
+
+  function retryLater(d, why, retryAfterMs = 0) {
+    d.lastError = why;
+    if (d.attempts >= maxAttempts) return settle(d, 'failed', why);
+    const wait = Math.min(maxBackoffMs, Math.max(backoffMs * 2 ** (d.attempts - 1), retryAfterMs));
+    d.nextAttemptAt = clock.now() + wait;
+    log(`[WEBHOOK ${d.hook}] ${d.event} ${d.id} attempt ${d.attempts} failed (${why}); retrying in ${wait}ms`);
+  }
+
+  async function attempt(d) {
+    const hook = byName.get(d.hook);
+    inflight.add(d.id);
+    d.attempts++;
+    d.lastAttemptAt = clock.now();
+    try {
+      if (!hook) {
+        settle(d, 'failed', 'hook no longer configured');
+        return;
+      }
+      const ts = Math.floor(clock.now() / 1000);
+      const headers = {
+        'content-type': 'application/json',
+        'user-agent': 'monad-m7-api-webhooks',
+        'x-webhook-id': d.eventId,
+        'x-webhook-event': d.event,
+        'x-webhook-timestamp': String(ts)
+      };
+      if (hook.secret) headers['x-webhook-signature'] = signPayload(hook.secret, ts, d.body);
+      const res = await fetch(hook.url, { method: 'POST', headers, body: d.body, signal: AbortSignal.timeout(timeoutMs) });
+      d.lastStatus = res.status;
+      if (res.ok) settle(d, 'delivered');
+      else if (RETRYABLE(res.status)) retryLater(d, `HTTP ${res.status}`, Number(res.headers?.get?.('retry-after')) * 1000 || 0);
+      else { d.lastError = `HTTP ${res.status}`; settle(d, 'failed', d.lastError); }
+    } catch (e) {
+      retryLater(d, e?.name === 'TimeoutError' ? `timeout after ${timeoutMs}ms` : (e?.message || String(e)));
+    } finally {
+      inflight.delete(d.id);
+      journal(d);
+      pump();
+    }
+  }
+
+  /** Starts due deliveries, oldest first, up to `concurrency` in flight. */
+  function pump() {
+    const now = clock.now();
+    for (const d of deliveries.values()) {
+      if (inflight.size >= concurrency) break;
+      if (d.status === 'pending' && d.nextAttemptAt <= now && !inflight.has(d.id)) attempt(d);
+    }
+  }
+
+  function emit(event, data) {
+    const targets = hooks.filter(h => eventMatches(h.events, event));
+    if (!targets.length) return 0;
+    const now = clock.now();
+    const eventId = crypto.randomUUID();
+    const body = JSON.stringify({ id: eventId, event, at: new Date(now).toISOString(), data });
+    for (const h of targets) {
+      const d = {
+        id: crypto.randomUUID(), hook: h.name, event, eventId, status: 'pending', attempts: 0,
+        createdAt: now, nextAttemptAt: now, lastAttemptAt: null, lastStatus: null, lastError: null,
+        deliveredAt: null, body
+      };
+      deliveries.set(d.id, d);
+      journal(d);
+    }
+    pump();
+    return targets.length;
+  }
+
+  /** Sends a settled delivery again (attempts start over). Returns it, or null if unknown/pending. */
+  function redeliver(id) {
+    const d = deliveries.get(id);
+    if (!d || d.status === 'pending') return null;
+    Object.assign(d, { status: 'pending', attempts: 0, nextAttemptAt: clock.now(), lastError: null });
+    journal(d);
+    pump();
+    return d;
+  }
+
+  /** The log, newest first, without payloads. */
+  function list({ status = null, hook = null, event = null, limit = 100 } = {}) {
+    const out = [];
+    for (const d of [...deliveries.values()].reverse()) {
+      if ((status && d.status !== status) || (hook && d.hook !== hook) || (event && !eventMatches([event], d.event))) continue;
+      const { body, ...rest } = d;
+      out.push(rest);
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  function purgeExpired() {
+    const now = clock.now();
+    let purged = 0;
+    for (const d of [...deliveries.values()]) {
+      if (expired(d, now)) { deliveries.delete(d.id); purged++; }
+    }
+    if (purged) {
+      try { compact(); } catch (e) { error('[WEBHOOK] compaction failed:', e?.message || e); }
+    }
+    return purged;
+  }
+
+  return {
+    journalPath,
+    get: id => deliveries.get(id),
+    load, emit, redeliver, list, pump, compact, purgeExpired,
+    status() {
+      const counts = { pending: 0, delivered: 0, failed: 0 };
+      for (const d of deliveries.values()) counts[d.status]++;
+      return { hooks: hooks.map(h => ({ name: h.name, events: h.events, signed: !!h.secret })), ...counts };
+    },
+    start() {
+      ticker ??= clock.setInterval(pump, 1_000);
+      purger ??= clock.setInterval(purgeExpired, 60 * 60_000);
+      pump();
+      return this;
+    },
+    stop() {
+      if (ticker) clock.clearInterval(ticker);
+      if (purger) clock.clearInterval(purger);
+      ticker = purger = null;
+    }
+  };
+}
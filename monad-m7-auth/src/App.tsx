@@ -34,92 +34,97 @@ type LeaderboardResponse = {
   source?: { url: string; fetchedAt: string }
 }
 
-const GAME_ID = 64
+type PlayerResponse = {
+  ok: boolean
+  found: boolean
+  walletAddress: string
+  username: string | null
+  score: number
+  rank: number | null
+}
 
-// Base64URL (Unicode-safe)
-function base64url(str: string): string {
-  const utf8 = new TextEncoder().encode(str)
-  let binary = ''
-  for (let i = 0; i < utf8.length; i++) binary += String.fromCharCode(utf8[i])
-  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '')
+// --- Score API types (every body carries ok + optional code/reason on failure) ---
+type ApiReply = {
+  ok: boolean
+  code?: string
+  reason?: string
+  error?: string
 }
 
-// --- Character catalogue (thresholds and display) ---
-type CharacterKey = '0' | '1' | '2'
+type ChallengeResponse = ApiReply & { nonce?: string; message?: string; expiresAt?: string }
+type WalletSessionResponse = ApiReply & { sessionToken?: string; walletAddress?: string; expiresAt?: string }
+type LaunchResponse = ApiReply & { token?: string; sessionId?: string; expiresAt?: string }
+
+const GAME_ID = 64
 
-const CHAR_THRESHOLDS: Record<CharacterKey, number> = {
-  '0': 0,     // Default
-  '1': 500,   // Sharp shooter
-  '2': 1000,  // Alien
+// POST JSON to the score API; non-2xx replies still resolve so callers can show `reason`
+async function postApi<T extends ApiReply>(
+  url: string,
+  body: unknown,
+  bearer?: string
+): Promise<{ status: number; data: T }> {
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' }
+  if (bearer) headers.Authorization = `Bearer ${bearer}`
+  const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) })
+  const data = (await res.json().catch(() => ({ ok: false }))) as T
+  if (!res.ok) data.ok = false
+  return { status: res.status, data }
 }
 
-// PARAPHRASED character descriptions
-const CHAR_META: Record<CharacterKey, {
-  name: string
-  desc: string
-  img: string
-}> = {
-  '0': {
-    name: 'Default',
-    desc: 'Shots spread more while moving. Fires every 0.25s. Slow movement speed. 10 damage per hit.',
-    img: '/characters/default.png',
-  },
-  '1': {
-    name: 'Sharp shooter',
-    desc: 'Stable aim even on the run. 0.15s firing cadence. Average movement speed. 10 damage per hit.',
-    img: '/characters/sharp.png',
-  },
-  '2': {
-    name: 'Alien',
-    desc: 'Pinpoint accuracy while sprinting. One shot per second. Fast movement speed. 100 damage per hit.',
-    img: '/characters/alien.png',
-  },
+// GET a leaderboard read, revalidating with the last ETag; a 304 reuses the copy we already parsed
+const leaderboardCache = new Map<string, { etag: string; data: unknown }>()
+
+async function getLeaderboardJson<T>(url: string): Promise<T> {
+  const known = leaderboardCache.get(url)
+  const res = await fetch(url, {
+    cache: 'no-store', // we revalidate ourselves
+    headers: known ? { 'If-None-Match': known.etag } : undefined,
+  })
+  if (res.status === 304 && known) return known.data as T
+  if (!res.ok) throw new Error(`HTTP ${res.status}`)
+  const data = (await res.json()) as T
+  const etag = res.headers.get('ETag')
+  if (etag) leaderboardCache.set(url, { etag, data })
+  return data
 }
 
-// --- Level catalogue (thresholds and display) ---
-type LevelKey = '0' | '1' | '2'
+const describeApiError = ({ status, data }: { status: number; data: ApiReply }) =>
+  data.reason ?? data.error ?? data.code ?? `HTTP ${status}`
 
-const LEVEL_THRESHOLDS: Record<LevelKey, number> = {
-  '0': 0,     // Urban
-  '1': 700,   // Stadium
-  '2': 1200,  // Nightmare Dream
+// --- Game catalogue (served by the score API; the only place thresholds live) ---
+type CatalogueItem = {
+  key: string
+  name: string
+  description: string
+  imageKey: string
+  unlockScore: number
+  damagePerShot?: number       // characters
+  timeBetweenBullets?: number  // characters, seconds
 }
 
-// PARAPHRASED level descriptions
-const LEVEL_META: Record<LevelKey, {
-  name: string
-  desc: string
-  img: string
-}> = {
-  '0': {
-    name: 'Urban',
-    desc: 'Enemies hit lightly and rewards per takedown are modest.',
-    img: '/levels/level0.png',
-  },
-  '1': {
-    name: 'Stadium',
-    desc: 'Incoming damage is moderate and points per kill are mid-tier.',
-    img: '/levels/level1.png',
-  },
-  '2': {
-    name: 'Nightmare Dream',
-    desc: 'Foes strike hard, but each elimination yields high scores.',
-    img: '/levels/level2.png',
-  },
+type CatalogueResponse = ApiReply & {
+  unlockAllScore?: number
+  characters?: CatalogueItem[]
+  levels?: CatalogueItem[]
 }
 
 /* ---------------- Feature Highlights (UI-only, no global style changes) ---------------- */
-function FeatureHighlights() {
+// Character stats and arena thresholds come from the catalogue; those two callouts wait for it
+function FeatureHighlights({ characters, levels }: { characters: CatalogueItem[]; levels: CatalogueItem[] }) {
+  const playstyles = characters
+    .map(c => `${c.name} (${c.timeBetweenBullets}s / ${c.damagePerShot} dmg)`)
+    .join(', ')
+  const arenas = levels.map(l => `${l.name} (${l.unlockScore}+)`).join(', ')
   const items = [
     { t: 'Link & play with Monad Games ID', d: 'One-click cross-app linking; detects your embedded wallet automatically.' },
     { t: 'Username sync', d: 'Checks your Monad Games ID username on demand; quick “Re-check” CTA.' },
     { t: 'Live leaderboard', d: 'Fetches the latest scores, matches by wallet with username fallback.' },
     { t: 'Score-gated progression', d: 'Unlock characters and levels instantly when you hit thresholds.' },
-    { t: 'Characters (3 playstyles)', d: 'Default (0.25s / 10 dmg), Sharp shooter (0.15s / 10 dmg), Alien (1/s / 100 dmg).' },
-    { t: 'Arenas (risk/reward)', d: 'Urban (0+), Stadium (700+), Nightmare Dream (1200+) with escalating rewards.' },
-    { t: 'Seamless WebGL handoff', d: 'URL-safe token carries wallet/username/character/level into the game.' },
+    ...(characters.length ? [{ t: `Characters (${characters.length} playstyles)`, d: `${playstyles}.` }] : []),
+    ...(levels.length ? [{ t: 'Arenas (risk/reward)', d: `${arenas} with escalating rewards.` }] : []),
+    { t: 'Seamless WebGL handoff', d: 'Server-signed, single-use token carries wallet/username/character/level into the game.' },
     { t: 'Mobile-ready', d: 'Touch-friendly with virtual joystick; desktop also supported.' },
-    { t: 'Fair-play scoring', d: 'Server-side validation and minute caps to deter abuse.' },
+    { t: 'Fair-play scoring', d: 'Wallet-signed play sessions, server-side validation and minute caps to deter abuse.' },
     { t: 'Instant feedback & tracking', d: 'Immediate ACK with job ID or success response once mined.' },
     { t: 'Smart batching', d: 'Stable gas & throughput with burst processing and safe nonces.' },
     { t: 'Health & transparency', d: 'Public status endpoint shows chain, block, and queue health.' },
@@ -153,7 +158,7 @@ function FeatureHighlights() {
 
 export default function App() {
   const { ready, authenticated, user, login, logout } = usePrivy()
-  const { linkCrossAppAccount } = useCrossAppAccounts()
+  const { linkCrossAppAccount, signMessage } = useCrossAppAccounts()
   const { refreshUser } = useUser()
 
   // ⚠️ Provider app’s Privy App ID (Monad Games ID)
@@ -171,6 +176,13 @@ export default function App() {
     []
   )
 
+  const apiBase = useMemo(
+    () =>
+      (import.meta.env.VITE_API_BASE as string | undefined) ??
+      'https://monad-mission7-api.rxmsolutions.com/api/v1',
+    []
+  )
+
   const [walletAddress, setWalletAddress] = useState<string | null>(null)
   const [username, setUsername] = useState<string | null>(null)
   const [hasUsername, setHasUsername] = useState<boolean | null>(null)
@@ -184,8 +196,12 @@ export default function App() {
   const [scoreError, setScoreError] = useState<string | null>(null)
 
   // Character + Level selection
-  const [selectedCharacter, setSelectedCharacter] = useState<CharacterKey>('0')
-  const [selectedLevel, setSelectedLevel] = useState<LevelKey>('0')
+  const [characters, setCharacters] = useState<CatalogueItem[]>([])
+  const [levels, setLevels] = useState<CatalogueItem[]>([])
+  const [catalogueError, setCatalogueError] = useState<string | null>(null)
+  const [selectedCharacter, setSelectedCharacter] = useState('0')
+  const [selectedLevel, setSelectedLevel] = useState('0')
+  const [launching, setLaunching] = useState(false)
 
   const findCrossAppAccount = useCallback(() => {
     const xapp = (user?.linkedAccounts ?? []).find(
@@ -228,22 +244,21 @@ export default function App() {
       setLoadingScore(true)
       setScoreError(null)
       try {
-        const res = await fetch(
-          `https://monad-mission7-api.rxmsolutions.com/api/v1/getleaderboard?gameId=${GAME_ID}`
+        const player = await getLeaderboardJson<PlayerResponse>(
+          `${apiBase}/players/${encodeURIComponent(addr)}?gameId=${GAME_ID}`
         )
-        if (!res.ok) throw new Error(`HTTP ${res.status}`)
-        const data: LeaderboardResponse = await res.json()
 
         // match by wallet (primary)
-        let yourScore = data.scoreData.find(
-          row => row.walletAddress.toLowerCase() === addr.toLowerCase()
-        )?.score
+        let yourScore: number | undefined = player.found ? player.score : undefined
 
         // fallback: match by username if we have one
         if (yourScore == null && username) {
           const uname = username.toLowerCase()
+          const data = await getLeaderboardJson<LeaderboardResponse>(
+            `${apiBase}/getleaderboard?gameId=${GAME_ID}&search=${encodeURIComponent(uname)}&limit=20`
+          )
           yourScore = data.scoreData.find(
-            row => row.username.toLowerCase() === uname
+            row => (row.username || '').toLowerCase() === uname
           )?.score
         }
 
@@ -255,9 +270,29 @@ export default function App() {
         setLoadingScore(false)
       }
     },
-    [username]
+    [apiBase, username]
   )
 
+  // Characters, levels and their unlock scores come from the API catalogue
+  useEffect(() => {
+    let cancelled = false
+    fetch(`${apiBase}/catalogue`)
+      .then(res => res.json() as Promise<CatalogueResponse>)
+      .then(data => {
+        if (cancelled) return
+        if (!data.ok || !data.characters || !data.levels) throw new Error(data.error ?? 'bad catalogue')
+        setCharacters(data.characters)
+        setLevels(data.levels)
+        setCatalogueError(null)
+      })
+      .catch(() => {
+        if (!cancelled) setCatalogueError('Could not load characters and levels. Please refresh.')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [apiBase])
+
   // Whenever we detect the wallet, kick off both username check + score fetch
   useEffect(() => {
     if (!ready) return
@@ -333,80 +368,108 @@ export default function App() {
     }
   }
 
-  // Character unlock helpers
-  const isCharUnlocked = (key: CharacterKey) => {
-    const s = score ?? 0
-    return s >= CHAR_THRESHOLDS[key]
-  }
-  const remainingForChar = (key: CharacterKey) => {
-    const s = score ?? 0
-    const need = CHAR_THRESHOLDS[key] - s
+  // Unlock helpers (same rule the server enforces on launch)
+  const isUnlocked = (item: CatalogueItem) => (score ?? 0) >= item.unlockScore
+  const remainingFor = (item: CatalogueItem) => {
+    const need = item.unlockScore - (score ?? 0)
     return need > 0 ? need : 0
   }
-
-  // Level unlock helpers
-  const isLevelUnlocked = (key: LevelKey) => {
-    const s = score ?? 0
-    return s >= LEVEL_THRESHOLDS[key]
-  }
-  const remainingForLevel = (key: LevelKey) => {
-    const s = score ?? 0
-    const need = LEVEL_THRESHOLDS[key] - s
-    return need > 0 ? need : 0
+  const lockedMessage = (item: CatalogueItem) => {
+    const need = remainingFor(item)
+    return `"${item.name}" is locked. Earn ${need} more point${need === 1 ? '' : 's'} to unlock.`
   }
 
-  const handleSelectCharacter = (key: CharacterKey) => {
-    if (!isCharUnlocked(key)) {
-      const need = remainingForChar(key)
-      setMessage(
-        `"${CHAR_META[key].name}" is locked. Earn ${need} more point${need === 1 ? '' : 's'} to unlock.`
-      )
+  const handleSelectCharacter = (item: CatalogueItem) => {
+    if (!isUnlocked(item)) {
+      setMessage(lockedMessage(item))
       return
     }
-    setSelectedCharacter(key)
+    setSelectedCharacter(item.key)
   }
 
-  const handleSelectLevel = (key: LevelKey) => {
-    if (!isLevelUnlocked(key)) {
-      const need = remainingForLevel(key)
-      setMessage(
-        `"${LEVEL_META[key].name}" is locked. Earn ${need} more point${need === 1 ? '' : 's'} to unlock.`
-      )
+  const handleSelectLevel = (item: CatalogueItem) => {
+    if (!isUnlocked(item)) {
+      setMessage(lockedMessage(item))
       return
     }
-    setSelectedLevel(key)
+    setSelectedLevel(item.key)
   }
 
-  const handleContinue = () => {
+  const handleContinue = async () => {
     if (!walletAddress || !username) {
       setMessage('Please link your wallet and set a username first.')
       return
     }
-    if (!isCharUnlocked(selectedCharacter)) {
-      const need = remainingForChar(selectedCharacter)
+    const character = characters.find(c => c.key === selectedCharacter)
+    const level = levels.find(l => l.key === selectedLevel)
+    if (!character || !level) {
+      setMessage(catalogueError ?? 'Characters and levels are still loading…')
+      return
+    }
+    if (!isUnlocked(character)) {
+      const need = remainingFor(character)
       setMessage(
         `Selected character is locked. Earn ${need} more point${need === 1 ? '' : 's'} to unlock.`
       )
       return
     }
-    if (!isLevelUnlocked(selectedLevel)) {
-      const need = remainingForLevel(selectedLevel)
+    if (!isUnlocked(level)) {
+      const need = remainingFor(level)
       setMessage(
         `Selected level is locked. Earn ${need} more point${need === 1 ? '' : 's'} to unlock.`
       )
       return
     }
 
-    const url = new URL(redirectBase)
-    const payload = {
-      walletAddress,
-      username,
-      character: String(selectedCharacter),
-      level: String(selectedLevel),
+    setLaunching(true)
+    try {
+      // 1) Prove wallet ownership: the embedded wallet signs a one-time server challenge
+      const challenge = await postApi<ChallengeResponse>(`${apiBase}/auth/challenge`, { walletAddress })
+      if (!challenge.data.ok || !challenge.data.nonce || !challenge.data.message) {
+        setMessage(`Could not start the game: ${describeApiError(challenge)}`)
+        return
+      }
+      setMessage('Please sign the sign-in message with your Monad Games ID wallet…')
+      const signature = await signMessage(challenge.data.message, { address: walletAddress })
+
+      const session = await postApi<WalletSessionResponse>(`${apiBase}/auth/session`, {
+        walletAddress,
+        nonce: challenge.data.nonce,
+        signature,
+      })
+      if (!session.data.ok || !session.data.sessionToken) {
+        setMessage(`Could not start the game: ${describeApiError(session)}`)
+        return
+      }
+
+      // 2) The API checks wallet <-> username and signs a short-lived, single-use launch token
+      const launch = await postApi<LaunchResponse>(
+        `${apiBase}/session/launch`,
+        {
+          walletAddress,
+          username,
+          character: String(selectedCharacter),
+          level: String(selectedLevel),
+          gameId: GAME_ID,
+        },
+        session.data.sessionToken
+      )
+      if (!launch.data.ok || !launch.data.token) {
+        setMessage(`Could not start the game: ${describeApiError(launch)}`)
+        return
+      }
+
+      // The game sends `session` as its bearer credential on score submissions. It rides in the
+      // fragment, which browsers never send to servers or leak in Referer headers.
+      const url = new URL(redirectBase)
+      url.searchParams.set('token', launch.data.token)
+      url.hash = new URLSearchParams({ session: session.data.sessionToken }).toString()
+      window.location.href = url.toString()
+    } catch {
+      setMessage('Could not start the game (signature declined or server unreachable). Please try again.')
+    } finally {
+      setLaunching(false)
     }
-    const token = base64url(JSON.stringify(payload))
-    url.searchParams.set('token', token)
-    window.location.href = url.toString()
   }
 
   if (!ready) return <p style={{ padding: 24, fontFamily: 'sans-serif' }}>Loading…</p>
@@ -424,7 +487,7 @@ export default function App() {
       <p><b>How long will you survive the endless waves of zombies?</b></p>
 
       {/* Feature callouts (UI-only) */}
-      <FeatureHighlights />
+      <FeatureHighlights characters={characters} levels={levels} />
 
       {!authenticated ? (
         <button onClick={login} style={{ color: '#ffffff' }}>Login</button>
@@ -498,6 +561,7 @@ export default function App() {
           )}
 
           {message && <p style={{ marginTop: 12 }}>{message}</p>}
+          {walletAddress && catalogueError && <p style={{ marginTop: 12, color: 'crimson' }}>{catalogueError}</p>}
 
           {/* Character selection */}
           {walletAddress && (
@@ -511,15 +575,14 @@ export default function App() {
                   marginTop: 8,
                 }}
               >
-                {(Object.keys(CHAR_META) as CharacterKey[]).map((key) => {
-                  const meta = CHAR_META[key]
-                  const unlocked = isCharUnlocked(key)
-                  const selected = selectedCharacter === key
-                  const need = remainingForChar(key)
+                {characters.map((item) => {
+                  const unlocked = isUnlocked(item)
+                  const selected = selectedCharacter === item.key
+                  const need = remainingFor(item)
 
                   return (
                     <div
-                      key={key}
+                      key={item.key}
                       style={{
                         border: selected ? '2px solid #0f172a' : '1px solid #e2e8f0',
                         borderRadius: 12,
@@ -530,8 +593,8 @@ export default function App() {
                       }}
                     >
                       <img
-                        src={meta.img}
-                        alt={meta.name}
+                        src={`/characters/${item.imageKey}.png`}
+                        alt={item.name}
                         style={{
                           width: '100%',
                           height: 160,
@@ -543,9 +606,9 @@ export default function App() {
 
                       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                         <div>
-                          <div style={{ fontWeight: 700, color: '#0f172a' }}>{meta.name}</div>
+                          <div style={{ fontWeight: 700, color: '#0f172a' }}>{item.name}</div>
                           <div style={{ fontSize: 12, color: '#475569' }}>
-                            Unlocks at {CHAR_THRESHOLDS[key]} pts
+                            Unlocks at {item.unlockScore} pts
                             {!unlocked && <> — need {need} more</>}
                           </div>
                         </div>
@@ -553,20 +616,20 @@ export default function App() {
                         <input
                           type="radio"
                           name="character"
-                          value={key}
+                          value={item.key}
                           checked={selected}
-                          onChange={() => handleSelectCharacter(key)}
+                          onChange={() => handleSelectCharacter(item)}
                           disabled={!unlocked}
                           title={!unlocked ? `Need ${need} more points to unlock` : 'Select'}
                         />
                       </div>
 
                       <p style={{ marginTop: 8, fontSize: 14, color: '#334155' }}>
-                        {meta.desc}
+                        {item.description}
                       </p>
 
                       <button
-                        onClick={() => handleSelectCharacter(key)}
+                        onClick={() => handleSelectCharacter(item)}
                         disabled={!unlocked}
                         style={{ marginTop: 8 }}
                         title={!unlocked ? `Need ${need} more points to unlock` : 'Select'}
@@ -592,15 +655,14 @@ export default function App() {
                   marginTop: 8,
                 }}
               >
-                {(Object.keys(LEVEL_META) as LevelKey[]).map((key) => {
-                  const meta = LEVEL_META[key]
-                  const unlocked = isLevelUnlocked(key)
-                  const selected = selectedLevel === key
-                  const need = remainingForLevel(key)
+                {levels.map((item) => {
+                  const unlocked = isUnlocked(item)
+                  const selected = selectedLevel === item.key
+                  const need = remainingFor(item)
 
                   return (
                     <div
-                      key={key}
+                      key={item.key}
                       style={{
                         border: selected ? '2px solid #0f172a' : '1px solid #e2e8f0',
                         borderRadius: 12,
@@ -611,8 +673,8 @@ export default function App() {
                       }}
                     >
                       <img
-                        src={meta.img}
-                        alt={meta.name}
+                        src={`/levels/${item.imageKey}.png`}
+                        alt={item.name}
                         style={{
                           width: '100%',
                           height: 160,
@@ -624,9 +686,9 @@ export default function App() {
 
                       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                         <div>
-                          <div style={{ fontWeight: 700, color: '#0f172a' }}>{meta.name}</div>
+                          <div style={{ fontWeight: 700, color: '#0f172a' }}>{item.name}</div>
                           <div style={{ fontSize: 12, color: '#475569' }}>
-                            Unlocks at {LEVEL_THRESHOLDS[key]} pts
+                            Unlocks at {item.unlockScore} pts
                             {!unlocked && <> — need {need} more</>}
                           </div>
                         </div>
@@ -634,20 +696,20 @@ export default function App() {
                         <input
                           type="radio"
                           name="level"
-                          value={key}
+                          value={item.key}
                           checked={selected}
-                          onChange={() => handleSelectLevel(key)}
+                          onChange={() => handleSelectLevel(item)}
                           disabled={!unlocked}
                           title={!unlocked ? `Need ${need} more points to unlock` : 'Select'}
                         />
                       </div>
 
                       <p style={{ marginTop: 8, fontSize: 14, color: '#334155' }}>
-                        {meta.desc}
+                        {item.description}
                       </p>
 
                       <button
-                        onClick={() => handleSelectLevel(key)}
+                        onClick={() => handleSelectLevel(item)}
                         disabled={!unlocked}
                         style={{ marginTop: 8 }}
                         title={!unlocked ? `Need ${need} more points to unlock` : 'Select'}
@@ -663,8 +725,8 @@ export default function App() {
 
           {hasUsername && username && walletAddress && (
             <div style={{ marginTop: 12 }}>
-              <button onClick={handleContinue} style={{ color: '#ffffff' }}>
-                PLAY NOW!
+              <button onClick={handleContinue} disabled={launching} style={{ color: '#ffffff' }}>
+                {launching ? 'Starting…' : 'PLAY NOW!'}
               </button>
             </div>
           )}